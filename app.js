@@ -0,0 +1,45 @@
+const express = require('express');
+const cors = require('cors');
+const { setRateLimitStore, createInMemoryRateLimitStore } = require('./services/rateLimitStore');
+
+const app = express();
+
+// Trust the proxy in front of the app so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
+// Rate limit counters live in MongoDB unless a single instance opts into memory
+if (process.env.RATE_LIMIT_STORE === 'memory') {
+    setRateLimitStore(createInMemoryRateLimitStore());
+}
+
+// CORS configuration
+app.use(cors({
+    origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000', 'http://localhost:3001'],
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'Idempotent-Replayed', 'Deprecation', 'Sunset', 'Link']
+}));
+
+app.use(express.json({
+    // Keep the raw body so signed API requests can verify its hash
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+
+// Serve static files from public directory
+app.use(express.static('public'));
+
+// Legacy unversioned paths, rewritten to /api/v1 with Deprecation headers (must come first)
+app.use(require('./routes/legacyRoutes'));
+
+// Versioned API
+app.use('/api/v1', require('./routes/v1'));
+
+// Twilio webhooks are configured on the numbers themselves and stay unversioned
+app.use('/api/twilio', require('./routes/twilioRoutes'));
+
+module.exports = app;
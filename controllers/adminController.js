@@ -0,0 +1,50 @@
+const { reconcilePhoneNumbers } = require('../services/phoneReconciliationService');
+
+// @desc    Report mismatches between Twilio numbers and users (read-only)
+// @route   GET /api/v1/admin/phone-numbers/reconciliation
+// @access  Private (admin)
+const getPhoneReconciliationReport = async (req, res) => {
+    try {
+        const report = await reconcilePhoneNumbers({ autoRelease: false });
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('Error in getPhoneReconciliationReport:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Could not reconcile phone numbers with Twilio'
+        });
+    }
+};
+
+// @desc    Reconcile phone numbers and update outdated webhook URLs, optionally releasing orphaned numbers
+// @route   POST /api/v1/admin/phone-numbers/reconciliation
+// @access  Private (admin)
+const runPhoneReconciliation = async (req, res) => {
+    try {
+        const autoRelease = !!(req.body && req.body.autoRelease === true);
+        const report = await reconcilePhoneNumbers({ autoRelease, syncWebhooks: true });
+
+        res.status(200).json({
+            success: true,
+            message: autoRelease
+                ? `Released ${report.summary.released} orphaned phone numbers`
+                : 'Phone numbers reconciled',
+            data: report
+        });
+    } catch (error) {
+        console.error('Error in runPhoneReconciliation:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Could not reconcile phone numbers with Twilio'
+        });
+    }
+};
+
+module.exports = {
+    getPhoneReconciliationReport,
+    runPhoneReconciliation
+};
@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const ApiClient = require('../models/ApiClient');
+const { SIGNATURE_VERSION } = require('../utils/apiRequestSigner');
+const { getApiUsage } = require('../services/apiUsageService');
+const {
+    apiClientSchema,
+    updateApiClientSchema,
+    rotateApiKeySchema,
+    apiUsageQuerySchema
+} = require('../validators/apiClientValidator');
+
+// Scopes that expose other users' data and may only be granted by admins
+const ADMIN_SCOPES = ['users:lookup'];
+
+// Helper function to list admin-only settings requested by a non-admin
+const restrictedSettings = (req, value) => {
+    if (req.user.role === 'admin') {
+        return [];
+    }
+
+    const restricted = (value.scopes || []).filter(scope => ADMIN_SCOPES.includes(scope));
+    if (value.allTenants) restricted.push('allTenants');
+    if (value.tenants && value.tenants.length > 0) restricted.push('tenants');
+    if (value.dailyTaskQuota !== undefined) restricted.push('dailyTaskQuota');
+    return restricted;
+};
+
+// Helper function to shape an API client for responses (never includes key hashes)
+const clientResponse = (client) => ({
+    id: client._id,
+    name: client.name,
+    keyPrefix: client.keyPrefix,
+    owner: client.owner,
+    scopes: client.scopes,
+    tenants: client.tenants,
+    allTenants: client.allTenants,
+    dailyTaskQuota: client.dailyTaskQuota,
+    allowLegacySignature: client.allowLegacySignature,
+    status: client.status,
+    createdAt: client.createdAt,
+    lastUsedAt: client.lastUsedAt,
+    rotatedAt: client.rotatedAt,
+    previousKeyExpiresAt: client.previousKeyExpiresAt,
+    revokedAt: client.revokedAt
+});
+
+// Helper function to shape a newly issued key and signing secret with signing instructions
+const keyResponse = ({ apiKey, secret }) => ({
+    apiKey,
+    secret,
+    signatureVersion: SIGNATURE_VERSION,
+    instructions: {
+        headers: ['x-api-key', 'x-timestamp', 'x-nonce', 'x-signature-version', 'x-signature'],
+        note: 'Store the API key and secret now; they cannot be shown again. Sign every request with HMAC-SHA256 of "v2\\n<METHOD>\\n<path>\\n<timestamp>\\n<nonce>\\n<sha256(body)>" using the secret, with a new nonce each time.'
+    }
+});
+
+// Helper function to find one of the current user's API clients
+const findOwnClient = (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return null;
+    }
+
+    return ApiClient.findOne({ _id: req.params.id, owner: req.user._id });
+};
+
+// @desc    List the current user's API keys
+// @route   GET /api/v1/api-keys
+// @access  Private
+const getApiKeys = async (req, res) => {
+    try {
+        const clients = await ApiClient.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: clients.map(clientResponse)
+        });
+    } catch (error) {
+        console.error('Error in getApiKeys:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retrieving API keys'
+        });
+    }
+};
+
+// @desc    Create an API key
+// @route   POST /api/v1/api-keys
+// @access  Private
+const createApiKey = async (req, res) => {
+    try {
+        const { error, value } = apiClientSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        // Non-admin clients only ever act for their owner
+        const restricted = restrictedSettings(req, value);
+        if (restricted.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Only admins can grant: ${restricted.join(', ')}`
+            });
+        }
+
+        const { client, apiKey, secret } = await ApiClient.issue({
+            name: value.name,
+            owner: req.user._id,
+            scopes: value.scopes,
+            tenants: value.tenants,
+            allTenants: value.allTenants,
+            dailyTaskQuota: value.dailyTaskQuota,
+            allowLegacySignature: value.allowLegacySignature
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created successfully. Store the key and secret now; they cannot be shown again.',
+            data: {
+                ...clientResponse(client),
+                ...keyResponse({ apiKey, secret })
+            }
+        });
+    } catch (error) {
+        console.error('Error in createApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating API key'
+        });
+    }
+};
+
+// @desc    Update an API key's name, tenants or legacy signature compatibility
+// @route   PATCH /api/v1/api-keys/:id
+// @access  Private
+const updateApiKey = async (req, res) => {
+    try {
+        const { error, value } = updateApiClientSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const restricted = restrictedSettings(req, value);
+        if (restricted.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `Only admins can grant: ${restricted.join(', ')}`
+            });
+        }
+
+        const client = await findOwnClient(req);
+
+        if (!client) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        if (value.name !== undefined) client.name = value.name;
+        if (value.tenants !== undefined) client.tenants = value.tenants;
+        if (value.allTenants !== undefined) client.allTenants = value.allTenants;
+        if (value.dailyTaskQuota !== undefined) client.dailyTaskQuota = value.dailyTaskQuota;
+        if (value.allowLegacySignature !== undefined) client.allowLegacySignature = value.allowLegacySignature;
+        await client.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'API key updated successfully',
+            data: clientResponse(client)
+        });
+    } catch (error) {
+        console.error('Error in updateApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating API key'
+        });
+    }
+};
+
+// @desc    Rotate an API key and its signing secret, keeping the old ones valid for a grace period
+// @route   POST /api/v1/api-keys/:id/rotate
+// @access  Private
+const rotateApiKey = async (req, res) => {
+    try {
+        const { error, value } = rotateApiKeySchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const client = await findOwnClient(req);
+
+        if (!client) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        if (!client.isActive()) {
+            return res.status(409).json({
+                success: false,
+                message: 'A revoked API key cannot be rotated'
+            });
+        }
+
+        const issued = await client.rotate(value.gracePeriodMinutes * 60 * 1000);
+
+        res.status(200).json({
+            success: true,
+            message: value.gracePeriodMinutes > 0
+                ? `API key and secret rotated. The previous key and secret stay valid for ${value.gracePeriodMinutes} minutes.`
+                : 'API key and secret rotated. The previous key and secret no longer work.',
+            data: {
+                ...clientResponse(client),
+                ...keyResponse(issued)
+            }
+        });
+    } catch (error) {
+        console.error('Error in rotateApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while rotating API key'
+        });
+    }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/v1/api-keys/:id
+// @access  Private
+const revokeApiKey = async (req, res) => {
+    try {
+        const client = await findOwnClient(req);
+
+        if (!client) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        if (client.isActive()) {
+            await client.revoke();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked successfully',
+            data: clientResponse(client)
+        });
+    } catch (error) {
+        console.error('Error in revokeApiKey:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking API key'
+        });
+    }
+};
+
+// @desc    Get daily usage for an API key
+// @route   GET /api/v1/api-keys/:id/usage
+// @access  Private
+const getApiKeyUsage = async (req, res) => {
+    try {
+        const { error, value } = apiUsageQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const client = await findOwnClient(req);
+
+        if (!client) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        const usage = await getApiUsage(client._id, value.days);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                client: clientResponse(client),
+                days: value.days,
+                ...usage
+            }
+        });
+    } catch (error) {
+        console.error('Error in getApiKeyUsage:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retrieving API key usage'
+        });
+    }
+};
+
+module.exports = {
+    getApiKeys,
+    createApiKey,
+    updateApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    getApiKeyUsage
+};
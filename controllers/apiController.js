@@ -1,49 +1,18 @@
-const { generateApiKey } = require('../middleware/apiKeyMiddleware');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Task = require('../models/Task');
 const Customer = require('../models/Customer');
+const Call = require('../models/Call');
 const { taskSchema } = require('../validators/taskValidator');
-const { emitTaskCreated } = require('../services/websocketService');
+const { emitTaskCreated, emitCustomerCreated } = require('../services/websocketService');
+const { dispatchWebhookEvent } = require('../services/webhookService');
 const { sendThirdPartyTaskNotification } = require('../services/emailService');
-
-// @desc    Generate API key for third-party apps
-// @route   POST /api/generate-api-key
-// @access  Private (admin only)
-const generateApiKeyForApp = async (req, res) => {
-    try {
-        // This endpoint should be protected and only accessible by admins
-        // You can add additional admin checks here
-        
-        const apiKeyData = generateApiKey();
-        
-        res.status(200).json({
-            success: true,
-            message: 'API key generated successfully',
-            data: {
-                apiKey: apiKeyData.apiKey,
-                timestamp: apiKeyData.timestamp,
-                signature: apiKeyData.signature,
-                instructions: {
-                    headers: {
-                        'x-api-key': apiKeyData.apiKey,
-                        'x-timestamp': apiKeyData.timestamp,
-                        'x-signature': apiKeyData.signature
-                    },
-                    note: 'Include these headers in all API requests. Generate new signature for each request using the shared secret.'
-                }
-            }
-        });
-    } catch (error) {
-        console.error('Error generating API key:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to generate API key'
-        });
-    }
-};
+const { sendBookingConfirmation } = require('../services/smsService');
+const { getBusinessHoursStatus } = require('../services/businessHoursService');
+const { canActFor } = require('../middleware/authentication');
 
 // @desc    Test API key authentication
-// @route   GET /api/test-api-key
+// @route   GET /api/v1/integrations/ping
 // @access  API Key protected
 const testApiKeyAuth = async (req, res) => {
     try {
@@ -51,7 +20,9 @@ const testApiKeyAuth = async (req, res) => {
             success: true,
             message: 'API key authentication successful',
             data: {
-                apiClient: req.apiClient,
+                apiClient: req.auth.client,
+                scopes: req.auth.scopes,
+                tenants: req.auth.allTenants ? 'all' : req.auth.tenants,
                 timestamp: new Date().toISOString()
             }
         });
@@ -65,7 +36,7 @@ const testApiKeyAuth = async (req, res) => {
 };
 
 // @desc    Get user by Twilio call SID
-// @route   GET /api/getuserbyassignedSID
+// @route   GET /api/v1/integrations/users/by-call-sid
 // @access  API Key protected
 const getUserByAssignedSID = async (req, res) => {
     try {
@@ -78,19 +49,30 @@ const getUserByAssignedSID = async (req, res) => {
             });
         }
 
-        // Find user by Twilio phone SID
-        const user = await User.findOne({
-            twilioPhoneSid: callSid,
-            isDeleted: { $ne: true }
-        });
+        // Resolve the user through the call log recorded by the voice webhook
+        const call = await Call.findOne({ callSid });
+
+        if (!call) {
+            return res.status(404).json({
+                success: false,
+                message: 'No call found for the provided call SID'
+            });
+        }
+
+        const user = call.user
+            ? await User.findOne({ _id: call.user, isDeleted: { $ne: true } })
+            : null;
 
-        if (!user) {
+        // Only reveal users this API client may act for
+        if (!user || !canActFor(req.auth, user._id)) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found for the provided call SID'
             });
         }
 
+        req.auth.actingFor = user._id;
+
         // Return user information (excluding sensitive data)
         res.status(200).json({
             success: true,
@@ -122,7 +104,7 @@ const getUserByAssignedSID = async (req, res) => {
 };
 
 // @desc    Get user by Twilio assigned phone number
-// @route   GET /api/getuserbyassignednumber
+// @route   GET /api/v1/integrations/users/by-assigned-number
 // @access  API Key protected
 const getUserByAssignedNumber = async (req, res) => {
     try {
@@ -141,13 +123,16 @@ const getUserByAssignedNumber = async (req, res) => {
             isDeleted: { $ne: true }
         });
 
-        if (!user) {
+        // Only reveal users this API client may act for
+        if (!user || !canActFor(req.auth, user._id)) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found for the provided assigned number'
             });
         }
 
+        req.auth.actingFor = user._id;
+
         // Return user information (excluding sensitive data)
         res.status(200).json({
             success: true,
@@ -164,6 +149,7 @@ const getUserByAssignedNumber = async (req, res) => {
                 twilioPhoneNumber: user.twilioPhoneNumber,
                 twilioPhoneFriendlyName: user.twilioPhoneFriendlyName,
                 twilioPhoneStatus: user.twilioPhoneStatus,
+                businessHours: getBusinessHoursStatus(user),
                 isEmailVerified: user.isEmailVerified,
                 createdAt: user.createdAt,
                 updatedAt: user.updatedAt
@@ -179,7 +165,7 @@ const getUserByAssignedNumber = async (req, res) => {
 };
 
 // @desc    Create task for user by Twilio assigned phone number
-// @route   POST /api/create-task-for-user
+// @route   POST /api/v1/integrations/tasks
 // @access  API Key protected
 const createTaskForUser = async (req, res) => {
     try {
@@ -198,13 +184,16 @@ const createTaskForUser = async (req, res) => {
             isDeleted: { $ne: true }
         });
 
-        if (!user) {
+        // Only reveal users this API client may act for
+        if (!user || !canActFor(req.auth, user._id)) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found for the provided assigned number'
             });
         }
 
+        req.auth.actingFor = user._id;
+
         // Validate request body
         const { error, value } = taskSchema.validate(req.body);
         if (error) {
@@ -229,6 +218,9 @@ const createTaskForUser = async (req, res) => {
                 user: user._id
             });
             await customer.save();
+
+            emitCustomerCreated(user._id, customer);
+            dispatchWebhookEvent(user._id, 'customer.created', customer);
         }
 
         // Create task
@@ -238,21 +230,37 @@ const createTaskForUser = async (req, res) => {
             description,
             conversation: conversation || null,
             isResolved: isResolved || false,
+            source: 'ai-agent',
+            apiClient: req.auth.client.id,
             customer: customer._id,
             user: user._id
         });
 
         await task.save();
+        res.locals.createdTask = task._id;
 
         // Populate customer details for response
         await task.populate('customer', 'name address phoneNumber');
 
-        // Emit real-time update
+        // Link the task to the call that produced it
+        const callSid = req.headers['call-sid'];
+        if (callSid) {
+            await Call.updateOne(
+                { callSid, user: user._id },
+                { $set: { task: task._id, customer: customer._id } }
+            );
+        }
+
+        // Emit real-time update and notify webhooks
         emitTaskCreated(user._id, task);
+        dispatchWebhookEvent(user._id, 'task.created', task);
 
         // Send email notification
         await sendThirdPartyTaskNotification(user, task, customer);
 
+        // Send booking confirmation SMS to the customer
+        await sendBookingConfirmation(user, task, customer);
+
         res.status(201).json({
             success: true,
             message: 'Task created successfully',
@@ -286,10 +294,58 @@ const createTaskForUser = async (req, res) => {
     }
 };
 
+// @desc    Get the status of a task created by this API client
+// @route   GET /api/v1/integrations/tasks/:id
+// @access  API Key protected
+const getTaskStatusForClient = async (req, res) => {
+    try {
+        // Clients only see tasks they created, including ones deleted since
+        const task = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Task.findTaskWithDeleted({ _id: req.params.id, apiClient: req.auth.client.id })
+            : null;
+
+        if (!task || !canActFor(req.auth, task.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        req.auth.actingFor = task.user;
+
+        let status = 'open';
+        if (task.isSoftDeleted()) {
+            status = 'deleted';
+        } else if (task.isResolved) {
+            status = 'resolved';
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                _id: task._id,
+                heading: task.heading,
+                status,
+                isResolved: task.isResolved,
+                user: task.user,
+                createdAt: task.createdAt,
+                updatedAt: task.updatedAt,
+                deletedAt: task.deletedAt || null
+            }
+        });
+    } catch (error) {
+        console.error('Error in getTaskStatusForClient:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retrieving task status'
+        });
+    }
+};
+
 module.exports = {
-    generateApiKeyForApp,
     testApiKeyAuth,
     getUserByAssignedSID,
     getUserByAssignedNumber,
-    createTaskForUser
+    createTaskForUser,
+    getTaskStatusForClient
 }; 
\ No newline at end of file
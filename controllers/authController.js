@@ -1,9 +1,35 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { registerSchema, loginSchema } = require('../validators/authValidator');
+const Session = require('../models/Session');
+const {
+    registerSchema,
+    loginSchema,
+    changePasswordSchema,
+    emailSchema,
+    resetPasswordSchema,
+    refreshTokenSchema,
+    revokeSessionsQuerySchema,
+    twoFactorSetupSchema,
+    twoFactorCodeSchema,
+    twoFactorConfirmSchema,
+    twoFactorLoginSchema
+} = require('../validators/authValidator');
 const { sendEmail } = require('../services/emailService');
-const { assignPhoneNumberToUser } = require('../services/twilioService');
+const { provisionPhoneNumber } = require('../services/phoneNumberService');
+const { SessionError, createSession, refreshSession, endSession, endAllSessions } = require('../services/sessionService');
+const {
+    TwoFactorError,
+    findUserForTwoFactor,
+    startEnrollment,
+    completeEnrollment,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    removeTwoFactor,
+    issueLoginChallenge,
+    verifyLoginChallenge,
+    countUnusedRecoveryCodes
+} = require('../services/twoFactorService');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
 
@@ -25,8 +51,25 @@ const getProtocol = (req) => {
     return req.protocol;
 };
 
+// Helper function to shape the user returned at login
+const loginUserResponse = (user) => ({
+    _id: user._id,
+    firstname: user.firstname,
+    lastname: user.lastname,
+    email: user.email,
+    phoneNumber: user.phoneNumber,
+    address: user.address,
+    twilioPhoneNumber: user.twilioPhoneNumber,
+    twilioPhoneStatus: user.twilioPhoneStatus,
+    profession: user.profession,
+    professionDescription: user.professionDescription,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+    createdAt: user.createdAt
+});
+
 // @desc    Register a new user
-// @route   POST /api/auth/register
+// @route   POST /api/v1/auth/register
 // @access  Public
 exports.register = async (req, res, next) => {
     try {
@@ -53,11 +96,20 @@ exports.register = async (req, res, next) => {
                 existingUser.isDeleted = false;
                 existingUser.deletedAt = null;
                 existingUser.isEmailVerified = false; // Reset email verification
+                // Their previous number was released when the account was deleted
+                existingUser.twilioPhoneNumber = null;
+                existingUser.twilioPhoneSid = null;
+                existingUser.twilioPhoneFriendlyName = null;
+                existingUser.twilioPhoneStatus = null;
+                existingUser.twilioProvisioning = undefined;
 
                 const verificationToken = existingUser.getEmailVerificationToken();
                 await existingUser.save();
 
-                const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/auth/verifyemail?token=${verificationToken}`;
+                // Whoever re-registers the address must not inherit the old account's authenticator
+                await removeTwoFactor(existingUser);
+
+                const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/v1/auth/verify-email?token=${verificationToken}`;
                 const message = `Thank you for re-registering! Please verify your email by copying and pasting this link into your browser: \n\n ${verifyUrl} \n\n This link will expire in 10 minutes.`;
 
                 try {
@@ -90,7 +142,7 @@ exports.register = async (req, res, next) => {
                 const verificationToken = existingUser.getEmailVerificationToken();
                 await existingUser.save();
 
-                const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/auth/verifyemail?token=${verificationToken}`;
+                const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/v1/auth/verify-email?token=${verificationToken}`;
                 const message = `You have already started the registration process. Please verify your email by copying this link into your browser: \n\n ${verifyUrl} \n\n This link expires in 10 minutes.`;
 
                 try {
@@ -128,7 +180,7 @@ exports.register = async (req, res, next) => {
             const verificationToken = user.getEmailVerificationToken();
             await user.save();
 
-            const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/auth/verifyemail?token=${verificationToken}`;
+            const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/v1/auth/verify-email?token=${verificationToken}`;
             const message = `Thank you for registering! Please verify your email by copying and pasting this link into your browser: \n\n ${verifyUrl} \n\n This link will expire in 10 minutes.`;
 
             try {
@@ -161,7 +213,7 @@ exports.register = async (req, res, next) => {
 };
 
 // @desc    Verify email
-// @route   GET /api/auth/verifyemail
+// @route   GET /api/v1/auth/verify-email
 // @access  Public
 exports.verifyEmail = async (req, res, next) => {
     try {
@@ -187,33 +239,35 @@ exports.verifyEmail = async (req, res, next) => {
         user.emailVerificationTokenExpires = undefined;
         
         // If user was soft deleted, reactivate them
-        if (user.isSoftDeleted()) {
+        const reactivated = user.isSoftDeleted();
+        if (reactivated) {
             user.isDeleted = false;
             user.deletedAt = null;
+
+            // Their previous number was released when the account was deleted
+            user.twilioPhoneNumber = null;
+            user.twilioPhoneSid = null;
+            user.twilioPhoneFriendlyName = null;
+            user.twilioPhoneStatus = null;
+            user.twilioProvisioning = undefined;
+        }
+
+        await user.save({ validateBeforeSave: false });
+
+        // Two-factor settings of the deleted account don't carry over
+        if (reactivated) {
+            await removeTwoFactor(user);
         }
 
         // Assign Twilio phone number during email verification
-        try {
-            const userName = `${user.firstname} ${user.lastname}`;
-            const twilioPhone = await assignPhoneNumberToUser(
-                user._id.toString(),
-                userName
-                // Country code will be taken from TWILIO_COUNTRY_CODE env variable
-            );
-
-            user.twilioPhoneNumber = twilioPhone.phoneNumber;
-            user.twilioPhoneSid = twilioPhone.sid;
-            user.twilioPhoneFriendlyName = twilioPhone.friendlyName;
-            user.twilioPhoneStatus = 'active';
-            
-            console.log(`Assigned Twilio phone number ${twilioPhone.phoneNumber} to user ${user._id}`);
-        } catch (twilioError) {
-            console.error('Twilio phone assignment failed:', twilioError);
-            // Continue with verification even if Twilio fails
-            user.twilioPhoneStatus = 'failed';
+        if (!user.twilioPhoneSid) {
+            try {
+                await provisionPhoneNumber(user);
+            } catch (twilioError) {
+                // Continue with verification; failed provisioning is retried in the background
+                console.error('Twilio phone assignment failed:', twilioError.message);
+            }
         }
-        
-        await user.save({ validateBeforeSave: false });
 
         const templatePath = path.join(__dirname, '..', 'templates', 'emailVerifiedSuccessTemplate.html');
         const successTemplate = fs.readFileSync(templatePath, 'utf-8');
@@ -229,7 +283,7 @@ exports.verifyEmail = async (req, res, next) => {
 };
 
 // @desc    Login user
-// @route   POST /api/auth/login
+// @route   POST /api/v1/auth/login
 // @access  Public
 exports.login = async (req, res, next) => {
     try {
@@ -238,7 +292,7 @@ exports.login = async (req, res, next) => {
             return res.status(400).json({ success: false, message: error.details[0].message });
         }
 
-        const { email, password } = value;
+        const { email, password, deviceName } = value;
 
         // Include soft-deleted users in login check to provide appropriate message
         const user = await User.findUserWithDeleted({ email }).select('+password');
@@ -265,28 +319,28 @@ exports.login = async (req, res, next) => {
             return res.status(401).json({ success: false, message: 'Please verify your email to login' });
         }
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-            expiresIn: '1d',
+        // With two-factor on, the password only earns a challenge for the second step
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(200).json({
+                success: true,
+                message: 'Enter the code from your authenticator app or a recovery code',
+                twoFactorRequired: true,
+                ...issueLoginChallenge(user, { deviceName })
+            });
+        }
+
+        // Each login is a new session with its own refresh token
+        const { tokens } = await createSession(user, {
+            deviceName,
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip
         });
 
         res.status(200).json({ 
             success: true, 
-            token,
+            ...tokens,
             data: {
-                user: {
-                    _id: user._id,
-                    firstname: user.firstname,
-                    lastname: user.lastname,
-                    email: user.email,
-                    phoneNumber: user.phoneNumber,
-                    address: user.address,
-                    twilioPhoneNumber: user.twilioPhoneNumber,
-                    twilioPhoneStatus: user.twilioPhoneStatus,
-                    profession: user.profession,
-                    professionDescription: user.professionDescription,
-                    isEmailVerified: user.isEmailVerified,
-                    createdAt: user.createdAt
-                }
+                user: loginUserResponse(user)
             }
         });
 
@@ -297,15 +351,16 @@ exports.login = async (req, res, next) => {
 };
 
 // @desc    Change user password
-// @route   PUT /api/auth/changepassword
+// @route   PUT /api/v1/auth/password
 // @access  Private
 exports.changePassword = async (req, res, next) => {
     try {
-        const { currentPassword, newPassword } = req.body;
-
-        if (!currentPassword || !newPassword) {
-            return res.status(400).json({ success: false, message: 'Please provide current and new passwords' });
+        const { error, value } = changePasswordSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
         }
+
+        const { currentPassword, newPassword } = value;
         
         // req.user.id is from the 'protect' middleware
         const user = await User.findById(req.user.id).select('+password');
@@ -328,10 +383,25 @@ exports.changePassword = async (req, res, next) => {
             return res.status(400).json({ success: false, message: 'Incorrect current password' });
         }
 
+        // Saving a new password bumps tokenVersion, which rejects every existing token
         user.password = newPassword;
         await user.save();
 
-        res.status(200).json({ success: true, message: 'Password changed successfully' });
+        // Log out all devices, then start a fresh session for this one
+        const currentSession = req.auth.sessionId ? await Session.findById(req.auth.sessionId) : null;
+        await endAllSessions(user._id, 'password-changed');
+
+        const { tokens } = await createSession(user, {
+            deviceName: currentSession ? currentSession.deviceName : null,
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully. Other devices have been logged out.',
+            ...tokens
+        });
     } catch (err) {
         console.error(err);
         res.status(500).json({ success: false, message: 'Server error' });
@@ -339,11 +409,16 @@ exports.changePassword = async (req, res, next) => {
 };
 
 // @desc    Forgot password
-// @route   POST /api/auth/forgotpassword
+// @route   POST /api/v1/auth/password/forgot
 // @access  Public
 exports.forgotPassword = async (req, res, next) => {
     try {
-        const { email } = req.body;
+        const { error, value } = emailSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const { email } = value;
         
         // Include soft-deleted users in password reset (they might want to reactivate)
         const user = await User.findUserWithDeleted({ email });
@@ -393,10 +468,15 @@ exports.forgotPassword = async (req, res, next) => {
 };
 
 // @desc    Reset password
-// @route   PUT /api/auth/resetpassword/:token
+// @route   PUT /api/v1/auth/password/reset/:token
 // @access  Public
 exports.resetPassword = async (req, res, next) => {
     try {
+        const { error, value } = resetPasswordSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
         const passwordResetToken = crypto
             .createHash('sha256')
             .update(req.params.token)
@@ -420,12 +500,15 @@ exports.resetPassword = async (req, res, next) => {
             });
         }
 
-        user.password = req.body.newPassword;
+        user.password = value.newPassword;
         user.passwordResetToken = undefined;
         user.passwordResetTokenExpires = undefined;
         await user.save();
 
-        res.status(200).json({ success: true, message: 'Password reset successful' });
+        // Whoever had access before the reset loses it
+        await endAllSessions(user._id, 'password-changed');
+
+        res.status(200).json({ success: true, message: 'Password reset successful. Please log in with your new password.' });
     } catch (err) {
         console.error(err);
         res.status(500).json({ success: false, message: 'Server error' });
@@ -433,19 +516,20 @@ exports.resetPassword = async (req, res, next) => {
 };
 
 // @desc    Resend email verification
-// @route   POST /api/auth/resend-verification
+// @route   POST /api/v1/auth/resend-verification
 // @access  Public
 exports.resendVerification = async (req, res, next) => {
     try {
-        const { email } = req.body;
-
-        if (!email) {
+        const { error, value } = emailSchema.validate(req.body || {});
+        if (error) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Please provide an email address' 
+                message: error.details[0].message 
             });
         }
 
+        const { email } = value;
+
         // Find user by email (including soft-deleted users)
         const user = await User.findUserWithDeleted({ email });
 
@@ -477,7 +561,7 @@ exports.resendVerification = async (req, res, next) => {
         const verificationToken = user.getEmailVerificationToken();
         await user.save();
 
-        const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/auth/verifyemail?token=${verificationToken}`;
+        const verifyUrl = `${getProtocol(req)}://${req.get('host')}/api/v1/auth/verify-email?token=${verificationToken}`;
         const message = `Please verify your email by copying and pasting this link into your browser: \n\n ${verifyUrl} \n\n This link will expire in 10 minutes.`;
 
         try {
@@ -515,4 +599,327 @@ exports.resendVerification = async (req, res, next) => {
             message: 'Server error' 
         });
     }
-}; 
\ No newline at end of file
+}; 
+
+// Helper function to shape a session for responses
+const sessionResponse = (session, currentSessionId) => ({
+    id: session._id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    current: !!currentSessionId && session._id.toString() === currentSessionId.toString(),
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt
+});
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/v1/auth/refresh
+// @access  Public (refresh token)
+exports.refreshToken = async (req, res, next) => {
+    try {
+        const { error, value } = refreshTokenSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const { tokens } = await refreshSession(value.refreshToken, { ipAddress: req.ip });
+
+        res.status(200).json({ success: true, ...tokens });
+    } catch (err) {
+        if (err instanceof SessionError) {
+            return res.status(err.statusCode).json({ success: false, message: err.message });
+        }
+
+        console.error('Error in refreshToken:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Log out the session a refresh token belongs to
+// @route   POST /api/v1/auth/logout
+// @access  Public (refresh token)
+exports.logout = async (req, res, next) => {
+    try {
+        const { error, value } = refreshTokenSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        await endSession(value.refreshToken);
+
+        res.status(200).json({ success: true, message: 'Logged out successfully' });
+    } catch (err) {
+        console.error('Error in logout:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sessions: sessions.map(session => sessionResponse(session, req.auth.sessionId))
+            }
+        });
+    } catch (err) {
+        console.error('Error in getSessions:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+    try {
+        const result = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Session.revokeWhere({ _id: req.params.id, user: req.user._id })
+            : null;
+
+        if (!result || result.modifiedCount === 0) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        res.status(200).json({ success: true, message: 'Session revoked successfully' });
+    } catch (err) {
+        console.error('Error in revokeSession:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Revoke all of the current user's sessions (optionally keeping this one)
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res, next) => {
+    try {
+        const { error, value } = revokeSessionsQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const query = { user: req.user._id };
+        if (value.exceptCurrent && req.auth.sessionId) {
+            query._id = { $ne: req.auth.sessionId };
+        }
+
+        const result = await Session.revokeWhere(query);
+
+        res.status(200).json({
+            success: true,
+            message: 'Sessions revoked successfully',
+            data: { revoked: result.modifiedCount }
+        });
+    } catch (err) {
+        console.error('Error in revokeAllSessions:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Helper function to send two-factor errors with their status
+const sendTwoFactorError = (res, err, context) => {
+    if (err instanceof TwoFactorError) {
+        return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+    console.error(`Error in ${context}:`, err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// Helper function to re-check the password, and the current second factor once
+// enabled, before two-factor settings change
+const confirmIdentity = async (userId, { password, code }) => {
+    const user = await findUserForTwoFactor({ _id: userId });
+    if (!user) {
+        throw new TwoFactorError('User not found', 404);
+    }
+
+    if (!await user.matchPassword(password)) {
+        throw new TwoFactorError('Incorrect password', 400);
+    }
+
+    if (user.twoFactor.enabled) {
+        if (!code) {
+            throw new TwoFactorError('Please provide an authentication code', 400);
+        }
+        await verifySecondFactor(user, code);
+    }
+
+    return user;
+};
+
+// @desc    Complete a two-factor login with an authenticator or recovery code
+// @route   POST /api/v1/auth/login/2fa
+// @access  Public (challenge token)
+exports.loginTwoFactor = async (req, res, next) => {
+    try {
+        const { error, value } = twoFactorLoginSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const challenge = verifyLoginChallenge(value.challengeToken);
+        const user = await findUserForTwoFactor({ _id: challenge.userId });
+
+        // A password change or 2FA being turned off since the first step cancels the challenge
+        if (!user || (user.tokenVersion || 0) !== challenge.tokenVersion || !user.twoFactor.enabled) {
+            return res.status(401).json({ success: false, message: 'Login challenge is invalid or has expired; please log in again' });
+        }
+
+        const result = await verifySecondFactor(user, value.code);
+
+        const { tokens } = await createSession(user, {
+            deviceName: challenge.deviceName,
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            ...(result.method === 'recovery-code'
+                ? { message: `Recovery code used. ${result.recoveryCodesRemaining} recovery codes left.` }
+                : {}),
+            ...tokens,
+            data: {
+                user: loginUserResponse(user),
+                recoveryCodesRemaining: result.recoveryCodesRemaining
+            }
+        });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'loginTwoFactor');
+    }
+};
+
+// @desc    Get the current user's two-factor status
+// @route   GET /api/v1/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res, next) => {
+    try {
+        const user = await findUserForTwoFactor({ _id: req.user._id });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                enabled: user.twoFactor.enabled,
+                enabledAt: user.twoFactor.enabledAt,
+                setupPending: !!user.twoFactor.pendingSecret,
+                recoveryCodesRemaining: user.twoFactor.enabled ? countUnusedRecoveryCodes(user) : 0
+            }
+        });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'getTwoFactorStatus');
+    }
+};
+
+// @desc    Start two-factor enrollment, or re-enrollment with a new authenticator
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+    try {
+        const { error, value } = twoFactorSetupSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const user = await confirmIdentity(req.user._id, value);
+        const { secret, otpauthUri } = await startEnrollment(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Add the secret to your authenticator app, then confirm with a code from it',
+            data: { secret, otpauthUri }
+        });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'setupTwoFactor');
+    }
+};
+
+// @desc    Confirm two-factor enrollment and get recovery codes
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Private
+exports.verifyTwoFactorSetup = async (req, res, next) => {
+    try {
+        const { error, value } = twoFactorCodeSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        const user = await findUserForTwoFactor({ _id: req.user._id });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const recoveryCodes = await completeEnrollment(user, value.code);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes now; they cannot be shown again.',
+            data: { recoveryCodes }
+        });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'verifyTwoFactorSetup');
+    }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const { error, value } = twoFactorConfirmSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+
+        const user = await confirmIdentity(req.user._id, value);
+        const recoveryCodes = await replaceRecoveryCodes(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes issued; the old ones no longer work. Store them now; they cannot be shown again.',
+            data: { recoveryCodes }
+        });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'regenerateRecoveryCodes');
+    }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+    try {
+        const { error, value } = twoFactorConfirmSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({ success: false, message: error.details[0].message });
+        }
+
+        if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+
+        const user = await confirmIdentity(req.user._id, value);
+        await removeTwoFactor(user);
+
+        res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (err) {
+        sendTwoFactorError(res, err, 'disableTwoFactor');
+    }
+};
@@ -0,0 +1,181 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const { fetchRecordingAudio } = require('../services/twilioService');
+const { callQuerySchema } = require('../validators/callValidator');
+
+// Escape user input before using it in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to find a call of the current user; malformed IDs are treated as not found
+const findOwnCall = (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return null;
+    }
+
+    return Call.findOne({ _id: req.params.id, user: req.user.id });
+};
+
+// @desc    Get call log with filters and pagination
+// @route   GET /api/v1/calls
+// @access  Private
+const getCalls = async (req, res) => {
+    try {
+        // Validate query parameters
+        const { error, value } = callQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, status, direction, missed, customer, search, startDate, endDate, sortOrder } = value;
+        const skip = (page - 1) * limit;
+
+        // Build query for current user's calls
+        const query = { user: req.user.id };
+
+        if (status) query.status = status;
+        if (direction) query.direction = direction;
+        if (missed !== undefined) query.missed = missed;
+        if (customer) query.customer = customer;
+
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = startDate;
+            if (endDate) query.createdAt.$lte = endDate;
+        }
+
+        // Search by caller or called number
+        if (search && search.trim() !== '') {
+            const searchTerm = escapeRegex(search.trim());
+            query.$or = [
+                { from: { $regex: searchTerm, $options: 'i' } },
+                { to: { $regex: searchTerm, $options: 'i' } }
+            ];
+        }
+
+        const calls = await Call.find(query)
+            .populate('customer', 'name address phoneNumber')
+            .populate('task', 'heading summary isResolved')
+            .sort({ createdAt: sortOrder === 'asc' ? 1 : -1 })
+            .skip(skip)
+            .limit(limit);
+
+        // Get total count for pagination
+        const totalCalls = await Call.countDocuments(query);
+        const totalPages = Math.ceil(totalCalls / limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                calls,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalCalls,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1,
+                    limit
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error in getCalls:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retrieving calls'
+        });
+    }
+};
+
+// @desc    Get call by ID
+// @route   GET /api/v1/calls/:id
+// @access  Private
+const getCallById = async (req, res) => {
+    try {
+        const call = await findOwnCall(req);
+
+        if (!call) {
+            return res.status(404).json({
+                success: false,
+                message: 'Call not found'
+            });
+        }
+
+        await call.populate([
+            { path: 'customer', select: 'name address phoneNumber' },
+            { path: 'task', select: 'heading summary isResolved' }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: call
+        });
+    } catch (error) {
+        console.error('Error in getCallById:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retrieving call'
+        });
+    }
+};
+
+// @desc    Stream a call's voicemail recording
+// @route   GET /api/v1/calls/:id/voicemail
+// @access  Private
+const getCallVoicemail = async (req, res) => {
+    try {
+        const call = await findOwnCall(req);
+
+        if (!call) {
+            return res.status(404).json({
+                success: false,
+                message: 'Call not found'
+            });
+        }
+
+        if (!call.hasVoicemail()) {
+            return res.status(404).json({
+                success: false,
+                message: call.voicemail && call.voicemail.deletedAt
+                    ? 'Voicemail recording has expired'
+                    : 'No voicemail for this call'
+            });
+        }
+
+        // Proxy the audio so clients never see the raw Twilio URL or credentials
+        const recording = await fetchRecordingAudio(call.voicemail.recordingSid);
+
+        res.set({
+            'Content-Type': recording.headers.get('content-type') || 'audio/mpeg',
+            'Content-Disposition': `inline; filename="voicemail-${call._id}.mp3"`,
+            'Cache-Control': 'private, no-store'
+        });
+
+        const contentLength = recording.headers.get('content-length');
+        if (contentLength) {
+            res.set('Content-Length', contentLength);
+        }
+
+        Readable.fromWeb(recording.body)
+            .on('error', (streamError) => {
+                console.error('Error streaming voicemail:', streamError);
+                res.destroy(streamError);
+            })
+            .pipe(res);
+    } catch (error) {
+        console.error('Error in getCallVoicemail:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Could not retrieve voicemail recording'
+        });
+    }
+};
+
+module.exports = {
+    getCalls,
+    getCallById,
+    getCallVoicemail
+};
@@ -1,8 +1,9 @@
 const Customer = require('../models/Customer');
 const { emitCustomerCreated, emitCustomerUpdated, emitCustomerDeleted } = require('../services/websocketService');
+const { dispatchWebhookEvent } = require('../services/webhookService');
 
 // @desc    Search customers by name or phone number
-// @route   GET /api/customers
+// @route   GET /api/v1/customers
 // @access  Private
 const searchCustomers = async (req, res) => {
     try {
@@ -62,7 +63,7 @@ const searchCustomers = async (req, res) => {
 };
 
 // @desc    Get customer by ID
-// @route   GET /api/customers/:id
+// @route   GET /api/v1/customers/:id
 // @access  Private
 const getCustomerById = async (req, res) => {
     try {
@@ -93,7 +94,7 @@ const getCustomerById = async (req, res) => {
 };
 
 // @desc    Create new customer
-// @route   POST /api/customers
+// @route   POST /api/v1/customers
 // @access  Private
 const createCustomer = async (req, res) => {
     try {
@@ -133,6 +134,7 @@ const createCustomer = async (req, res) => {
 
         // Emit real-time update
         emitCustomerCreated(req.user.id, customer);
+        dispatchWebhookEvent(req.user.id, 'customer.created', customer);
 
         res.status(201).json({
             success: true,
@@ -160,7 +162,7 @@ const createCustomer = async (req, res) => {
 };
 
 // @desc    Update customer
-// @route   PUT /api/customers/:id
+// @route   PUT /api/v1/customers/:id
 // @access  Private
 const updateCustomer = async (req, res) => {
     try {
@@ -205,6 +207,7 @@ const updateCustomer = async (req, res) => {
 
         // Emit real-time update
         emitCustomerUpdated(req.user.id, customer);
+        dispatchWebhookEvent(req.user.id, 'customer.updated', customer);
 
         res.status(200).json({
             success: true,
@@ -232,7 +235,7 @@ const updateCustomer = async (req, res) => {
 };
 
 // @desc    Soft delete customer
-// @route   DELETE /api/customers/:id
+// @route   DELETE /api/v1/customers/:id
 // @access  Private
 const deleteCustomer = async (req, res) => {
     try {
@@ -262,6 +265,7 @@ const deleteCustomer = async (req, res) => {
 
         // Emit real-time update
         emitCustomerDeleted(req.user.id, customer._id);
+        dispatchWebhookEvent(req.user.id, 'customer.deleted', { customerId: customer._id });
 
         res.status(200).json({
             success: true,
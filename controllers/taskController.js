@@ -1,11 +1,18 @@
 const Task = require('../models/Task');
 const Customer = require('../models/Customer');
 const { taskSchema, taskUpdateSchema, paginationSchema } = require('../validators/taskValidator');
-const { emitTaskCreated, emitTaskUpdated, emitTaskDeleted } = require('../services/websocketService');
+const {
+    emitTaskCreated,
+    emitTaskUpdated,
+    emitTaskResolved,
+    emitTaskDeleted,
+    emitCustomerCreated
+} = require('../services/websocketService');
+const { dispatchWebhookEvent } = require('../services/webhookService');
 const { sendThirdPartyTaskNotification } = require('../services/emailService');
 
 // @desc    Get all tasks with pagination
-// @route   GET /api/tasks
+// @route   GET /api/v1/tasks
 // @access  Private
 const getAllTasks = async (req, res) => {
     try {
@@ -76,7 +83,7 @@ const getAllTasks = async (req, res) => {
 };
 
 // @desc    Get task by ID
-// @route   GET /api/tasks/:id
+// @route   GET /api/v1/tasks/:id
 // @access  Private
 const getTaskById = async (req, res) => {
     try {
@@ -106,7 +113,7 @@ const getTaskById = async (req, res) => {
 };
 
 // @desc    Create new task
-// @route   POST /api/tasks
+// @route   POST /api/v1/tasks
 // @access  Private
 const createTask = async (req, res) => {
     try {
@@ -123,7 +130,8 @@ const createTask = async (req, res) => {
 
         // Check if customer exists (by phone number)
         let customer = await Customer.findOne({ 
-            phoneNumber: customerData.phoneNumber 
+            phoneNumber: customerData.phoneNumber,
+            user: req.user.id // Ensure customer belongs to this user
         });
 
         if (!customer) {
@@ -133,6 +141,9 @@ const createTask = async (req, res) => {
                 user: req.user.id
             });
             await customer.save();
+
+            emitCustomerCreated(req.user.id, customer);
+            dispatchWebhookEvent(req.user.id, 'customer.created', customer);
         }
 
         // Create task
@@ -142,20 +153,24 @@ const createTask = async (req, res) => {
             description,
             conversation: conversation || null,
             isResolved: isResolved || false,
+            source: req.auth.type === 'apiClient' ? 'ai-agent' : 'manual',
+            apiClient: req.auth.type === 'apiClient' ? req.auth.client.id : null,
             customer: customer._id,
             user: req.user.id
         });
 
         await task.save();
+        res.locals.createdTask = task._id;
 
         // Populate customer details for response
         await task.populate('customer', 'name address phoneNumber');
 
-        // Emit real-time update
+        // Emit real-time update and notify webhooks
         emitTaskCreated(req.user.id, task);
+        dispatchWebhookEvent(req.user.id, 'task.created', task);
 
         // Send email notification if this is a third-party request
-        if (req.authType === 'api_key' || req.apiClient?.isThirdParty) {
+        if (req.auth.type === 'apiClient') {
             await sendThirdPartyTaskNotification(req.user, task, customer);
         }
 
@@ -185,7 +200,7 @@ const createTask = async (req, res) => {
 };
 
 // @desc    Update task
-// @route   PUT /api/tasks/:id
+// @route   PUT /api/v1/tasks/:id
 // @access  Private
 const updateTask = async (req, res) => {
     try {
@@ -247,11 +262,16 @@ const updateTask = async (req, res) => {
                     user: req.user.id
                 });
                 await customer.save();
+
+                emitCustomerCreated(req.user.id, customer);
+                dispatchWebhookEvent(req.user.id, 'customer.created', customer);
             }
 
             updateFields.customer = customer._id;
         }
 
+        const wasResolved = task.isResolved;
+
         // Apply updates
         Object.assign(task, updateFields);
         const updatedTask = await task.save();
@@ -259,8 +279,13 @@ const updateTask = async (req, res) => {
         // Populate customer details for response
         await updatedTask.populate('customer', 'name address phoneNumber');
 
-        // Emit real-time update
+        // Emit real-time update and notify webhooks
         emitTaskUpdated(req.user.id, updatedTask);
+        dispatchWebhookEvent(req.user.id, 'task.updated', updatedTask);
+        if (!wasResolved && updatedTask.isResolved) {
+            emitTaskResolved(req.user.id, updatedTask);
+            dispatchWebhookEvent(req.user.id, 'task.resolved', updatedTask);
+        }
 
         res.status(200).json({
             success: true,
@@ -288,7 +313,7 @@ const updateTask = async (req, res) => {
 };
 
 // @desc    Soft delete task
-// @route   DELETE /api/tasks/:id
+// @route   DELETE /api/v1/tasks/:id
 // @access  Private
 const deleteTask = async (req, res) => {
     try {
@@ -315,8 +340,9 @@ const deleteTask = async (req, res) => {
         // Perform soft delete
         await task.softDelete();
 
-        // Emit real-time update
+        // Emit real-time update and notify webhooks
         emitTaskDeleted(req.user.id, task);
+        dispatchWebhookEvent(req.user.id, 'task.deleted', { taskId: task._id });
 
         res.status(200).json({ 
             success: true, 
@@ -336,7 +362,7 @@ const deleteTask = async (req, res) => {
 };
 
 // @desc    Get deleted tasks (for admin/restore purposes)
-// @route   GET /api/tasks/deleted
+// @route   GET /api/v1/tasks/deleted
 // @access  Private
 const getDeletedTasks = async (req, res) => {
     try {
@@ -409,7 +435,7 @@ const getDeletedTasks = async (req, res) => {
 };
 
 // @desc    Restore deleted task
-// @route   PUT /api/tasks/:id/restore
+// @route   PUT /api/v1/tasks/:id/restore
 // @access  Private
 const restoreTask = async (req, res) => {
     try {
@@ -441,8 +467,9 @@ const restoreTask = async (req, res) => {
         // Populate customer details for response
         await task.populate('customer', 'name address phoneNumber');
 
-        // Emit real-time update
+        // Emit real-time update and notify webhooks
         emitTaskUpdated(req.user.id, task);
+        dispatchWebhookEvent(req.user.id, 'task.updated', task);
 
         res.status(200).json({
             success: true,
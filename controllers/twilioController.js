@@ -0,0 +1,553 @@
+const { twiml: { VoiceResponse, MessagingResponse } } = require('twilio');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Call = require('../models/Call');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const {
+    emitCallUpdated,
+    emitCallMissed,
+    emitTaskCreated,
+    emitTaskUpdated,
+    emitCustomerCreated
+} = require('../services/websocketService');
+const { dispatchWebhookEvent } = require('../services/webhookService');
+const { handleMissedCall, AGENT_OUTCOME_GRACE_PERIOD } = require('../services/missedCallService');
+const { getBusinessHoursStatus, resolveCallRoute } = require('../services/businessHoursService');
+
+// Events requested for the leg forwarded to the user's phone
+const FORWARDED_LEG_EVENTS = ['initiated', 'ringing', 'answered', 'completed'];
+// How the forwarded leg's progress shows on the caller's call
+const FORWARDED_LEG_STATUSES = { initiated: 'ringing', ringing: 'ringing', 'in-progress': 'in-progress' };
+
+// Helper function to send a TwiML document back to Twilio
+const sendTwiml = (res, twiml) => {
+    res.type('text/xml');
+    return res.status(200).send(twiml.toString());
+};
+
+// Helper function to format a message as a conversation line
+const formatConversationLine = (speaker, body, date = new Date()) => `[${date.toISOString()}] ${speaker}: ${body}`;
+
+// Helper function to stream the caller to the AI agent
+const connectToAgent = (twiml, user, { CallSid, From, To }, businessHours) => {
+    const connect = twiml.connect();
+    const stream = connect.stream({ url: process.env.AI_AGENT_STREAM_URL });
+    stream.parameter({ name: 'userId', value: user._id.toString() });
+    stream.parameter({ name: 'callSid', value: CallSid });
+    stream.parameter({ name: 'assignedNumber', value: To });
+    stream.parameter({ name: 'callerNumber', value: From || '' });
+    if (businessHours.configured) {
+        stream.parameter({ name: 'isOpen', value: String(businessHours.isOpen) });
+        stream.parameter({ name: 'nextOpenAt', value: businessHours.nextOpenAt ? businessHours.nextOpenAt.toISOString() : '' });
+    }
+};
+
+// Helper function to let the caller leave a voicemail
+const recordVoicemail = (twiml) => {
+    const recordOptions = {
+        maxLength: 120,
+        playBeep: true,
+        action: '/api/twilio/voice/recording'
+    };
+
+    if (process.env.TWILIO_TRANSCRIBE_VOICEMAIL !== 'false') {
+        recordOptions.transcribe = true;
+        recordOptions.transcribeCallback = '/api/twilio/voice/transcription';
+    }
+
+    twiml.say('Please leave your name, number and a short message after the tone.');
+    twiml.record(recordOptions);
+    twiml.hangup();
+};
+
+// Helper function to route the caller according to the user's call routing rules.
+// Returns the handoff recorded on the call log.
+const connectCaller = (twiml, user, params) => {
+    const businessHours = getBusinessHoursStatus(user);
+    const hasAgent = !!process.env.AI_AGENT_STREAM_URL;
+
+    // Without a schedule, prefer the AI agent and fall back to forwarding
+    let route = resolveCallRoute(user) || (hasAgent ? 'ai-agent' : 'forward');
+
+    // Fall back when the preferred destination isn't available
+    if (route === 'ai-agent' && !hasAgent) {
+        route = businessHours.isOpen === false ? 'voicemail' : 'forward';
+    }
+    if (route === 'forward' && !user.phoneNumber) {
+        route = hasAgent ? 'ai-agent' : 'voicemail';
+    }
+
+    if (route === 'ai-agent') {
+        connectToAgent(twiml, user, params, businessHours);
+    } else if (route === 'forward') {
+        // Number-level callbacks report the user's phone ringing and answering; the
+        // callback on the Twilio number itself only ever sends `completed`
+        twiml.dial({ callerId: params.To, action: '/api/twilio/voice/dial-status' })
+            .number({
+                statusCallback: '/api/twilio/voice/status',
+                statusCallbackEvent: FORWARDED_LEG_EVENTS.join(' ')
+            }, user.phoneNumber);
+    } else {
+        recordVoicemail(twiml);
+    }
+
+    return route;
+};
+
+// @desc    Answer inbound calls to a user's assigned Twilio number
+// @route   POST /api/twilio/voice
+// @access  Public (Twilio webhook)
+const handleIncomingCall = async (req, res) => {
+    const twiml = new VoiceResponse();
+
+    try {
+        const { CallSid, From, To, CallStatus, Direction } = req.body;
+
+        if (!CallSid || !To) {
+            twiml.hangup();
+            return sendTwiml(res, twiml);
+        }
+
+        // Find user by Twilio phone number
+        const user = await User.findOne({
+            twilioPhoneNumber: To,
+            isDeleted: { $ne: true }
+        });
+
+        // Match the caller to one of the user's existing customers
+        const customer = user && From
+            ? await Customer.findOne({ phoneNumber: From, user: user._id })
+            : null;
+
+        // Record the call even when the number is no longer assigned
+        const call = await Call.findOneAndUpdate(
+            { callSid: CallSid },
+            {
+                $set: {
+                    from: From,
+                    to: To,
+                    status: CallStatus || null,
+                    direction: Call.normalizeDirection(Direction)
+                },
+                $setOnInsert: {
+                    user: user ? user._id : null,
+                    customer: customer ? customer._id : null,
+                    startedAt: new Date()
+                }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        if (!user) {
+            twiml.say('Sorry, the number you have called is not in service.');
+            twiml.hangup();
+            return sendTwiml(res, twiml);
+        }
+
+        const businessName = `${user.firstname} ${user.lastname}`;
+        twiml.say(`Thank you for calling ${businessName}${user.profession ? `, ${user.profession}` : ''}.`);
+
+        call.handoff = connectCaller(twiml, user, req.body);
+        await call.save();
+
+        return sendTwiml(res, twiml);
+    } catch (error) {
+        console.error('Error in handleIncomingCall:', error);
+        // Twilio plays an application error if it gets a non-TwiML response
+        const fallback = new VoiceResponse();
+        fallback.say('We are unable to take your call right now. Please try again later.');
+        fallback.hangup();
+        return sendTwiml(res, fallback);
+    }
+};
+
+// Helper function to apply a forwarded leg's progress to the caller's call
+const applyForwardedLegStatus = async (parentCallSid, status) => {
+    // The dial action records how the forwarded leg ended, so only progress is applied
+    const parentStatus = FORWARDED_LEG_STATUSES[status];
+    if (!parentStatus) {
+        return;
+    }
+
+    const call = await Call.findOne({ callSid: parentCallSid });
+    // Callbacks can arrive out of order; an answered call never goes back to ringing
+    if (!call || call.isFinished() || call.status === parentStatus || call.status === 'in-progress') {
+        return;
+    }
+
+    call.status = parentStatus;
+    await call.save();
+
+    if (call.user) {
+        await call.populate([
+            { path: 'customer', select: 'name address phoneNumber' },
+            { path: 'task', select: 'heading summary isResolved' }
+        ]);
+
+        emitCallUpdated(call.user, call);
+    }
+};
+
+// @desc    Receive call status callbacks for assigned numbers
+// @route   POST /api/twilio/voice/status
+// @access  Public (Twilio webhook)
+const handleCallStatus = async (req, res) => {
+    try {
+        const { CallSid, ParentCallSid, From, To, CallStatus, StatusCallbackEvent, CallDuration, Direction } = req.body;
+        const status = Call.normalizeStatus(CallStatus || StatusCallbackEvent);
+
+        if (!CallSid || !status) {
+            return res.status(400).json({
+                success: false,
+                message: 'CallSid and CallStatus are required'
+            });
+        }
+
+        // Callback for the leg forwarded to the user's phone, not a call of its own
+        if (ParentCallSid) {
+            await applyForwardedLegStatus(ParentCallSid, status);
+            return res.status(200).json({ success: true });
+        }
+
+        let call = await Call.findOne({ callSid: CallSid });
+
+        if (!call) {
+            // Status arrived before (or without) the voice webhook
+            const user = To
+                ? await User.findOne({ twilioPhoneNumber: To, isDeleted: { $ne: true } })
+                : null;
+
+            call = new Call({
+                callSid: CallSid,
+                from: From,
+                to: To,
+                user: user ? user._id : null,
+                direction: Call.normalizeDirection(Direction),
+                startedAt: new Date()
+            });
+        }
+
+        // Callbacks can arrive out of order; never move a finished call back to an earlier state
+        if (!call.isFinished()) {
+            call.status = status;
+        }
+
+        if (CallDuration !== undefined) {
+            call.duration = parseInt(CallDuration, 10) || 0;
+        }
+
+        const justFinished = call.isFinished() && !call.endedAt;
+
+        if (justFinished) {
+            call.endedAt = new Date();
+
+            // The agent books the job after the caller hangs up; decide later in the missed call job
+            if (call.awaitsAgentOutcome()) {
+                call.agentOutcomeDueAt = new Date(call.endedAt.getTime() + AGENT_OUTCOME_GRACE_PERIOD);
+            } else {
+                call.missed = call.isMissed();
+            }
+        }
+
+        await call.save();
+
+        if (call.user) {
+            await call.populate([
+                { path: 'customer', select: 'name address phoneNumber' },
+                { path: 'task', select: 'heading summary isResolved' }
+            ]);
+
+            // Emit real-time update
+            emitCallUpdated(call.user, call);
+
+            if (justFinished && call.missed) {
+                emitCallMissed(call.user, call);
+
+                // Text the caller back and open a placeholder task
+                await handleMissedCall(call);
+            }
+        }
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        console.error('Error in handleCallStatus:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing call status'
+        });
+    }
+};
+
+// @desc    Record the outcome of a call forwarded to the user's phone
+// @route   POST /api/twilio/voice/dial-status
+// @access  Public (Twilio webhook)
+const handleDialStatus = async (req, res) => {
+    const twiml = new VoiceResponse();
+
+    try {
+        const { CallSid, DialCallStatus } = req.body;
+
+        if (CallSid && DialCallStatus) {
+            await Call.updateOne(
+                { callSid: CallSid },
+                { $set: { dialStatus: DialCallStatus } }
+            );
+        }
+
+        twiml.hangup();
+        return sendTwiml(res, twiml);
+    } catch (error) {
+        console.error('Error in handleDialStatus:', error);
+        twiml.hangup();
+        return sendTwiml(res, twiml);
+    }
+};
+
+// @desc    Store a voicemail recording and open a task for it
+// @route   POST /api/twilio/voice/recording
+// @access  Public (Twilio webhook)
+const handleRecording = async (req, res) => {
+    const twiml = new VoiceResponse();
+
+    try {
+        const { CallSid, RecordingSid, RecordingUrl, RecordingDuration } = req.body;
+        const duration = parseInt(RecordingDuration, 10) || 0;
+
+        const call = CallSid ? await Call.findOne({ callSid: CallSid }) : null;
+
+        // Nothing to keep if the caller hung up without speaking
+        if (!call || !call.user || !RecordingSid || duration < 1) {
+            twiml.hangup();
+            return sendTwiml(res, twiml);
+        }
+
+        call.voicemail = {
+            recordingSid: RecordingSid,
+            recordingUrl: RecordingUrl,
+            duration,
+            transcriptionStatus: process.env.TWILIO_TRANSCRIBE_VOICEMAIL !== 'false' ? 'in-progress' : null,
+            recordedAt: new Date()
+        };
+
+        const { customer, created } = call.from
+            ? await Customer.findOrCreateByPhone(call.user, call.from)
+            : { customer: null, created: false };
+
+        if (created) {
+            emitCustomerCreated(call.user, customer);
+            dispatchWebhookEvent(call.user, 'customer.created', customer);
+        }
+
+        if (customer) {
+            const task = new Task({
+                heading: `Voicemail from ${customer.name}`,
+                summary: `Voicemail (${duration}s) left by ${call.from}.`,
+                description: call.voicemail.transcriptionStatus ? 'Transcription pending.' : 'Voicemail recording available in the call log.',
+                source: 'voicemail',
+                customer: customer._id,
+                user: call.user
+            });
+
+            await task.save();
+
+            call.customer = customer._id;
+            call.task = task._id;
+
+            // Populate customer details for the event payload
+            await task.populate('customer', 'name address phoneNumber');
+
+            // Emit real-time update and notify webhooks
+            emitTaskCreated(call.user, task);
+            dispatchWebhookEvent(call.user, 'task.created', task);
+        }
+
+        await call.save();
+
+        twiml.say('Thank you. Your message has been recorded. Goodbye.');
+        twiml.hangup();
+        return sendTwiml(res, twiml);
+    } catch (error) {
+        console.error('Error in handleRecording:', error);
+        twiml.hangup();
+        return sendTwiml(res, twiml);
+    }
+};
+
+// @desc    Store a voicemail transcription and add it to the task
+// @route   POST /api/twilio/voice/transcription
+// @access  Public (Twilio webhook)
+const handleTranscription = async (req, res) => {
+    try {
+        const { CallSid, TranscriptionText, TranscriptionStatus } = req.body;
+
+        const call = CallSid ? await Call.findOne({ callSid: CallSid }) : null;
+
+        if (!call || !call.voicemail || !call.voicemail.recordingSid) {
+            return res.status(404).json({
+                success: false,
+                message: 'Voicemail not found for the provided call SID'
+            });
+        }
+
+        const transcription = TranscriptionStatus === 'completed' ? (TranscriptionText || '').trim() : null;
+
+        call.voicemail.transcription = transcription;
+        call.voicemail.transcriptionStatus = TranscriptionStatus || null;
+        await call.save();
+
+        const task = call.task
+            ? await Task.findOne({ _id: call.task, user: call.user })
+            : null;
+
+        if (task) {
+            if (transcription) {
+                task.description = transcription;
+                task.conversation = formatConversationLine('Caller (voicemail)', transcription, call.voicemail.recordedAt || new Date());
+            } else {
+                task.description = 'Voicemail could not be transcribed. Listen to the recording in the call log.';
+            }
+            await task.save();
+
+            // Emit real-time update and notify webhooks
+            emitTaskUpdated(call.user, task);
+            dispatchWebhookEvent(call.user, 'task.updated', task);
+        }
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        console.error('Error in handleTranscription:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing transcription'
+        });
+    }
+};
+
+// Helper function to file a claimed inbound SMS under the sender's customer and SMS task
+const threadIncomingSms = async (user, message) => {
+    const { from, body } = message;
+
+    // Match the sender to one of the user's customers, or create a placeholder
+    const { customer, created } = await Customer.findOrCreateByPhone(user._id, from);
+
+    if (created) {
+        emitCustomerCreated(user._id, customer);
+        dispatchWebhookEvent(user._id, 'customer.created', customer);
+    }
+
+    const line = formatConversationLine(customer.name, body);
+
+    // Append to the customer's open SMS or missed-call thread, or start a new one
+    let task = await Task.findOne({
+        user: user._id,
+        customer: customer._id,
+        source: { $in: ['sms', 'missed-call'] },
+        isResolved: false
+    }).sort({ updatedAt: -1 });
+
+    const isNewTask = !task;
+
+    if (task) {
+        task.conversation = task.conversation ? `${task.conversation}\n${line}` : line;
+        task.description = body || task.description;
+    } else {
+        task = new Task({
+            heading: `SMS from ${customer.name}`,
+            summary: body.slice(0, 500) || 'Empty message',
+            description: body || 'Empty message',
+            conversation: line,
+            source: 'sms',
+            customer: customer._id,
+            user: user._id
+        });
+    }
+
+    await task.save();
+
+    await Message.updateOne(
+        { _id: message._id },
+        { $set: { customer: customer._id, task: task._id } }
+    );
+
+    // Populate customer details for the event payload
+    await task.populate('customer', 'name address phoneNumber');
+
+    // Emit real-time update and notify webhooks
+    if (isNewTask) {
+        emitTaskCreated(user._id, task);
+        dispatchWebhookEvent(user._id, 'task.created', task);
+    } else {
+        emitTaskUpdated(user._id, task);
+        dispatchWebhookEvent(user._id, 'task.updated', task);
+    }
+};
+
+// @desc    Receive inbound SMS on assigned numbers and thread it into a task
+// @route   POST /api/twilio/sms
+// @access  Public (Twilio webhook)
+const handleIncomingSms = async (req, res) => {
+    const twiml = new MessagingResponse();
+
+    try {
+        const { MessageSid, From, To, Body } = req.body;
+        const body = (Body || '').trim();
+
+        if (!MessageSid || !From || !To) {
+            return sendTwiml(res, twiml);
+        }
+
+        // Find user by Twilio phone number
+        const user = await User.findOne({
+            twilioPhoneNumber: To,
+            isDeleted: { $ne: true }
+        });
+
+        if (!user) {
+            console.warn(`Inbound SMS ${MessageSid} to unassigned number ${To}`);
+            return sendTwiml(res, twiml);
+        }
+
+        // Claim the SID before touching the task: Twilio retries on timeouts, possibly while
+        // this request is still running, and the unique messageSid lets only one of them through
+        let message;
+        try {
+            message = await Message.create({
+                messageSid: MessageSid,
+                direction: 'inbound',
+                from: From,
+                to: To,
+                body,
+                user: user._id
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return sendTwiml(res, twiml);
+            }
+            throw error;
+        }
+
+        try {
+            await threadIncomingSms(user, message);
+        } catch (error) {
+            // Release the claim so Twilio's retry can process the message
+            await Message.deleteOne({ _id: message._id }).catch(() => {});
+            throw error;
+        }
+
+        return sendTwiml(res, twiml);
+    } catch (error) {
+        console.error('Error in handleIncomingSms:', error);
+        // Reply with empty TwiML so the sender gets no error text
+        return sendTwiml(res, new MessagingResponse());
+    }
+};
+
+module.exports = {
+    handleIncomingCall,
+    handleCallStatus,
+    handleDialStatus,
+    handleRecording,
+    handleTranscription,
+    handleIncomingSms
+};
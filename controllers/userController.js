@@ -1,8 +1,24 @@
 const User = require('../models/User');
-const { releasePhoneNumber } = require('../services/twilioService');
+const { releasePhoneNumber, getAvailablePhoneNumbers } = require('../services/twilioService');
+const {
+    PhoneNumberError,
+    claimPhoneNumber,
+    swapPhoneNumber,
+    releaseUserPhoneNumber,
+    provisionPhoneNumber
+} = require('../services/phoneNumberService');
+const {
+    missedCallTextBackSchema,
+    scheduleSchema,
+    callRoutingSchema,
+    availableNumbersQuerySchema,
+    phoneNumberSelectionSchema
+} = require('../validators/userValidator');
+const { getBusinessHoursStatus } = require('../services/businessHoursService');
+const { endAllSessions } = require('../services/sessionService');
 
 // @desc    Get user by ID
-// @route   GET /api/users/:id
+// @route   GET /api/v1/users/:id
 // @access  Private
 const getUserById = async (req, res) => {
     try {
@@ -44,7 +60,7 @@ const getUserById = async (req, res) => {
 };
 
 // @desc    Soft delete user by ID
-// @route   DELETE /api/users/:id
+// @route   DELETE /api/v1/users/:id
 // @access  Private
 const deleteUser = async (req, res) => {
     try {
@@ -66,18 +82,25 @@ const deleteUser = async (req, res) => {
         }
 
         // Release Twilio phone number if assigned
+        const hadTwilioPhone = !!user.twilioPhoneSid;
         if (user.twilioPhoneSid) {
             try {
                 await releasePhoneNumber(user.twilioPhoneSid);
                 console.log(`Released Twilio phone number ${user.twilioPhoneNumber} for user ${user._id}`);
+
+                user.twilioPhoneNumber = null;
+                user.twilioPhoneSid = null;
+                user.twilioPhoneFriendlyName = null;
+                user.twilioPhoneStatus = null;
             } catch (twilioError) {
                 console.error('Failed to release Twilio phone number:', twilioError);
                 // Continue with soft delete even if Twilio release fails
             }
         }
 
-        // Perform soft delete
+        // Perform soft delete (also invalidates the user's access tokens)
         await user.softDelete();
+        await endAllSessions(user._id, 'account-deleted');
 
         res.status(200).json({ 
             success: true, 
@@ -86,7 +109,7 @@ const deleteUser = async (req, res) => {
                 userId: user._id,
                 email: user.email,
                 deletedAt: user.deletedAt,
-                twilioPhoneReleased: !!user.twilioPhoneSid,
+                twilioPhoneReleased: hadTwilioPhone && !user.twilioPhoneSid,
                 message: 'Your account has been deleted'
             }
         });
@@ -100,7 +123,7 @@ const deleteUser = async (req, res) => {
 };
 
 // @desc    Update user profile
-// @route   PUT /api/users/:id
+// @route   PUT /api/v1/users/:id
 // @access  Private
 const editUser = async (req, res) => {
     try {
@@ -136,6 +159,42 @@ const editUser = async (req, res) => {
         if (req.body.profession !== undefined) updateFields.profession = req.body.profession;
         if (req.body.professionDescription !== undefined) updateFields.professionDescription = req.body.professionDescription;
 
+        if (req.body.missedCallTextBack !== undefined) {
+            const { error, value } = missedCallTextBackSchema.validate(req.body.missedCallTextBack);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.details[0].message
+                });
+            }
+            updateFields.missedCallTextBack = {
+                enabled: value.enabled,
+                message: value.message || null
+            };
+        }
+
+        if (req.body.schedule !== undefined) {
+            const { error, value } = scheduleSchema.validate(req.body.schedule);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.details[0].message
+                });
+            }
+            updateFields.schedule = value;
+        }
+
+        if (req.body.callRouting !== undefined) {
+            const { error, value } = callRoutingSchema.validate(req.body.callRouting);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.details[0].message
+                });
+            }
+            updateFields.callRouting = value;
+        }
+
         // Apply updates
         Object.assign(user, updateFields);
         const updatedUser = await user.save();
@@ -155,6 +214,10 @@ const editUser = async (req, res) => {
                 twilioPhoneNumber: updatedUser.twilioPhoneNumber,
                 twilioPhoneFriendlyName: updatedUser.twilioPhoneFriendlyName,
                 twilioPhoneStatus: updatedUser.twilioPhoneStatus,
+                missedCallTextBack: updatedUser.missedCallTextBack,
+                schedule: updatedUser.schedule,
+                callRouting: updatedUser.callRouting,
+                businessHours: getBusinessHoursStatus(updatedUser),
                 updatedAt: updatedUser.updatedAt,
             }
         });
@@ -179,7 +242,7 @@ const editUser = async (req, res) => {
 };
 
 // @desc    Get user profile (current user)
-// @route   GET /api/users/profile
+// @route   GET /api/v1/users/me
 // @access  Private
 const getUserProfile = async (req, res) => {
     try {
@@ -214,6 +277,11 @@ const getUserProfile = async (req, res) => {
                 twilioPhoneNumber: user.twilioPhoneNumber,
                 twilioPhoneFriendlyName: user.twilioPhoneFriendlyName,
                 twilioPhoneStatus: user.twilioPhoneStatus,
+                twilioProvisioning: provisioningResponse(user),
+                missedCallTextBack: user.missedCallTextBack,
+                schedule: user.schedule,
+                callRouting: user.callRouting,
+                businessHours: getBusinessHoursStatus(user),
                 isEmailVerified: user.isEmailVerified,
                 createdAt: user.createdAt,
                 updatedAt: user.updatedAt,
@@ -229,7 +297,7 @@ const getUserProfile = async (req, res) => {
 };
 
 // @desc    Get all customers for a user
-// @route   GET /api/users/:id/customers
+// @route   GET /api/v1/users/:id/customers
 // @access  Private
 const getCustomersByUserId = async (req, res) => {
     try {
@@ -255,10 +323,192 @@ const getCustomersByUserId = async (req, res) => {
     }
 };
 
+// Helper function to shape the phone number part of a user response
+const phoneResponse = (user) => ({
+    twilioPhoneNumber: user.twilioPhoneNumber,
+    twilioPhoneSid: user.twilioPhoneSid,
+    twilioPhoneFriendlyName: user.twilioPhoneFriendlyName,
+    twilioPhoneStatus: user.twilioPhoneStatus
+});
+
+// Helper function to shape the provisioning state of a user response
+const provisioningResponse = (user) => ({
+    attempts: user.twilioProvisioning ? user.twilioProvisioning.attempts : 0,
+    lastError: user.twilioProvisioning ? user.twilioProvisioning.lastError : null,
+    lastAttemptAt: user.twilioProvisioning ? user.twilioProvisioning.lastAttemptAt : null,
+    nextAttemptAt: user.twilioProvisioning ? user.twilioProvisioning.nextAttemptAt : null
+});
+
+// Helper function to respond to phone number service errors
+const handlePhoneNumberError = (res, error, fallbackMessage) => {
+    if (error instanceof PhoneNumberError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+// @desc    Search available Twilio numbers to claim
+// @route   GET /api/v1/users/me/phone/available
+// @access  Private
+const getAvailableNumbers = async (req, res) => {
+    try {
+        const { error, value } = availableNumbersQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const country = value.country || process.env.TWILIO_COUNTRY_CODE || 'US';
+        const numbers = await getAvailablePhoneNumbers(country, value.areaCode, value.contains);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                country,
+                numbers
+            }
+        });
+    } catch (error) {
+        console.error('Error in getAvailableNumbers:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Could not retrieve available phone numbers'
+        });
+    }
+};
+
+// @desc    Claim a chosen Twilio number
+// @route   POST /api/v1/users/me/phone
+// @access  Private
+const claimNumber = async (req, res) => {
+    try {
+        const { error, value } = phoneNumberSelectionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const user = await claimPhoneNumber(req.user, value.phoneNumber);
+
+        res.status(201).json({
+            success: true,
+            message: 'Phone number claimed successfully',
+            data: phoneResponse(user)
+        });
+    } catch (error) {
+        console.error('Error in claimNumber:', error);
+        handlePhoneNumberError(res, error, 'Server error while claiming phone number');
+    }
+};
+
+// @desc    Swap the current Twilio number for a chosen one
+// @route   PUT /api/v1/users/me/phone
+// @access  Private
+const swapNumber = async (req, res) => {
+    try {
+        const { error, value } = phoneNumberSelectionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { user, previousNumberReleased } = await swapPhoneNumber(req.user, value.phoneNumber);
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number swapped successfully',
+            data: {
+                ...phoneResponse(user),
+                previousNumberReleased
+            }
+        });
+    } catch (error) {
+        console.error('Error in swapNumber:', error);
+        handlePhoneNumberError(res, error, 'Server error while swapping phone number');
+    }
+};
+
+// @desc    Release the current Twilio number
+// @route   DELETE /api/v1/users/me/phone
+// @access  Private
+const releaseNumber = async (req, res) => {
+    try {
+        const user = await releaseUserPhoneNumber(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number released successfully',
+            data: phoneResponse(user)
+        });
+    } catch (error) {
+        console.error('Error in releaseNumber:', error);
+        handlePhoneNumberError(res, error, 'Server error while releasing phone number');
+    }
+};
+
+// @desc    Retry failed Twilio number provisioning now
+// @route   POST /api/v1/users/me/phone/retry
+// @access  Private
+const retryPhoneProvisioning = async (req, res) => {
+    try {
+        if (req.user.twilioPhoneSid) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a phone number'
+            });
+        }
+
+        // The service only starts an attempt when none is already in flight
+        const user = await provisionPhoneNumber(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number provisioned successfully',
+            data: {
+                ...phoneResponse(user),
+                provisioning: provisioningResponse(user)
+            }
+        });
+    } catch (error) {
+        console.error('Error in retryPhoneProvisioning:', error.message);
+
+        if (error instanceof PhoneNumberError && error.statusCode === 502) {
+            const user = await User.findById(req.user.id);
+            return res.status(502).json({
+                success: false,
+                message: error.message,
+                data: user ? {
+                    ...phoneResponse(user),
+                    provisioning: provisioningResponse(user)
+                } : undefined
+            });
+        }
+
+        handlePhoneNumberError(res, error, 'Server error while provisioning phone number');
+    }
+};
+
 module.exports = {
     getUserById,
     deleteUser,
     editUser,
     getUserProfile,
     getCustomersByUserId,
+    getAvailableNumbers,
+    claimNumber,
+    swapNumber,
+    releaseNumber,
+    retryPhoneProvisioning,
 }; 
\ No newline at end of file
@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WebhookUrlError, resolveWebhookAddress, sendTestEvent } = require('../services/webhookService');
+const {
+    WEBHOOK_EVENTS,
+    webhookSchema,
+    updateWebhookSchema,
+    webhookDeliveryQuerySchema
+} = require('../validators/webhookValidator');
+
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// Helper function to shape a webhook for responses (the secret is added only when issued)
+const webhookResponse = (webhook) => ({
+    id: webhook._id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    isActive: webhook.isActive,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+});
+
+// Helper function to shape a delivery log entry for responses
+const deliveryResponse = (delivery) => ({
+    id: delivery._id,
+    event: delivery.event,
+    eventId: delivery.payload && delivery.payload.id,
+    isTest: delivery.isTest,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    lastAttemptAt: delivery.lastAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    responseStatus: delivery.responseStatus,
+    durationMs: delivery.durationMs,
+    error: delivery.error,
+    createdAt: delivery.createdAt
+});
+
+// Helper function to find one of the current user's webhooks
+const findOwnWebhook = (req, withSecret = false) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return null;
+    }
+
+    const query = Webhook.findOne({ _id: req.params.id, user: req.user._id });
+    return withSecret ? query.select('+secret') : query;
+};
+
+// @desc    List the current user's webhooks
+// @route   GET /api/v1/webhooks
+// @access  Private
+const getWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                webhooks: webhooks.map(webhookResponse),
+                availableEvents: WEBHOOK_EVENTS
+            }
+        });
+    } catch (error) {
+        console.error('Error in getWebhooks:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retrieving webhooks'
+        });
+    }
+};
+
+// @desc    Create a webhook
+// @route   POST /api/v1/webhooks
+// @access  Private
+const createWebhook = async (req, res) => {
+    try {
+        const { error, value } = webhookSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        // Refuse hosts that resolve to private, loopback or link-local addresses
+        await resolveWebhookAddress(value.url);
+
+        const existing = await Webhook.countDocuments({ user: req.user._id });
+        if (existing >= MAX_WEBHOOKS_PER_USER) {
+            return res.status(409).json({
+                success: false,
+                message: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`
+            });
+        }
+
+        const secret = Webhook.generateSecret();
+        const webhook = await Webhook.create({
+            user: req.user._id,
+            url: value.url,
+            events: value.events,
+            description: value.description || null,
+            secret
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created successfully. Store the secret now; it cannot be shown again.',
+            data: {
+                ...webhookResponse(webhook),
+                secret
+            }
+        });
+    } catch (error) {
+        if (error instanceof WebhookUrlError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error in createWebhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating webhook'
+        });
+    }
+};
+
+// @desc    Update a webhook's URL, events, description or active state
+// @route   PATCH /api/v1/webhooks/:id
+// @access  Private
+const updateWebhook = async (req, res) => {
+    try {
+        const { error, value } = updateWebhookSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const webhook = await findOwnWebhook(req);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        if (value.url !== undefined) {
+            await resolveWebhookAddress(value.url);
+            webhook.url = value.url;
+        }
+        if (value.events !== undefined) webhook.events = value.events;
+        if (value.description !== undefined) webhook.description = value.description || null;
+        if (value.isActive !== undefined) webhook.isActive = value.isActive;
+        await webhook.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: webhookResponse(webhook)
+        });
+    } catch (error) {
+        if (error instanceof WebhookUrlError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error in updateWebhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating webhook'
+        });
+    }
+};
+
+// @desc    Delete a webhook (pending retries are abandoned)
+// @route   DELETE /api/v1/webhooks/:id
+// @access  Private
+const deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await findOwnWebhook(req);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        await Webhook.deleteOne({ _id: webhook._id });
+        await WebhookDelivery.updateMany(
+            { webhook: webhook._id, status: 'pending' },
+            { $set: { status: 'failed', nextAttemptAt: null, error: 'Webhook was deleted or disabled' } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error in deleteWebhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting webhook'
+        });
+    }
+};
+
+// @desc    Replace a webhook's signing secret
+// @route   POST /api/v1/webhooks/:id/rotate-secret
+// @access  Private
+const rotateWebhookSecret = async (req, res) => {
+    try {
+        const webhook = await findOwnWebhook(req);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        const secret = Webhook.generateSecret();
+        webhook.secret = secret;
+        await webhook.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook secret rotated. Deliveries are signed with the new secret from now on.',
+            data: {
+                ...webhookResponse(webhook),
+                secret
+            }
+        });
+    } catch (error) {
+        console.error('Error in rotateWebhookSecret:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while rotating webhook secret'
+        });
+    }
+};
+
+// @desc    Send a test event to a webhook and return the delivery result
+// @route   POST /api/v1/webhooks/:id/test
+// @access  Private
+const sendTestWebhook = async (req, res) => {
+    try {
+        const webhook = await findOwnWebhook(req, true);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        const delivery = await sendTestEvent(webhook);
+
+        res.status(200).json({
+            success: true,
+            message: delivery.status === 'succeeded'
+                ? 'Test event delivered successfully'
+                : 'Test event could not be delivered',
+            data: deliveryResponse(delivery)
+        });
+    } catch (error) {
+        console.error('Error in sendTestWebhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while sending test event'
+        });
+    }
+};
+
+// @desc    Get a webhook's delivery log
+// @route   GET /api/v1/webhooks/:id/deliveries
+// @access  Private
+const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { error, value } = webhookDeliveryQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const webhook = await findOwnWebhook(req);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        const { page, limit, status } = value;
+        const query = { webhook: webhook._id };
+        if (status) query.status = status;
+
+        const deliveries = await WebhookDelivery.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const totalDeliveries = await WebhookDelivery.countDocuments(query);
+        const totalPages = Math.ceil(totalDeliveries / limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                deliveries: deliveries.map(deliveryResponse),
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalDeliveries,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1,
+                    limit
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error in getWebhookDeliveries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while retrieving webhook deliveries'
+        });
+    }
+};
+
+module.exports = {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    sendTestWebhook,
+    getWebhookDeliveries
+};
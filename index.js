@@ -1,13 +1,19 @@
-const express = require('express');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
-const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
 
 dotenv.config();
 
-const app = express();
+const app = require('./app');
+const ApiRequestLog = require('./models/ApiRequestLog');
+const { authenticateSocket } = require('./middleware/socketAuth');
+const { startVoicemailRetentionJob } = require('./jobs/voicemailRetentionJob');
+const { startPhoneProvisioningJob } = require('./jobs/phoneProvisioningJob');
+const { startPhoneReconciliationJob } = require('./jobs/phoneReconciliationJob');
+const { startWebhookDeliveryJob } = require('./jobs/webhookDeliveryJob');
+const { startMissedCallJob } = require('./jobs/missedCallJob');
+
 const server = http.createServer(app);
 
 // Socket.io setup
@@ -21,14 +27,21 @@ const io = socketIo(server, {
 // Make io available globally
 global.io = io;
 
+// Only authenticated users may connect; each socket joins its own user's room
+io.use(authenticateSocket);
+
 // Socket connection handling
 io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
+    const userId = socket.data.user._id.toString();
+    console.log(`Client connected: ${socket.id} (user ${userId})`);
     
-    // Join user to their personal room
-    socket.on('join-user-room', (userId) => {
+    // Kept for older clients: the socket is already in its room, and other users' rooms are refused
+    socket.on('join-user-room', (requestedUserId) => {
+        if (String(requestedUserId) !== userId) {
+            console.warn(`Socket ${socket.id} of user ${userId} tried to join the room of user ${requestedUserId}`);
+            return;
+        }
         socket.join(`user-${userId}`);
-        console.log(`User ${userId} joined their room`);
     });
     
     socket.on('disconnect', () => {
@@ -36,26 +49,6 @@ io.on('connection', (socket) => {
     });
 });
 
-// CORS configuration
-app.use(cors({
-    origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000', 'http://localhost:3001'],
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-}));
-
-app.use(express.json());
-
-// Serve static files from public directory
-app.use(express.static('public'));
-
-// Mount routers
-app.use('/api/auth', require('./routes/authRoutes'));
-app.use('/api/users', require('./routes/userRoutes'));
-app.use('/api/tasks', require('./routes/taskRoutes'));
-app.use('/api/customers', require('./routes/customerRoutes'));
-app.use('/api', require('./routes/apiRoutes'));
-
 const PORT = process.env.PORT || 5000;
 
 mongoose.connect(process.env.MONGO_URI, {
@@ -63,10 +56,23 @@ mongoose.connect(process.env.MONGO_URI, {
     useUnifiedTopology: true,
 }).then(() => {
     console.log('Connected to MongoDB');
+
+    // Pick up API_USAGE_RETENTION_DAYS changes on the existing TTL index
+    ApiRequestLog.syncRetention().catch(error => {
+        console.error('Failed to update API usage log retention:', error);
+    });
+
+    // Background jobs
+    startVoicemailRetentionJob();
+    startPhoneProvisioningJob();
+    startPhoneReconciliationJob();
+    startWebhookDeliveryJob();
+    startMissedCallJob();
+
     server.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
         console.log(`WebSocket server is ready for real-time updates`);
     });
 }).catch(err => {
     console.error('Connection to MongoDB failed', err);
-}); 
\ No newline at end of file
+}); 
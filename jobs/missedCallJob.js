@@ -0,0 +1,23 @@
+const { flagMissedAgentCalls } = require('../services/missedCallService');
+
+const RUN_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Run the missed AI agent call job now and then periodically
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startMissedCallJob = () => {
+    const run = () => flagMissedAgentCalls().catch(error => {
+        console.error('Missed call job failed:', error);
+    });
+
+    run();
+    const timer = setInterval(run, RUN_INTERVAL);
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    startMissedCallJob
+};
@@ -0,0 +1,71 @@
+const User = require('../models/User');
+const { provisionPhoneNumber, MAX_AUTO_ATTEMPTS, STALE_PENDING_AFTER } = require('../services/phoneNumberService');
+
+const RUN_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const BATCH_SIZE = 20;
+
+/**
+ * Retry failed (or stuck pending) phone number provisioning for verified users
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} { attempted, succeeded }
+ */
+const retryFailedProvisioning = async (now = new Date()) => {
+    const users = await User.find({
+        isEmailVerified: true,
+        twilioPhoneSid: null,
+        'twilioProvisioning.attempts': { $not: { $gte: MAX_AUTO_ATTEMPTS } },
+        $or: [
+            {
+                twilioPhoneStatus: 'failed',
+                $or: [
+                    { 'twilioProvisioning.nextAttemptAt': null },
+                    { 'twilioProvisioning.nextAttemptAt': { $lte: now } }
+                ]
+            },
+            {
+                twilioPhoneStatus: 'pending',
+                'twilioProvisioning.lastAttemptAt': { $lt: new Date(now.getTime() - STALE_PENDING_AFTER) }
+            }
+        ]
+    })
+        .sort({ 'twilioProvisioning.nextAttemptAt': 1 })
+        .limit(BATCH_SIZE);
+
+    let succeeded = 0;
+
+    for (const user of users) {
+        try {
+            await provisionPhoneNumber(user);
+            succeeded++;
+        } catch (error) {
+            // Failure and next retry time are recorded on the user
+        }
+    }
+
+    if (users.length > 0) {
+        console.log(`Phone provisioning retry: ${succeeded}/${users.length} succeeded`);
+    }
+
+    return { attempted: users.length, succeeded };
+};
+
+/**
+ * Run the provisioning retry job now and then periodically
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startPhoneProvisioningJob = () => {
+    const run = () => retryFailedProvisioning().catch(error => {
+        console.error('Phone provisioning job failed:', error);
+    });
+
+    run();
+    const timer = setInterval(run, RUN_INTERVAL);
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    retryFailedProvisioning,
+    startPhoneProvisioningJob
+};
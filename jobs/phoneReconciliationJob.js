@@ -0,0 +1,54 @@
+const { reconcilePhoneNumbers } = require('../services/phoneReconciliationService');
+
+const RUN_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Reconcile Twilio numbers with users and log anything that doesn't line up.
+ * Numbers with outdated webhook URLs are updated; orphaned numbers are released
+ * when PHONE_RECONCILIATION_AUTO_RELEASE=true.
+ * @returns {Promise<Object>} Reconciliation report
+ */
+const runPhoneReconciliation = async () => {
+    const report = await reconcilePhoneNumbers({
+        autoRelease: process.env.PHONE_RECONCILIATION_AUTO_RELEASE === 'true',
+        syncWebhooks: true
+    });
+
+    const { summary } = report;
+    if (summary.orphanedNumbers || summary.usersWithReleasedNumbers || summary.duplicates) {
+        console.warn(
+            `Phone reconciliation: ${summary.orphanedNumbers} orphaned (${summary.released} released), ` +
+            `${summary.usersWithReleasedNumbers} users with released numbers, ${summary.duplicates} duplicates`
+        );
+    }
+
+    if (summary.outdatedWebhooks) {
+        console.warn(
+            `Phone reconciliation: ${summary.webhooksUpdated} of ${summary.outdatedWebhooks} numbers ` +
+            'pointed at the current webhook URLs'
+        );
+    }
+
+    return report;
+};
+
+/**
+ * Run the phone number reconciliation now and then daily
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startPhoneReconciliationJob = () => {
+    const run = () => runPhoneReconciliation().catch(error => {
+        console.error('Phone reconciliation job failed:', error);
+    });
+
+    run();
+    const timer = setInterval(run, RUN_INTERVAL);
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    runPhoneReconciliation,
+    startPhoneReconciliationJob
+};
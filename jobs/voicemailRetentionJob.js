@@ -0,0 +1,103 @@
+const Call = require('../models/Call');
+const { deleteRecording } = require('../services/twilioService');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const RUN_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const BATCH_SIZE = 100;
+const MAX_RETRY_DELAY = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Back off from recordings that keep failing: 6, 12, 24 ... hours, capped at a week
+const getRetryDelay = (attempts) => Math.min(RUN_INTERVAL * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+/**
+ * Delete voicemail recordings older than VOICEMAIL_RETENTION_DAYS from Twilio.
+ * Metadata and transcriptions are kept on the call log; only the audio is removed.
+ * Works through every expired recording in batches; a recording that can't be removed
+ * is set aside with a growing delay so it doesn't hold up the rest.
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} { purged, failed }
+ */
+const purgeExpiredVoicemails = async (now = new Date()) => {
+    const retentionDays = parseInt(process.env.VOICEMAIL_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+
+    let purged = 0;
+    // Also skipped for the rest of this run in case recording the failure fails too
+    const failedIds = [];
+
+    for (;;) {
+        const calls = await Call.find({
+            _id: { $nin: failedIds },
+            'voicemail.recordingSid': { $ne: null },
+            'voicemail.deletedAt': null,
+            'voicemail.recordedAt': { $lte: cutoff },
+            $or: [
+                { 'voicemail.purgeRetryAt': null },
+                { 'voicemail.purgeRetryAt': { $lte: now } }
+            ]
+        })
+            .sort({ 'voicemail.recordedAt': 1 })
+            .limit(BATCH_SIZE);
+
+        for (const call of calls) {
+            try {
+                await deleteRecording(call.voicemail.recordingSid);
+
+                call.voicemail.recordingUrl = null;
+                call.voicemail.deletedAt = now;
+                call.voicemail.purgeRetryAt = null;
+                await call.save();
+
+                purged++;
+            } catch (error) {
+                console.error(`Failed to purge voicemail for call ${call.callSid}:`, error);
+                failedIds.push(call._id);
+
+                const attempts = (call.voicemail.purgeAttempts || 0) + 1;
+                await Call.updateOne(
+                    { _id: call._id },
+                    {
+                        $set: {
+                            'voicemail.purgeAttempts': attempts,
+                            'voicemail.purgeRetryAt': new Date(now.getTime() + getRetryDelay(attempts))
+                        }
+                    }
+                ).catch(updateError => {
+                    console.error(`Failed to record purge failure for call ${call.callSid}:`, updateError);
+                });
+            }
+        }
+
+        if (calls.length < BATCH_SIZE) {
+            break;
+        }
+    }
+
+    if (purged > 0 || failedIds.length > 0) {
+        console.log(`Purged ${purged} voicemail recordings older than ${retentionDays} days (${failedIds.length} failed)`);
+    }
+
+    return { purged, failed: failedIds.length };
+};
+
+/**
+ * Run the voicemail retention policy now and then periodically
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startVoicemailRetentionJob = () => {
+    const run = () => purgeExpiredVoicemails().catch(error => {
+        console.error('Voicemail retention job failed:', error);
+    });
+
+    run();
+    const timer = setInterval(run, RUN_INTERVAL);
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    purgeExpiredVoicemails,
+    BATCH_SIZE,
+    startVoicemailRetentionJob
+};
@@ -0,0 +1,23 @@
+const { retryDueDeliveries } = require('../services/webhookService');
+
+const RUN_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * Run the webhook retry job now and then periodically
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startWebhookDeliveryJob = () => {
+    const run = () => retryDueDeliveries().catch(error => {
+        console.error('Webhook delivery job failed:', error);
+    });
+
+    run();
+    const timer = setInterval(run, RUN_INTERVAL);
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    startWebhookDeliveryJob
+};
@@ -1,42 +1,15 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticate } = require('./authentication');
 
-const protect = async (req, res, next) => {
-    let token;
+// JWT Authentication Middleware
+const protect = authenticate('jwt');
 
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-            // Get token from header
-            token = req.headers.authorization.split(' ')[1];
-
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Get user from the token (including soft-deleted users to check their status)
-            req.user = await User.findUserWithDeleted({ _id: decoded.id }).select('-password');
-
-            if (!req.user) {
-                return res.status(401).json({ success: false, message: 'Not authorized, user not found' });
-            }
-
-            // Check if user is soft deleted
-            if (req.user.isSoftDeleted()) {
-                return res.status(401).json({ 
-                    success: false, 
-                    message: 'Not authorized, account has been deactivated' 
-                });
-            }
-
-            next();
-        } catch (error) {
-            console.error('Auth middleware error:', error);
-            return res.status(401).json({ success: false, message: 'Not authorized, token failed' });
-        }
+// Restrict a route to admins; use after protect
+const admin = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Not authorized, admin access required' });
     }
 
-    if (!token) {
-        return res.status(401).json({ success: false, message: 'Not authorized, no token' });
-    }
+    next();
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+module.exports = { protect, admin };
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { trackApiUsage } = require('../services/apiUsageService');
+
+// Error carrying the HTTP status for a failed authentication
+class AuthError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Constant-time comparison of two signatures
+const signaturesMatch = (expected, actual) => {
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+    return expectedBuffer.length === actualBuffer.length
+        && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+// Registered strategies by name
+const strategies = new Map();
+
+/**
+ * Register an authentication strategy
+ * @param {Object} strategy - { name, applies(req), authenticate(req) }; authenticate
+ *   resolves to the principal for req.auth or throws an AuthError
+ */
+const registerStrategy = (strategy) => {
+    strategies.set(strategy.name, strategy);
+};
+
+/**
+ * Build middleware that authenticates a request with the first applicable strategy
+ * and sets req.auth. With a single strategy, its own error explains what is missing.
+ * @param {...string} names - Strategy names in order of preference
+ * @returns {Function} Express middleware
+ */
+const authenticate = (...names) => {
+    const chain = names.map(name => {
+        const strategy = strategies.get(name);
+        if (!strategy) {
+            throw new Error(`Unknown authentication strategy: ${name}`);
+        }
+        return strategy;
+    });
+
+    return async (req, res, next) => {
+        try {
+            const strategy = chain.find(candidate => candidate.applies(req))
+                || (chain.length === 1 ? chain[0] : null);
+
+            if (!strategy) {
+                throw new AuthError('Not authorized, no valid token or API key provided');
+            }
+
+            req.auth = await strategy.authenticate(req);
+
+            // The user a request acts as is exposed as req.user for controllers
+            if (req.auth.user) {
+                req.user = req.auth.user;
+            }
+
+            // Log API-key requests for per-client usage analytics
+            if (req.auth.type === 'apiClient') {
+                trackApiUsage(req, res);
+            }
+
+            next();
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            console.error('Authentication error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Authentication error'
+            });
+        }
+    };
+};
+
+/**
+ * Check if a principal may act for a user (tenant)
+ * @param {Object} auth - req.auth principal
+ * @param {string|Object} userId - User ID
+ * @returns {boolean} Whether access is allowed
+ */
+const canActFor = (auth, userId) => {
+    if (!auth || !userId) {
+        return false;
+    }
+
+    if (auth.type === 'user') {
+        return auth.user._id.toString() === userId.toString();
+    }
+
+    if (auth.type === 'apiClient') {
+        return auth.allTenants || auth.tenants.some(id => id.toString() === userId.toString());
+    }
+
+    return false;
+};
+
+// Require an API client scope; requests authenticated as a user pass through
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.auth || req.auth.type !== 'apiClient' || req.auth.scopes.includes(scope)) {
+        return next();
+    }
+
+    return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${scope} scope`
+    });
+};
+
+// Set req.user to the tenant an API client acts for; user logins act for themselves.
+// A client bound to several users picks one with userId in the query or body.
+const resolveTenant = async (req, res, next) => {
+    try {
+        if (!req.auth || req.auth.type !== 'apiClient') {
+            return next();
+        }
+
+        let userId = (req.query && req.query.userId) || (req.body && req.body.userId);
+        if (req.body && req.body.userId !== undefined) {
+            delete req.body.userId;
+        }
+
+        if (!userId) {
+            if (req.auth.allTenants || req.auth.tenants.length !== 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'userId is required for API keys that act for more than one user'
+                });
+            }
+            userId = req.auth.tenants[0];
+        }
+
+        if (!canActFor(req.auth, userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'API key is not allowed to act for this user'
+            });
+        }
+
+        const user = await User.findById(userId).catch(() => null);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        req.user = user;
+        req.auth.actingFor = user._id;
+        next();
+    } catch (error) {
+        console.error('Tenant resolution error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Authentication error'
+        });
+    }
+};
+
+module.exports = {
+    AuthError,
+    signaturesMatch,
+    registerStrategy,
+    authenticate,
+    canActFor,
+    requireScope,
+    resolveTenant
+};
+
+// Built-in strategies
+registerStrategy(require('./strategies/jwtStrategy'));
+registerStrategy(require('./strategies/apiKeyStrategy'));
+registerStrategy(require('./strategies/twilioSignatureStrategy'));
@@ -0,0 +1,89 @@
+// When the unversioned API was deprecated (RFC 9745 Deprecation header)
+const LEGACY_API_DEPRECATED_AT = new Date('2026-10-19T00:00:00Z');
+
+// Turn "/api/auth/resetpassword/:token" into a case-insensitive matcher like Express uses
+const compilePath = (path) => {
+    const names = [];
+    const source = path
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:(\w+)/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+
+    return { regex: new RegExp(`^${source}/?$`, 'i'), names };
+};
+
+/**
+ * Mark a response as coming from a deprecated endpoint
+ * @param {Object} res - Express response
+ * @param {string} successor - Path of the replacement endpoint
+ */
+const setDeprecationHeaders = (res, successor) => {
+    res.set('Deprecation', `@${Math.floor(LEGACY_API_DEPRECATED_AT.getTime() / 1000)}`);
+    res.append('Link', `<${successor}>; rel="successor-version"`);
+
+    if (process.env.LEGACY_API_SUNSET) {
+        const sunset = new Date(process.env.LEGACY_API_SUNSET);
+        if (!Number.isNaN(sunset.getTime())) {
+            res.set('Sunset', sunset.toUTCString());
+        }
+    }
+};
+
+/**
+ * Serve legacy paths through their replacements, with Deprecation headers.
+ * The request URL is rewritten so the successor's full middleware chain runs;
+ * req.originalUrl keeps the legacy path, which signed API requests are verified against.
+ * Mount at the application root, before the successor routes.
+ * @param {Object} options
+ * @param {Array} options.routes - { method, path, successor } for renamed endpoints (":param" allowed)
+ * @param {Object} options.prefixes - Legacy path prefix -> successor prefix, for moved resources
+ * @returns {Function} Express middleware
+ */
+const deprecatedAliases = ({ routes = [], prefixes = {} }) => {
+    const compiledRoutes = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+    const compiledPrefixes = Object.entries(prefixes).map(([prefix, successor]) => ({
+        regex: new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=/|$)`, 'i'),
+        successor
+    }));
+
+    return (req, res, next) => {
+        const [path, query] = req.url.split(/\?(.*)/s);
+        let successor = null;
+
+        for (const route of compiledRoutes) {
+            const match = route.method === req.method || (route.method === 'GET' && req.method === 'HEAD')
+                ? route.regex.exec(path)
+                : null;
+            if (match) {
+                successor = route.names.reduce(
+                    (result, name, index) => result.replace(`:${name}`, match[index + 1]),
+                    route.successor
+                );
+                break;
+            }
+        }
+
+        if (!successor) {
+            const prefix = compiledPrefixes.find(candidate => candidate.regex.test(path));
+            if (prefix) {
+                successor = path.replace(prefix.regex, prefix.successor);
+            }
+        }
+
+        if (!successor) {
+            return next();
+        }
+
+        setDeprecationHeaders(res, successor);
+        req.url = query !== undefined ? `${successor}?${query}` : successor;
+        next();
+    };
+};
+
+module.exports = {
+    LEGACY_API_DEPRECATED_AT,
+    setDeprecationHeaders,
+    deprecatedAliases
+};
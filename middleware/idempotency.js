@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+const REPLAY_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Identify who sent the request; keys are scoped per principal
+const getPrincipal = (auth) => (auth.type === 'apiClient'
+    ? `client:${auth.client.id}`
+    : `user:${auth.user._id}`);
+
+// Hash of everything that makes two requests "the same".
+// The AI agent addresses the tenant and call through headers, so those count too.
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.originalUrl.split('?')[0]}\n`)
+    .update(`${req.headers['assigned-number'] || ''}\n${req.headers['call-sid'] || ''}\n`)
+    .update(req.rawBody || JSON.stringify(req.body || {}))
+    .digest('hex');
+
+// Claim the key for this request, or return the record that already holds it
+const claimKey = async (principal, key, requestHash) => {
+    const now = new Date();
+
+    try {
+        await IdempotencyRecord.create({
+            principal,
+            key,
+            requestHash,
+            expiresAt: new Date(now.getTime() + REPLAY_WINDOW)
+        });
+        return null;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyRecord.findOne({ principal, key });
+
+    // Expired but not yet removed by the TTL monitor: start over
+    if (existing && existing.expiresAt <= now) {
+        await IdempotencyRecord.deleteOne({ _id: existing._id });
+        return claimKey(principal, key, requestHash);
+    }
+
+    return existing;
+};
+
+/**
+ * Idempotency-Key support: the first response per (principal, key) is stored for
+ * 24 hours and replayed on repeats. Reusing a key with a different request gets 409.
+ * Server errors and 429s are not stored, so those requests can be retried with the same key.
+ * Use after authentication.
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Idempotency-Key must be 1-255 printable characters'
+        });
+    }
+
+    const principal = getPrincipal(req.auth);
+    const requestHash = hashRequest(req);
+
+    let existing;
+    try {
+        existing = await claimKey(principal, key, requestHash);
+    } catch (error) {
+        console.error('Idempotency check failed:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error while checking Idempotency-Key'
+        });
+    }
+
+    if (existing) {
+        if (existing.requestHash !== requestHash) {
+            return res.status(409).json({
+                success: false,
+                message: 'Idempotency-Key has already been used with a different request'
+            });
+        }
+
+        if (existing.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is still being processed'
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the response so it can be replayed
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        // Store plain JSON, not documents
+        res.locals.idempotentBody = body === undefined ? null : JSON.parse(JSON.stringify(body));
+        return json(body);
+    };
+
+    // Release the key if the connection drops before a response is sent
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            IdempotencyRecord.deleteOne({ principal, key, status: 'processing' }).catch(error => {
+                console.error('Failed to release Idempotency-Key:', error);
+            });
+        }
+    });
+
+    res.on('finish', () => {
+        const store = res.statusCode < 500 && res.statusCode !== 429;
+
+        const update = store
+            ? IdempotencyRecord.updateOne(
+                { principal, key },
+                {
+                    $set: {
+                        status: 'completed',
+                        responseStatus: res.statusCode,
+                        responseBody: res.locals.idempotentBody === undefined ? null : res.locals.idempotentBody
+                    }
+                }
+            )
+            : IdempotencyRecord.deleteOne({ principal, key });
+
+        update.catch(error => {
+            console.error('Failed to store idempotent response:', error);
+        });
+    });
+
+    next();
+};
+
+module.exports = {
+    idempotency
+};
@@ -0,0 +1,140 @@
+const { incrementCounter, reserveCounter, releaseCounter } = require('../services/rateLimitStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DAILY_TASK_QUOTA = 1000;
+
+// Default policies per route group; override with RATE_LIMIT_<GROUP>=<limit>/<window seconds>
+const RATE_LIMIT_POLICIES = {
+    // Login, registration and password reset, per IP
+    auth: { limit: 10, windowMs: 15 * 60 * 1000, keyBy: 'ip' },
+    // Second step of a two-factor login, per IP, counted apart from the password step
+    authTwoFactor: { limit: 10, windowMs: 15 * 60 * 1000, keyBy: 'ip' },
+    // Endpoints that send emails, per IP
+    authEmail: { limit: 5, windowMs: 60 * 60 * 1000, keyBy: 'ip' },
+    // Third-party API before authentication, per IP, so guessing keys or signatures is throttled
+    apiIp: { limit: 600, windowMs: 60 * 1000, keyBy: 'ip' },
+    // Third-party API, per API client (or user when called with a JWT)
+    api: { limit: 120, windowMs: 60 * 1000, keyBy: 'principal' }
+};
+
+// Resolve a policy, applying any environment override
+const getPolicy = (group) => {
+    const policy = RATE_LIMIT_POLICIES[group];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${group}`);
+    }
+
+    const override = process.env[`RATE_LIMIT_${group.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`];
+    const match = override && override.match(/^(\d+)\/(\d+)$/);
+    if (match) {
+        return { ...policy, limit: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 };
+    }
+
+    return policy;
+};
+
+// Subject a request is counted against
+const getSubject = (req, keyBy) => {
+    if (keyBy === 'principal' && req.auth) {
+        if (req.auth.type === 'apiClient') return `client:${req.auth.client.id}`;
+        if (req.auth.type === 'user') return `user:${req.auth.user._id}`;
+    }
+    return `ip:${req.ip}`;
+};
+
+/**
+ * Build middleware that limits requests for a route group and sets RateLimit-* headers.
+ * Counting failures are logged and the request is let through.
+ * @param {string} group - Policy name from RATE_LIMIT_POLICIES
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (group) => {
+    const { limit, windowMs, keyBy } = getPolicy(group);
+    const windowSeconds = Math.ceil(windowMs / 1000);
+
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await incrementCounter(`${group}:${getSubject(req, keyBy)}`, windowMs);
+        } catch (error) {
+            console.error(`Rate limit check failed for ${group}:`, error);
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+
+        res.set({
+            'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(0, limit - result.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (result.count > limit) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests, please try again later'
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Enforce an API client's daily task creation quota (UTC days).
+ * A slot is reserved before the handler runs, so concurrent requests can't exceed the
+ * quota, and given back when no task was created. User logins are not limited.
+ */
+const dailyTaskQuota = async (req, res, next) => {
+    if (!req.auth || req.auth.type !== 'apiClient') {
+        return next();
+    }
+
+    const quota = req.auth.dailyTaskQuota
+        || parseInt(process.env.API_CLIENT_DAILY_TASK_QUOTA, 10)
+        || DEFAULT_DAILY_TASK_QUOTA;
+    const key = `taskQuota:client:${req.auth.client.id}`;
+
+    let reservation;
+    try {
+        reservation = await reserveCounter(key, DAY, quota);
+    } catch (error) {
+        console.error('Task quota check failed:', error);
+        return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((reservation.resetAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+        'X-Task-Quota-Limit': String(quota),
+        'X-Task-Quota-Remaining': String(Math.max(0, quota - reservation.count)),
+        'X-Task-Quota-Reset': String(resetSeconds)
+    });
+
+    if (!reservation.reserved) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+            success: false,
+            message: `Daily task creation quota of ${quota} reached for this API key`
+        });
+    }
+
+    // 'close' fires once the response is done, whether it finished or the client went away
+    res.once('close', () => {
+        if (!res.locals.createdTask) {
+            releaseCounter(key, DAY, reservation.resetAt).catch(error => {
+                console.error('Failed to return unused task quota:', error);
+            });
+        }
+    });
+
+    next();
+};
+
+module.exports = {
+    RATE_LIMIT_POLICIES,
+    rateLimit,
+    dailyTaskQuota
+};
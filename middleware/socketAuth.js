@@ -0,0 +1,51 @@
+const { AuthError } = require('./authentication');
+const { verifyAccessToken } = require('./strategies/jwtStrategy');
+
+// Access token from the handshake: `auth: { token }` or an Authorization: Bearer header
+const getHandshakeToken = (handshake) => {
+    if (handshake.auth && handshake.auth.token) {
+        return handshake.auth.token;
+    }
+
+    const { authorization } = handshake.headers || {};
+    if (authorization && authorization.startsWith('Bearer')) {
+        return authorization.split(' ')[1];
+    }
+
+    return null;
+};
+
+/**
+ * Socket.IO middleware authenticating a connection with the same access token
+ * (and session and tokenVersion checks) as the HTTP API, and joining the socket
+ * to its user's room. Rejected connections get a connect_error with the reason.
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Socket.IO next callback
+ */
+const authenticateSocket = async (socket, next) => {
+    try {
+        const token = getHandshakeToken(socket.handshake);
+        if (!token) {
+            throw new AuthError('Not authorized, no token');
+        }
+
+        const principal = await verifyAccessToken(token);
+        socket.data.user = principal.user;
+        socket.data.sessionId = principal.sessionId;
+
+        socket.join(`user-${principal.user._id}`);
+        next();
+    } catch (error) {
+        if (!(error instanceof AuthError)) {
+            console.error('Socket authentication error:', error);
+        }
+
+        const connectError = new Error(error instanceof AuthError ? error.message : 'Server error during authentication');
+        connectError.data = { statusCode: error.statusCode || 500 };
+        next(connectError);
+    }
+};
+
+module.exports = {
+    authenticateSocket
+};
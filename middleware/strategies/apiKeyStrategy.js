@@ -0,0 +1,141 @@
+const ApiClient = require('../../models/ApiClient');
+const { AuthError, signaturesMatch } = require('../authentication');
+const { claimNonce } = require('../../services/nonceStore');
+const {
+    SIGNATURE_VERSION,
+    hashBody,
+    computeApiSignature,
+    computeLegacyApiSignature
+} = require('../../utils/apiRequestSigner');
+
+const TIME_WINDOW = 5 * 60 * 1000; // 5 minutes
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+// Only touch lastUsedAt once per minute per client
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+/**
+ * Verify the API key headers on a request and load the registered client.
+ * v2 requests (x-signature-version: 2) sign the method, path, timestamp, nonce and
+ * body hash, and each nonce is accepted once. Legacy requests sign only the key and
+ * timestamp and are accepted only for clients with allowLegacySignature. Requests are
+ * signed with the client's own secret (or the previous one during a rotation's grace window).
+ * @param {Object} req - Express request with x-api-key, x-timestamp and x-signature headers
+ * @returns {Promise<Object>} Active ApiClient document
+ * @throws {AuthError} When the headers, signature or key are not valid
+ */
+const authenticateApiKey = async (req) => {
+    const apiKey = req.headers['x-api-key'];
+    const timestamp = req.headers['x-timestamp'];
+    const signature = req.headers['x-signature'];
+    const version = req.headers['x-signature-version'] || '1';
+    const nonce = req.headers['x-nonce'];
+
+    // Check if required headers are present
+    if (!apiKey || !timestamp || !signature) {
+        throw new AuthError('Missing required authentication headers', 401);
+    }
+
+    if (version !== '1' && version !== SIGNATURE_VERSION) {
+        throw new AuthError('Unsupported signature version', 401);
+    }
+
+    if (version === SIGNATURE_VERSION && (!nonce || !NONCE_PATTERN.test(nonce))) {
+        throw new AuthError('A nonce of 16-128 letters, digits, - or _ is required', 401);
+    }
+
+    // Validate timestamp (prevent replay attacks)
+    const currentTime = Date.now();
+    const requestTime = Number(timestamp);
+
+    if (!Number.isFinite(requestTime) || Math.abs(currentTime - requestTime) > TIME_WINDOW) {
+        throw new AuthError('Request timestamp is too old or too new', 401);
+    }
+
+    // The key must belong to a registered client
+    const client = await ApiClient.findByKey(apiKey);
+
+    if (!client) {
+        throw new AuthError('Invalid API key', 401);
+    }
+
+    if (!client.isActive()) {
+        throw new AuthError('API key has been revoked', 401);
+    }
+
+    let secrets;
+    try {
+        secrets = client.getSigningSecrets(new Date(currentTime));
+    } catch (error) {
+        console.error(`Cannot read the signing secret of API client ${client._id}:`, error.message);
+        throw new AuthError('Server configuration error', 500);
+    }
+
+    if (secrets.length === 0) {
+        console.error(`API client ${client._id} has no signing secret and API_SHARED_SECRET is not configured`);
+        throw new AuthError('Server configuration error', 500);
+    }
+
+    // Verify signature against each secret the client may sign with
+    if (version === SIGNATURE_VERSION) {
+        const bodyHash = hashBody(req.rawBody);
+        const signed = secrets.some(secret => signaturesMatch(computeApiSignature(secret, {
+            method: req.method,
+            path: req.originalUrl,
+            timestamp,
+            nonce,
+            bodyHash
+        }), signature));
+
+        if (!signed) {
+            throw new AuthError('Invalid signature', 401);
+        }
+
+        // Only claim the nonce once the signature checks out
+        const expiresAt = new Date(Math.max(currentTime, requestTime) + TIME_WINDOW);
+        if (!await claimNonce(client._id, nonce, expiresAt)) {
+            throw new AuthError('Nonce has already been used', 401);
+        }
+    } else {
+        if (!client.allowLegacySignature) {
+            throw new AuthError('Legacy signatures are disabled for this API key; use x-signature-version 2', 401);
+        }
+
+        if (!secrets.some(secret => signaturesMatch(computeLegacyApiSignature(secret, apiKey, timestamp), signature))) {
+            throw new AuthError('Invalid signature', 401);
+        }
+    }
+
+    if (!client.lastUsedAt || currentTime - client.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+        client.lastUsedAt = new Date(currentTime);
+        await ApiClient.updateOne({ _id: client._id }, { $set: { lastUsedAt: client.lastUsedAt } });
+    }
+
+    return client;
+};
+
+// Registered API clients; the principal is the client and the users it may act for
+module.exports = {
+    name: 'apiKey',
+
+    applies: (req) => !!req.headers['x-api-key'],
+
+    authenticate: async (req) => {
+        const client = await authenticateApiKey(req);
+
+        return {
+            type: 'apiClient',
+            strategy: 'apiKey',
+            client: {
+                id: client._id,
+                name: client.name,
+                keyPrefix: client.keyPrefix,
+                owner: client.owner
+            },
+            scopes: client.scopes,
+            // The owner is always a tenant of their own clients
+            tenants: [client.owner, ...(client.tenants || []).filter(id => !id.equals(client.owner))],
+            allTenants: client.allTenants === true,
+            dailyTaskQuota: client.dailyTaskQuota
+        };
+    }
+};
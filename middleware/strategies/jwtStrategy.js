@@ -0,0 +1,79 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const { AuthError } = require('../authentication');
+
+/**
+ * Verify an access token and load the user it was issued to
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} Principal for req.auth
+ * @throws {AuthError} When the token is invalid, revoked or outdated
+ */
+const verifyAccessToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new AuthError(error.name === 'TokenExpiredError'
+            ? 'Not authorized, token expired'
+            : 'Not authorized, token failed');
+    }
+
+    // Login challenges share the signing secret but are not access tokens
+    if (decoded.purpose) {
+        throw new AuthError('Not authorized, token failed');
+    }
+
+    // Tokens bound to a session stop working as soon as it is revoked
+    if (decoded.sid) {
+        const session = await Session.findById(decoded.sid);
+
+        if (!session || !session.isActive() || session.user.toString() !== String(decoded.id)) {
+            throw new AuthError('Not authorized, session has been revoked');
+        }
+    }
+
+    // Get user from the token (including soft-deleted users to check their status)
+    const user = await User.findUserWithDeleted({ _id: decoded.id }).select('-password');
+
+    if (!user) {
+        throw new AuthError('Not authorized, user not found');
+    }
+
+    // Check if user is soft deleted
+    if (user.isSoftDeleted()) {
+        throw new AuthError('Not authorized, account has been deactivated');
+    }
+
+    // Password changes and resets bump the version, rejecting tokens issued before
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+        throw new AuthError('Not authorized, token is no longer valid; please log in again');
+    }
+
+    return {
+        type: 'user',
+        strategy: 'jwt',
+        user,
+        sessionId: decoded.sid || null
+    };
+};
+
+// JWT access tokens issued at login or refresh; the principal is the logged-in user
+module.exports = {
+    name: 'jwt',
+
+    applies: (req) => !!(req.headers.authorization && req.headers.authorization.startsWith('Bearer')),
+
+    authenticate: async (req) => {
+        if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+            throw new AuthError('Not authorized, no token');
+        }
+
+        // Get token from header
+        const token = req.headers.authorization.split(' ')[1];
+
+        return verifyAccessToken(token);
+    },
+
+    verifyAccessToken
+};
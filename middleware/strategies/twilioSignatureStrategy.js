@@ -0,0 +1,63 @@
+const { AuthError, signaturesMatch } = require('../authentication');
+const { computeTwilioSignature } = require('../../utils/twilioSigner');
+
+// Resolve the auth token used to verify signatures.
+// Test mode verifies against a local fake signer's token instead of the real Twilio token.
+const getAuthToken = () => {
+    if (process.env.TWILIO_SIGNATURE_MODE === 'test') {
+        if (process.env.NODE_ENV === 'production') {
+            console.error('TWILIO_SIGNATURE_MODE=test is not allowed in production');
+            return null;
+        }
+        return process.env.TWILIO_TEST_AUTH_TOKEN;
+    }
+    return process.env.TWILIO_AUTH_TOKEN;
+};
+
+// Rebuild the full URL Twilio requested.
+// TWILIO_WEBHOOK_BASE_URL pins the public origin when running behind a proxy.
+const getRequestUrl = (req) => {
+    if (process.env.TWILIO_WEBHOOK_BASE_URL) {
+        return `${process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/+$/, '')}${req.originalUrl}`;
+    }
+    const protocol = req.headers['x-forwarded-proto']
+        ? req.headers['x-forwarded-proto'].split(',')[0].trim()
+        : req.protocol;
+    return `${protocol}://${req.get('host')}${req.originalUrl}`;
+};
+
+// Twilio webhooks signed with X-Twilio-Signature; the principal is the Twilio account
+module.exports = {
+    name: 'twilioSignature',
+
+    applies: (req) => !!req.headers['x-twilio-signature'],
+
+    authenticate: async (req) => {
+        const signature = req.headers['x-twilio-signature'];
+
+        if (!signature) {
+            throw new AuthError('Missing Twilio signature', 403);
+        }
+
+        const authToken = getAuthToken();
+        if (!authToken) {
+            console.error('Twilio auth token not configured for signature validation');
+            throw new AuthError('Server configuration error', 500);
+        }
+
+        const url = getRequestUrl(req);
+        const expectedSignature = computeTwilioSignature(authToken, url, req.body || {});
+
+        if (!signaturesMatch(expectedSignature, signature)) {
+            throw new AuthError('Invalid Twilio signature', 403);
+        }
+
+        return {
+            type: 'twilio',
+            strategy: 'twilioSignature',
+            accountSid: req.body ? req.body.AccountSid : undefined
+        };
+    },
+
+    getRequestUrl
+};
@@ -0,0 +1,10 @@
+const { authenticate } = require('./authentication');
+const { getRequestUrl } = require('./strategies/twilioSignatureStrategy');
+
+// Twilio Request Signature Validation Middleware
+const validateTwilioSignature = authenticate('twilioSignature');
+
+module.exports = {
+    validateTwilioSignature,
+    getRequestUrl
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret } = require('../utils/secretCipher');
+
+const API_KEY_PREFIX = 'botie_';
+const SIGNING_SECRET_PREFIX = 'bsk_';
+
+// Permissions an API client can be granted
+const API_SCOPES = ['users:lookup', 'tasks:create'];
+
+const apiClientSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a client name'],
+        trim: true,
+    },
+    // SHA-256 of the API key; the key itself is only shown once when issued
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false,
+    },
+    // HMAC key this client signs requests with, encrypted (see utils/secretCipher).
+    // Clients issued before per-client secrets have none and use API_SHARED_SECRET.
+    encryptedSecret: {
+        type: String,
+        select: false,
+    },
+    // First characters of the key so owners can tell their keys apart
+    keyPrefix: {
+        type: String,
+        required: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Please provide client owner'],
+        index: true,
+    },
+    // Users the client may act for besides its owner
+    tenants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+    // Platform clients (e.g. the AI voice agent) act for every user
+    allTenants: {
+        type: Boolean,
+        default: false,
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: API_SCOPES,
+        }],
+        default: [],
+    },
+    // Tasks the client may create per UTC day; null uses API_CLIENT_DAILY_TASK_QUOTA
+    dailyTaskQuota: {
+        type: Number,
+        min: 0,
+        default: null,
+    },
+    // Accept the legacy signature over apiKey:timestamp only (no body or nonce)
+    allowLegacySignature: {
+        type: Boolean,
+        default: false,
+    },
+    status: {
+        type: String,
+        enum: ['active', 'revoked'],
+        default: 'active',
+        index: true,
+    },
+    // Key replaced by the last rotation, accepted until previousKeyExpiresAt
+    previousKeyHash: {
+        type: String,
+        default: undefined,
+        select: false,
+    },
+    // Signing secret replaced by the last rotation, accepted until previousKeyExpiresAt
+    previousEncryptedSecret: {
+        type: String,
+        default: undefined,
+        select: false,
+    },
+    previousKeyExpiresAt: {
+        type: Date,
+        default: null,
+    },
+    rotatedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+// Look up clients by the key replaced in a rotation
+apiClientSchema.index({ previousKeyHash: 1 }, { sparse: true });
+
+// Hash an API key for storage and lookup
+apiClientSchema.statics.hashKey = function(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+// Generate a new random API key
+apiClientSchema.statics.generateKey = function() {
+    return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Generate a new random request signing secret
+apiClientSchema.statics.generateSecret = function() {
+    return `${SIGNING_SECRET_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Displayable start of a key
+const toKeyPrefix = (apiKey) => apiKey.slice(0, API_KEY_PREFIX.length + 8);
+
+// Find the client an API key belongs to (any status), including a rotated key still in its grace window
+apiClientSchema.statics.findByKey = function(apiKey) {
+    const keyHash = this.hashKey(apiKey);
+
+    return this.findOne({
+        $or: [
+            { keyHash },
+            { previousKeyHash: keyHash, previousKeyExpiresAt: { $gt: new Date() } }
+        ]
+    }).select('+encryptedSecret +previousEncryptedSecret');
+};
+
+// Register a new client and return it with its plain API key and signing secret
+apiClientSchema.statics.issue = async function({ name, owner, scopes, tenants = [], allTenants = false, dailyTaskQuota = null, allowLegacySignature = false }) {
+    const apiKey = this.generateKey();
+    const secret = this.generateSecret();
+
+    const client = await this.create({
+        name,
+        owner,
+        scopes,
+        tenants,
+        allTenants,
+        dailyTaskQuota,
+        allowLegacySignature,
+        keyHash: this.hashKey(apiKey),
+        keyPrefix: toKeyPrefix(apiKey),
+        encryptedSecret: encryptSecret(secret)
+    });
+
+    return { client, apiKey, secret };
+};
+
+// Issue a new key and signing secret, keeping the current ones valid for the grace
+// period; returns the new plain key and secret
+apiClientSchema.methods.rotate = async function(gracePeriodMs) {
+    const ApiClient = this.constructor;
+    const apiKey = ApiClient.generateKey();
+    const secret = ApiClient.generateSecret();
+    const now = new Date();
+
+    const current = await ApiClient.findById(this._id).select('+keyHash +encryptedSecret');
+
+    this.previousKeyHash = current.keyHash;
+    this.previousEncryptedSecret = current.encryptedSecret;
+    this.previousKeyExpiresAt = new Date(now.getTime() + gracePeriodMs);
+    this.keyHash = ApiClient.hashKey(apiKey);
+    this.keyPrefix = toKeyPrefix(apiKey);
+    this.encryptedSecret = encryptSecret(secret);
+    this.rotatedAt = now;
+    await this.save();
+
+    return { apiKey, secret };
+};
+
+// Secrets a request from this client may be signed with: the current one, plus the
+// one replaced by the last rotation while its grace window lasts. Needs a document
+// loaded with findByKey. Clients without their own secret fall back to API_SHARED_SECRET.
+apiClientSchema.methods.getSigningSecrets = function(now = new Date()) {
+    const secrets = [];
+
+    if (this.encryptedSecret) {
+        secrets.push(decryptSecret(this.encryptedSecret));
+    } else if (process.env.API_SHARED_SECRET) {
+        secrets.push(process.env.API_SHARED_SECRET);
+    }
+
+    if (this.previousKeyExpiresAt && this.previousKeyExpiresAt > now) {
+        if (this.previousEncryptedSecret) {
+            secrets.push(decryptSecret(this.previousEncryptedSecret));
+        } else if (this.encryptedSecret && process.env.API_SHARED_SECRET) {
+            // First rotation of a client that signed with the shared secret
+            secrets.push(process.env.API_SHARED_SECRET);
+        }
+    }
+
+    return secrets;
+};
+
+// Revoke the client; its current and previous keys stop working immediately
+apiClientSchema.methods.revoke = function() {
+    this.status = 'revoked';
+    this.revokedAt = new Date();
+    this.previousKeyHash = undefined;
+    this.previousEncryptedSecret = undefined;
+    this.previousKeyExpiresAt = null;
+    return this.save();
+};
+
+// Check if the client has been granted a scope
+apiClientSchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+// Check if the client can still authenticate
+apiClientSchema.methods.isActive = function() {
+    return this.status === 'active';
+};
+
+const ApiClient = mongoose.model('ApiClient', apiClientSchema);
+ApiClient.API_SCOPES = API_SCOPES;
+
+module.exports = ApiClient;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Nonces seen on signed API requests, kept until the signature window has passed
+const apiNonceSchema = new mongoose.Schema({
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiClient',
+        required: true,
+    },
+    nonce: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+// A nonce may only be used once per client
+apiNonceSchema.index({ client: 1, nonce: 1 }, { unique: true });
+
+// Let MongoDB remove nonces once they can no longer be replayed
+apiNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ApiNonce', apiNonceSchema);
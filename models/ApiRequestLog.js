@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+// One authenticated API-key request, for per-client usage analytics
+const apiRequestLogSchema = new mongoose.Schema({
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiClient',
+        required: true,
+    },
+    method: {
+        type: String,
+        required: true,
+    },
+    // Matched route pattern (e.g. /api/v1/tasks); falls back to the path when no route matched
+    route: {
+        type: String,
+        required: true,
+    },
+    statusCode: {
+        type: Number,
+        required: true,
+    },
+    durationMs: {
+        type: Number,
+        required: true,
+    },
+    // User the client acted for
+    tenant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    // Task created by the request, if any
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null,
+    },
+    // Response message for failed requests
+    error: {
+        type: String,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+apiRequestLogSchema.index({ client: 1, createdAt: -1 });
+
+// Seconds to keep entries, from API_USAGE_RETENTION_DAYS
+const getRetentionSeconds = () =>
+    (parseInt(process.env.API_USAGE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60;
+
+// Expire old entries after API_USAGE_RETENTION_DAYS
+apiRequestLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: getRetentionSeconds() });
+
+// Apply the current retention to an existing TTL index. MongoDB keeps the
+// expireAfterSeconds an index was built with, so index builds alone never pick up a change.
+apiRequestLogSchema.statics.syncRetention = async function() {
+    const expireAfterSeconds = getRetentionSeconds();
+
+    try {
+        await this.db.db.command({
+            collMod: this.collection.collectionName,
+            index: { keyPattern: { createdAt: 1 }, expireAfterSeconds }
+        });
+    } catch (error) {
+        // Nothing to update yet; the index is created with the current retention
+        if (error.codeName !== 'NamespaceNotFound' && error.codeName !== 'IndexNotFound') {
+            throw error;
+        }
+    }
+
+    return expireAfterSeconds;
+};
+
+module.exports = mongoose.model('ApiRequestLog', apiRequestLogSchema);
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+
+// Call statuses Twilio reports
+const CALL_STATUSES = ['queued', 'initiated', 'ringing', 'in-progress', 'completed', 'busy', 'no-answer', 'canceled', 'failed'];
+
+const callSchema = new mongoose.Schema({
+    callSid: {
+        type: String,
+        required: [true, 'Please provide call SID'],
+        unique: true,
+        trim: true,
+    },
+    from: {
+        type: String,
+        trim: true,
+    },
+    to: {
+        type: String,
+        trim: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true,
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        default: null,
+    },
+    direction: {
+        type: String,
+        enum: ['inbound', 'outbound'],
+        default: 'inbound',
+    },
+    // Latest CallStatus reported by Twilio
+    status: {
+        type: String,
+        enum: CALL_STATUSES,
+        default: null,
+        index: true,
+    },
+    // Call duration in seconds
+    duration: {
+        type: Number,
+        default: null,
+    },
+    startedAt: {
+        type: Date,
+        default: null,
+    },
+    endedAt: {
+        type: Date,
+        default: null,
+    },
+    // Task created as a result of this call (e.g. by the AI agent)
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null,
+    },
+    // Where the voice webhook sent the caller
+    handoff: {
+        type: String,
+        enum: ['ai-agent', 'forward', 'voicemail'],
+        default: null,
+    },
+    // DialCallStatus of the forwarded leg, when the call was forwarded
+    dialStatus: {
+        type: String,
+        default: null,
+    },
+    // Set once the call has finished without reaching anyone
+    missed: {
+        type: Boolean,
+        default: false,
+        index: true,
+    },
+    // When an AI agent call that ended without a task is checked again, giving the
+    // agent time to book the job after the caller hangs up
+    agentOutcomeDueAt: {
+        type: Date,
+        default: null,
+        index: true,
+    },
+    textBackSentAt: {
+        type: Date,
+        default: null,
+    },
+    // Voicemail left by the caller
+    voicemail: {
+        recordingSid: {
+            type: String,
+            default: null,
+        },
+        // Raw Twilio URL; never returned to clients, recordings are served through the download proxy
+        recordingUrl: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        duration: {
+            type: Number,
+            default: null,
+        },
+        transcription: {
+            type: String,
+            default: null,
+        },
+        transcriptionStatus: {
+            type: String,
+            default: null,
+        },
+        recordedAt: {
+            type: Date,
+            default: null,
+        },
+        // Set when the recording is removed under the retention policy
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        // Failed removals under the retention policy, and when to try again
+        purgeAttempts: {
+            type: Number,
+            default: 0,
+        },
+        purgeRetryAt: {
+            type: Date,
+            default: null,
+        },
+    },
+}, { timestamps: true });
+
+callSchema.index({ user: 1, createdAt: -1 });
+callSchema.index({ user: 1, customer: 1 });
+callSchema.index({ 'voicemail.recordedAt': 1, 'voicemail.deletedAt': 1 });
+
+// Statuses after which Twilio sends no further updates for the call
+const FINAL_STATUSES = ['completed', 'busy', 'no-answer', 'canceled', 'failed'];
+// Final statuses where nobody spoke to the caller
+const MISSED_STATUSES = ['busy', 'no-answer', 'canceled', 'failed'];
+
+// Check if the call has ended
+callSchema.methods.isFinished = function() {
+    return FINAL_STATUSES.includes(this.status);
+};
+
+// Check if the call ended without being answered by the user or the AI agent
+callSchema.methods.isMissed = function() {
+    if (MISSED_STATUSES.includes(this.status)) {
+        return true;
+    }
+    if (this.status !== 'completed') {
+        return false;
+    }
+    // Forwarded call that the user didn't pick up
+    if (this.handoff === 'forward') {
+        return MISSED_STATUSES.includes(this.dialStatus);
+    }
+    // Caller hung up before the AI agent created a task
+    if (this.handoff === 'ai-agent') {
+        return !this.task;
+    }
+    // Caller hung up without leaving a voicemail
+    if (this.handoff === 'voicemail') {
+        return !(this.voicemail && this.voicemail.recordingSid);
+    }
+    return false;
+};
+
+// Check if the call went to the AI agent and ended before it linked a task
+callSchema.methods.awaitsAgentOutcome = function() {
+    return this.status === 'completed' && this.handoff === 'ai-agent' && !this.task;
+};
+
+// Check if the call has a voicemail recording that can still be downloaded
+callSchema.methods.hasVoicemail = function() {
+    return !!(this.voicemail && this.voicemail.recordingSid && !this.voicemail.deletedAt);
+};
+
+// Map Twilio's StatusCallbackEvent/CallStatus to a stored status ('answered' is reported as in-progress)
+callSchema.statics.normalizeStatus = function(status) {
+    return status === 'answered' ? 'in-progress' : status;
+};
+
+// Map Twilio's Direction parameter (inbound, outbound-api, outbound-dial) to our enum
+callSchema.statics.normalizeDirection = function(direction) {
+    return direction && direction.startsWith('outbound') ? 'outbound' : 'inbound';
+};
+
+const Call = mongoose.model('Call', callSchema);
+Call.CALL_STATUSES = CALL_STATUSES;
+
+module.exports = Call;
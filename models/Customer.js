@@ -64,6 +64,24 @@ customerSchema.methods.isSoftDeleted = function() {
     return this.isDeleted === true;
 };
 
+// Static method to find a user's customer by phone number, creating a placeholder if none exists.
+// Resolves to { customer, created } so callers can announce new customers.
+customerSchema.statics.findOrCreateByPhone = async function(userId, phoneNumber) {
+    const existing = await this.findOne({ phoneNumber, user: userId });
+    if (existing) {
+        return { customer: existing, created: false };
+    }
+
+    const customer = await this.create({
+        name: phoneNumber,
+        address: 'Not provided',
+        phoneNumber,
+        user: userId
+    });
+
+    return { customer, created: true };
+};
+
 // Static method to find customer including soft deleted ones
 customerSchema.statics.findCustomerWithDeleted = function(query) {
     return this.findOne(query).setOptions({ includeDeleted: true });
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// First response to a request sent with an Idempotency-Key, replayed on retries
+const idempotencyRecordSchema = new mongoose.Schema({
+    // Who sent the request, e.g. "client:<id>" or "user:<id>"
+    principal: {
+        type: String,
+        required: true,
+    },
+    key: {
+        type: String,
+        required: true,
+    },
+    // SHA-256 of the method, path and body, to detect a key reused for another request
+    requestHash: {
+        type: String,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing',
+    },
+    responseStatus: {
+        type: Number,
+        default: null,
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+idempotencyRecordSchema.index({ principal: 1, key: 1 }, { unique: true });
+
+// Let MongoDB remove records once they can no longer be replayed
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
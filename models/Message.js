@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    messageSid: {
+        type: String,
+        unique: true,
+        sparse: true,
+        trim: true,
+    },
+    direction: {
+        type: String,
+        enum: ['inbound', 'outbound'],
+        required: [true, 'Please provide message direction'],
+    },
+    from: {
+        type: String,
+        trim: true,
+    },
+    to: {
+        type: String,
+        trim: true,
+    },
+    body: {
+        type: String,
+        default: '',
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Please provide user reference'],
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        default: null,
+    },
+    // Task this message is threaded into
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null,
+    },
+}, { timestamps: true });
+
+messageSchema.index({ user: 1, customer: 1, createdAt: -1 });
+messageSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request count for one rate limit key in one fixed window
+const rateLimitCounterSchema = new mongoose.Schema({
+    // Policy, subject and window start, e.g. "auth:ip:1.2.3.4:1718000000000"
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    resetAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+// Let MongoDB remove counters once their window has ended
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
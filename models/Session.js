@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_PREFIX = 'rt_';
+// Rotated tokens remembered per session for reuse detection
+const MAX_ROTATED_TOKENS = 50;
+
+// A logged-in device. Every refresh rotates its refresh token; all tokens issued
+// for one session form a family that is revoked together.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    // SHA-256 of the current refresh token; the token itself is only sent to the client
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false,
+    },
+    // Refresh tokens already exchanged; presenting one again means the family leaked
+    rotatedTokenHashes: {
+        type: [String],
+        default: [],
+        select: false,
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        default: null,
+    },
+    ipAddress: {
+        type: String,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Moves forward on every refresh; an idle session expires
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'reuse-detected', 'password-changed', 'account-deleted', null],
+        default: null,
+    },
+}, { timestamps: true });
+
+sessionSchema.index({ rotatedTokenHashes: 1 });
+
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token for storage and lookup
+sessionSchema.statics.hashToken = function(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+// Generate a new random refresh token
+sessionSchema.statics.generateToken = function() {
+    return `${REFRESH_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Find the session a refresh token was issued for, whether it is current or already rotated
+sessionSchema.statics.findByToken = function(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+
+    return this.findOne({
+        $or: [{ tokenHash }, { rotatedTokenHashes: tokenHash }]
+    }).select('+tokenHash');
+};
+
+// Swap the current refresh token for a new one. Resolves to null when the token
+// was rotated by someone else first, which the caller must treat as reuse.
+sessionSchema.statics.rotateToken = function(sessionId, currentTokenHash, { expiresAt, ipAddress }) {
+    const refreshToken = this.generateToken();
+
+    return this.findOneAndUpdate(
+        { _id: sessionId, tokenHash: currentTokenHash, revokedAt: null },
+        {
+            $set: {
+                tokenHash: this.hashToken(refreshToken),
+                lastUsedAt: new Date(),
+                expiresAt,
+                ...(ipAddress ? { ipAddress } : {})
+            },
+            $push: { rotatedTokenHashes: { $each: [currentTokenHash], $slice: -MAX_ROTATED_TOKENS } }
+        },
+        { new: true }
+    ).then(session => (session ? { session, refreshToken } : null));
+};
+
+// Revoke every session matching a query (e.g. all of a user's sessions)
+sessionSchema.statics.revokeWhere = function(query, reason = 'revoked') {
+    return this.updateMany(
+        { ...query, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function(now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
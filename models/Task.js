@@ -36,6 +36,18 @@ const taskSchema = new mongoose.Schema({
         default: false,
         index: true,
     },
+    // Channel the task originated from
+    source: {
+        type: String,
+        enum: ['manual', 'ai-agent', 'sms', 'missed-call', 'voicemail'],
+        default: 'manual',
+    },
+    // API client that created the task, for third-party tasks
+    apiClient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiClient',
+        default: null,
+    },
     // Soft delete fields
     isDeleted: {
         type: Boolean,
@@ -52,6 +64,7 @@ const taskSchema = new mongoose.Schema({
 // Compound indexes for soft delete queries
 taskSchema.index({ isDeleted: 1, user: 1 });
 taskSchema.index({ isDeleted: 1, customer: 1 });
+taskSchema.index({ customer: 1, source: 1, isResolved: 1 });
 
 // Query middleware to automatically filter out soft-deleted records
 taskSchema.pre(/^find/, function(next) {
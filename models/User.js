@@ -43,11 +43,77 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: null,
     },
+    // Provisioning state: pending -> active, or pending -> failed (retried until active)
     twilioPhoneStatus: {
         type: String,
-        enum: ['active', 'inactive', 'pending'],
+        enum: ['active', 'inactive', 'pending', 'failed'],
         default: null,
     },
+    twilioProvisioning: {
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        lastError: {
+            type: String,
+            default: null,
+        },
+        lastAttemptAt: {
+            type: Date,
+            default: null,
+        },
+        // When the background job should retry a failed provisioning; null stops automatic retries
+        nextAttemptAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    // Text the caller back when a call to the assigned number is missed
+    missedCallTextBack: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        // Custom message; the default template is used when empty
+        message: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+    },
+    // Business hours used to route calls to the assigned number
+    schedule: {
+        timezone: {
+            type: String,
+            default: 'UTC',
+        },
+        // Opening periods; day is 0 (Sunday) to 6 (Saturday), times are 'HH:mm' in the timezone and close may be '24:00'
+        weeklyHours: [{
+            _id: false,
+            day: { type: Number, min: 0, max: 6, required: true },
+            open: { type: String, required: true },
+            close: { type: String, required: true },
+        }],
+        // Closed all day on these dates ('YYYY-MM-DD' in the timezone)
+        holidays: [{
+            _id: false,
+            date: { type: String, required: true },
+            name: { type: String, trim: true },
+        }],
+    },
+    // Where calls to the assigned number go, depending on business hours
+    callRouting: {
+        duringHours: {
+            type: String,
+            enum: ['forward', 'ai-agent'],
+            default: 'forward',
+        },
+        afterHours: {
+            type: String,
+            enum: ['ai-agent', 'voicemail'],
+            default: 'ai-agent',
+        },
+    },
     password: {
         type: String,
         required: [true, 'Please provide a password'],
@@ -62,6 +128,11 @@ const userSchema = new mongoose.Schema({
         type: String,
         trim: true,
     },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user',
+    },
     isEmailVerified: {
         type: Boolean,
         default: false,
@@ -70,6 +141,56 @@ const userSchema = new mongoose.Schema({
     emailVerificationTokenExpires: Date,
     passwordResetToken: String,
     passwordResetTokenExpires: Date,
+    // Access tokens carry this version; bumping it rejects every token issued before
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        // Base32 TOTP secret, active once enrollment has been verified
+        secret: {
+            type: String,
+            select: false,
+        },
+        // Secret from setup that has not been confirmed with a code yet
+        pendingSecret: {
+            type: String,
+            select: false,
+        },
+        // SHA-256 of each recovery code; a code is spent once usedAt is set
+        recoveryCodes: {
+            type: [{
+                _id: false,
+                hash: String,
+                usedAt: { type: Date, default: null },
+            }],
+            select: false,
+        },
+        // Last time step accepted, so a code cannot be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        failedAttempts: {
+            type: Number,
+            default: 0,
+            select: false,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+            select: false,
+        },
+        enabledAt: {
+            type: Date,
+            default: null,
+        },
+    },
     // Soft delete fields
     isDeleted: {
         type: Boolean,
@@ -89,7 +210,7 @@ userSchema.index({ isDeleted: 1, email: 1 });
 // Query middleware to automatically filter out soft-deleted records
 userSchema.pre(/^find/, function(next) {
     // Only apply this filter if the query doesn't explicitly include deleted records
-    if (!this.getQuery().includeDeleted) {
+    if (!this.getQuery().includeDeleted && !this.getOptions().includeDeleted) {
         this.where({ isDeleted: { $ne: true } });
     }
     next();
@@ -100,6 +221,10 @@ userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
         return next();
     }
+    // Tokens issued with the old password stop working
+    if (!this.isNew) {
+        this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
     next();
@@ -114,6 +239,7 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
 userSchema.methods.softDelete = function() {
     this.isDeleted = true;
     this.deletedAt = new Date();
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
     return this.save();
 };
 
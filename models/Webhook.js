@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+    'task.created',
+    'task.updated',
+    'task.resolved',
+    'task.deleted',
+    'customer.created',
+    'customer.updated',
+    'customer.deleted'
+];
+
+const webhookSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Please provide webhook owner'],
+        index: true,
+    },
+    url: {
+        type: String,
+        required: [true, 'Please provide a webhook URL'],
+        trim: true,
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS,
+        }],
+        default: [],
+    },
+    // Key for the HMAC signature on every delivery; only shown when created or rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: null,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+});
+
+webhookSchema.index({ user: 1, isActive: 1, events: 1 });
+
+// Generate a new signing secret
+webhookSchema.statics.generateSecret = function() {
+    return WEBHOOK_SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// One event sent (or being retried) to a webhook, kept as the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    event: {
+        type: String,
+        required: true,
+    },
+    // Event body as sent; identical on every attempt
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    // Test events are attempted once and never retried
+    isTest: {
+        type: Boolean,
+        default: false,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    // When the retry job may pick this delivery up; null once finished
+    nextAttemptAt: {
+        type: Date,
+        default: null,
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null,
+    },
+    deliveredAt: {
+        type: Date,
+        default: null,
+    },
+    // Outcome of the last attempt
+    responseStatus: {
+        type: Number,
+        default: null,
+    },
+    durationMs: {
+        type: Number,
+        default: null,
+    },
+    error: {
+        type: String,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Expire old entries after WEBHOOK_DELIVERY_RETENTION_DAYS
+webhookDeliverySchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { getPhoneReconciliationReport, runPhoneReconciliation } = require('../controllers/adminController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+// All routes in this file are admin only
+router.use(protect, admin);
+
+// Twilio number reconciliation report (dry run)
+router.get('/phone-numbers/reconciliation', getPhoneReconciliationReport);
+
+// Reconcile and optionally release orphaned numbers ({ "autoRelease": true })
+router.post('/phone-numbers/reconciliation', runPhoneReconciliation);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { getApiKeys, createApiKey, updateApiKey, rotateApiKey, revokeApiKey, getApiKeyUsage } = require('../controllers/apiClientController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes in this file are protected
+router.use(protect);
+
+router.route('/')
+    .get(getApiKeys)
+    .post(createApiKey);
+
+router.route('/:id')
+    .patch(updateApiKey)
+    .delete(revokeApiKey);
+
+// Daily request counts, errors and latency (GET /api/v1/api-keys/:id/usage?days=30)
+router.get('/:id/usage', getApiKeyUsage);
+
+// Issue a new key; the old one keeps working for gracePeriodMinutes
+router.post('/:id/rotate', rotateApiKey);
+
+module.exports = router;
@@ -1,5 +1,4 @@
 const express = require('express');
-const path = require('path');
 const { 
     register, 
     verifyEmail, 
@@ -7,22 +6,44 @@ const {
     changePassword, 
     forgotPassword, 
     resetPassword,
-    resendVerification
+    resendVerification,
+    refreshToken,
+    logout,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
+    loginTwoFactor,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    verifyTwoFactorSetup,
+    regenerateRecoveryCodes,
+    disableTwoFactor
 } = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimit');
 const router = express.Router();
 
-// Serve Google verification file
-router.get('/verifyemail/google6b553eca38d3da73.html', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'google6b553eca38d3da73.html'));
-});
+const authLimit = rateLimit('auth');
+const authTwoFactorLimit = rateLimit('authTwoFactor');
+const authEmailLimit = rateLimit('authEmail');
 
-router.post('/register', register);
-router.get('/verifyemail', verifyEmail);
-router.post('/login', login);
-router.post('/resend-verification', resendVerification);
-router.put('/changepassword', protect, changePassword);
-router.post('/forgotpassword', forgotPassword);
-router.put('/resetpassword/:token', resetPassword);
+router.post('/register', authLimit, register);
+router.get('/verify-email', verifyEmail);
+router.post('/login', authLimit, login);
+router.post('/login/2fa', authTwoFactorLimit, loginTwoFactor);
+router.post('/resend-verification', authEmailLimit, resendVerification);
+router.put('/password', protect, changePassword);
+router.post('/password/forgot', authEmailLimit, forgotPassword);
+router.put('/password/reset/:token', authLimit, resetPassword);
+router.post('/refresh', authLimit, refreshToken);
+router.post('/logout', logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, authLimit, setupTwoFactor);
+router.post('/2fa/verify', protect, authLimit, verifyTwoFactorSetup);
+router.post('/2fa/recovery-codes', protect, authLimit, regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, authLimit, disableTwoFactor);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getCalls, getCallById, getCallVoicemail } = require('../controllers/callController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes in this file are protected
+router.use(protect);
+
+// List call log (GET /api/v1/calls?status=no-answer&direction=inbound)
+router.get('/', getCalls);
+
+// Get call by ID
+router.get('/:id', getCallById);
+
+// Stream the call's voicemail recording
+router.get('/:id/voicemail', getCallVoicemail);
+
+module.exports = router;
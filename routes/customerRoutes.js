@@ -12,7 +12,7 @@ const { protect } = require('../middleware/authMiddleware');
 // All routes in this file are protected
 router.use(protect);
 
-// Search customers (GET /api/customers?search=mar)
+// Search customers (GET /api/v1/customers?search=mar)
 router.get('/', searchCustomers);
 
 // Create new customer
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { testApiKeyAuth, getUserByAssignedSID, getUserByAssignedNumber, createTaskForUser, getTaskStatusForClient } = require('../controllers/apiController');
+const { authenticate, requireScope } = require('../middleware/authentication');
+const { rateLimit, dailyTaskQuota } = require('../middleware/rateLimit');
+const { idempotency } = require('../middleware/idempotency');
+
+// All routes in this file use API key authentication, limited per IP before it and per client after it
+router.use(rateLimit('apiIp'), authenticate('apiKey'), rateLimit('api'));
+
+// Test API key authentication
+router.get('/ping', testApiKeyAuth);
+
+// Get user by Twilio call SID (call-sid header)
+router.get('/users/by-call-sid', requireScope('users:lookup'), getUserByAssignedSID);
+
+// Get user by Twilio assigned phone number (assigned-number header)
+router.get('/users/by-assigned-number', requireScope('users:lookup'), getUserByAssignedNumber);
+
+// Create task for the user who owns the assigned-number header
+router.post('/tasks', requireScope('tasks:create'), idempotency, dailyTaskQuota, createTaskForUser);
+
+// Status of a task this client created
+router.get('/tasks/:id', requireScope('tasks:create'), getTaskStatusForClient);
+
+module.exports = router;
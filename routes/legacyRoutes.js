@@ -0,0 +1,46 @@
+const express = require('express');
+const path = require('path');
+const { deprecatedAliases, setDeprecationHeaders } = require('../middleware/deprecation');
+const router = express.Router();
+
+// Serve Google verification file (the site is verified at this exact URL)
+router.get('/api/auth/verifyemail/google6b553eca38d3da73.html', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'google6b553eca38d3da73.html'));
+});
+
+// Removed rather than aliased: it returned an unregistered key with a one-off timestamp and
+// signature over the shared secret, which per-client keys and secrets can't reproduce
+router.post('/api/generate-api-key', (req, res) => {
+    setDeprecationHeaders(res, '/api/v1/api-keys');
+    res.status(410).json({
+        success: false,
+        message: 'This endpoint has been removed. Create API keys with POST /api/v1/api-keys, which returns an apiKey and a secret to sign requests with.'
+    });
+});
+
+// Unversioned paths from before /api/v1, kept working as deprecated aliases
+router.use(deprecatedAliases({
+    routes: [
+        { method: 'GET', path: '/api/test-api-key', successor: '/api/v1/integrations/ping' },
+        { method: 'GET', path: '/api/getuserbyassignedSID', successor: '/api/v1/integrations/users/by-call-sid' },
+        { method: 'GET', path: '/api/getuserbyassignednumber', successor: '/api/v1/integrations/users/by-assigned-number' },
+        { method: 'POST', path: '/api/create-task-for-user', successor: '/api/v1/integrations/tasks' },
+        { method: 'GET', path: '/api/auth/verifyemail', successor: '/api/v1/auth/verify-email' },
+        { method: 'PUT', path: '/api/auth/changepassword', successor: '/api/v1/auth/password' },
+        { method: 'POST', path: '/api/auth/forgotpassword', successor: '/api/v1/auth/password/forgot' },
+        { method: 'PUT', path: '/api/auth/resetpassword/:token', successor: '/api/v1/auth/password/reset/:token' },
+        { method: 'GET', path: '/api/users/profile', successor: '/api/v1/users/me' }
+    ],
+    prefixes: {
+        '/api/auth': '/api/v1/auth',
+        '/api/users': '/api/v1/users',
+        '/api/tasks': '/api/v1/tasks',
+        '/api/customers': '/api/v1/customers',
+        '/api/calls': '/api/v1/calls',
+        '/api/admin': '/api/v1/admin',
+        '/api/api-keys': '/api/v1/api-keys',
+        '/api/webhooks': '/api/v1/webhooks'
+    }
+}));
+
+module.exports = router;
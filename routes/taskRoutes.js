@@ -10,12 +10,14 @@ const {
     restoreTask
 } = require('../controllers/taskController');
 const { protect } = require('../middleware/authMiddleware');
-const { dualAuth } = require('../middleware/dualAuthMiddleware');
+const { authenticate, requireScope, resolveTenant } = require('../middleware/authentication');
+const { rateLimit, dailyTaskQuota } = require('../middleware/rateLimit');
+const { idempotency } = require('../middleware/idempotency');
 
 // Task routes with dual authentication (JWT or API Key)
 router.route('/')
     .get(protect, getAllTasks)
-    .post(dualAuth, createTask); // Allow both JWT and API key
+    .post(rateLimit('apiIp'), authenticate('jwt', 'apiKey'), rateLimit('api'), requireScope('tasks:create'), resolveTenant, idempotency, dailyTaskQuota, createTask); // Allow both JWT and API key
 
 router.route('/deleted')
     .get(protect, getDeletedTasks);
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+    handleIncomingCall,
+    handleCallStatus,
+    handleDialStatus,
+    handleRecording,
+    handleTranscription,
+    handleIncomingSms
+} = require('../controllers/twilioController');
+const { validateTwilioSignature } = require('../middleware/twilioSignatureMiddleware');
+
+// Twilio posts webhooks as application/x-www-form-urlencoded
+router.use(express.urlencoded({ extended: false }));
+
+// All routes in this file must be signed by Twilio
+router.use(validateTwilioSignature);
+
+// Answer inbound calls to assigned numbers (configure as the number's voiceUrl)
+router.post('/voice', handleIncomingCall);
+
+// Call progress events for assigned numbers (configure as the number's statusCallback)
+router.post('/voice/status', handleCallStatus);
+
+// Outcome of calls forwarded to the user's personal phone (Dial action)
+router.post('/voice/dial-status', handleDialStatus);
+
+// Voicemail recording and transcription (Record action and transcribeCallback)
+router.post('/voice/recording', handleRecording);
+router.post('/voice/transcription', handleTranscription);
+
+// Inbound SMS to assigned numbers (configure as the number's smsUrl)
+router.post('/sms', handleIncomingSms);
+
+module.exports = router;
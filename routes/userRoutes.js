@@ -1,13 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { getUserById, deleteUser, editUser, getUserProfile, getCustomersByUserId } = require('../controllers/userController');
+const {
+    getUserById,
+    deleteUser,
+    editUser,
+    getUserProfile,
+    getCustomersByUserId,
+    getAvailableNumbers,
+    claimNumber,
+    swapNumber,
+    releaseNumber,
+    retryPhoneProvisioning
+} = require('../controllers/userController');
 const { protect } = require('../middleware/authMiddleware');
 
 // All routes in this file are protected
 router.use(protect);
 
 // Get current user's profile
-router.get('/profile', getUserProfile);
+router.get('/me', getUserProfile);
+
+// Manage current user's Twilio number
+router.get('/me/phone/available', getAvailableNumbers);
+router.route('/me/phone')
+    .post(claimNumber)
+    .put(swapNumber)
+    .delete(releaseNumber);
+router.post('/me/phone/retry', retryPhoneProvisioning);
 
 router.route('/:id')
     .get(getUserById)
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { getOpenApiDocument } = require('../services/openApiService');
+
+// OpenAPI 3 document generated from the Joi validators
+router.get('/openapi.json', (req, res) => {
+    res.status(200).json(getOpenApiDocument());
+});
+
+router.use('/auth', require('./authRoutes'));
+router.use('/users', require('./userRoutes'));
+router.use('/tasks', require('./taskRoutes'));
+router.use('/customers', require('./customerRoutes'));
+router.use('/calls', require('./callRoutes'));
+router.use('/api-keys', require('./apiClientRoutes'));
+router.use('/webhooks', require('./webhookRoutes'));
+router.use('/admin', require('./adminRoutes'));
+
+// Third-party integrations such as the AI voice agent (API key only)
+router.use('/integrations', require('./integrationRoutes'));
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    sendTestWebhook,
+    getWebhookDeliveries
+} = require('../controllers/webhookController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All routes in this file are protected
+router.use(protect);
+
+router.route('/')
+    .get(getWebhooks)
+    .post(createWebhook);
+
+router.route('/:id')
+    .patch(updateWebhook)
+    .delete(deleteWebhook);
+
+// Delivery log, newest first (GET /api/v1/webhooks/:id/deliveries?status=failed&page=1)
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+// Send a webhook.test event right away and return the outcome
+router.post('/:id/test', sendTestWebhook);
+
+router.post('/:id/rotate-secret', rotateWebhookSecret);
+
+module.exports = router;
@@ -0,0 +1,308 @@
+/**
+ * Botie API client for third-party integrations such as AI voice agents.
+ *
+ * Self-contained (Node 18+, no dependencies) so integrators can copy this file
+ * into their own project. It signs every request with the v2 scheme, corrects for
+ * clock skew using the server's Date header, and retries transient failures.
+ *
+ *   const { createBotieClient } = require('./sdk/botieClient');
+ *   const botie = createBotieClient({ baseUrl, apiKey, secret });
+ *   const user = await botie.getUserByNumber('+15550001111');
+ */
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = '2';
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+// Resync the clock from the Date header when it drifts further than this
+const CLOCK_SKEW_TOLERANCE_MS = 30 * 1000;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * @typedef {Object} BotieUser
+ * @property {string} _id
+ * @property {string} firstname
+ * @property {string} lastname
+ * @property {string} email
+ * @property {string} phoneNumber - Personal number calls can be forwarded to
+ * @property {string} [address]
+ * @property {string} [profession]
+ * @property {string} [professionDescription]
+ * @property {string} twilioPhoneNumber - Number assigned by Botie
+ * @property {Object} [businessHours] - { isOpen, closesAt, nextOpenAt, nextOpen }
+ */
+
+/**
+ * @typedef {Object} BotieCustomerInput
+ * @property {string} name
+ * @property {string} address
+ * @property {string} phoneNumber
+ */
+
+/**
+ * @typedef {Object} BotieTaskInput
+ * @property {string} heading - 3-200 characters
+ * @property {string} summary - 10-500 characters
+ * @property {string} description - Up to 2000 characters
+ * @property {string} [conversation] - Call transcript
+ * @property {boolean} [isResolved]
+ * @property {BotieCustomerInput} customer
+ */
+
+/**
+ * @typedef {Object} BotieCreatedTask
+ * @property {Object} task - Created task with its customer
+ * @property {Object} user - { _id, firstname, lastname, profession }
+ * @property {boolean} replayed - True when the server returned the stored result of an earlier attempt
+ */
+
+/**
+ * @typedef {Object} BotieTaskStatus
+ * @property {string} _id
+ * @property {string} heading
+ * @property {'open'|'resolved'|'deleted'} status
+ * @property {boolean} isResolved
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string|null} deletedAt
+ */
+
+// Error returned by the API (or raised before a response arrived)
+class BotieApiError extends Error {
+    constructor(message, { status = null, body = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'BotieApiError';
+        this.status = status;
+        this.body = body;
+        this.retryable = retryable;
+    }
+}
+
+const sha256Hex = (body) => crypto.createHash('sha256').update(body).digest('hex');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Seconds or an HTTP date, per RFC 9110
+const parseRetryAfter = (value, now) => {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+};
+
+/**
+ * Create a Botie API client
+ * @param {Object} options
+ * @param {string} options.baseUrl - Server origin, e.g. https://api.botie.app
+ * @param {string} options.apiKey - API key issued for this integration
+ * @param {string} options.secret - Signing secret issued with the API key
+ * @param {number} [options.maxRetries=3] - Retries for network errors, 429 and 502-504
+ * @param {number} [options.retryDelayMs=500] - First retry delay; doubles each attempt
+ * @param {number} [options.timeoutMs=10000] - Per-attempt timeout
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+ * @param {Function} [options.now] - Local clock in milliseconds (defaults to Date.now)
+ * @returns {Object} Client
+ */
+const createBotieClient = ({
+    baseUrl,
+    apiKey,
+    secret,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetch: fetchImpl = globalThis.fetch,
+    now = Date.now
+} = {}) => {
+    if (!baseUrl || !apiKey || !secret) {
+        throw new Error('baseUrl, apiKey and secret are required');
+    }
+    if (typeof fetchImpl !== 'function') {
+        throw new Error('No fetch implementation available; use Node 18+ or pass options.fetch');
+    }
+
+    const origin = baseUrl.replace(/\/+$/, '');
+    // Server time minus local time, learned from the Date header
+    let clockOffset = 0;
+
+    const signedHeaders = (method, path, body) => {
+        const timestamp = String(Math.round(now() + clockOffset));
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const canonical = [`v${SIGNATURE_VERSION}`, method.toUpperCase(), path, timestamp, nonce, sha256Hex(body)].join('\n');
+
+        return {
+            'x-api-key': apiKey,
+            'x-timestamp': timestamp,
+            'x-nonce': nonce,
+            'x-signature-version': SIGNATURE_VERSION,
+            'x-signature': crypto.createHmac('sha256', secret).update(canonical).digest('hex')
+        };
+    };
+
+    // Returns true when the local clock was corrected
+    const syncClock = (response, sentAt) => {
+        const serverDate = Date.parse(response.headers.get('date'));
+        if (Number.isNaN(serverDate)) return false;
+
+        // The Date header has one-second resolution; compare against the middle of the round trip
+        const localTime = (sentAt + now()) / 2;
+        const offset = serverDate + 500 - localTime;
+        if (Math.abs(offset - clockOffset) <= CLOCK_SKEW_TOLERANCE_MS) return false;
+
+        clockOffset = offset;
+        return true;
+    };
+
+    const retryDelay = (attempt, response) => {
+        const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after'), now()) : null;
+        if (retryAfter !== null) return Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+
+        const backoff = Math.min(retryDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+        return backoff / 2 + Math.random() * backoff / 2;
+    };
+
+    /**
+     * Send a signed request and parse the JSON envelope
+     * @param {string} method - HTTP method
+     * @param {string} path - Path under the origin, including any query string
+     * @param {Object} [options] - { body, headers, retry }; retry defaults to true for GET
+     * @returns {Promise<Object>} { status, headers, body }
+     */
+    const request = async (method, path, { body, headers = {}, retry = method === 'GET' } = {}) => {
+        const payload = body === undefined ? '' : JSON.stringify(body);
+        let clockResynced = false;
+
+        for (let attempt = 0; ; attempt++) {
+            const sentAt = now();
+            let response;
+
+            try {
+                response = await fetchImpl(`${origin}${path}`, {
+                    method,
+                    headers: {
+                        ...(payload ? { 'Content-Type': 'application/json' } : {}),
+                        ...headers,
+                        // A fresh timestamp and nonce for every attempt
+                        ...signedHeaders(method, path, payload)
+                    },
+                    body: payload || undefined,
+                    signal: AbortSignal.timeout(timeoutMs)
+                });
+            } catch (error) {
+                if (retry && attempt < maxRetries) {
+                    await sleep(retryDelay(attempt));
+                    continue;
+                }
+                throw new BotieApiError(`Request to ${path} failed: ${error.message}`, { retryable: true });
+            }
+
+            const resynced = syncClock(response, sentAt);
+            const text = await response.text();
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (error) {
+                data = { message: text };
+            }
+
+            // A rejected timestamp means our clock is off; retry once with the corrected time
+            if (response.status === 401 && resynced && !clockResynced) {
+                clockResynced = true;
+                attempt--;
+                continue;
+            }
+
+            if (response.ok) {
+                return { status: response.status, headers: response.headers, body: data };
+            }
+
+            const retryable = RETRYABLE_STATUSES.includes(response.status);
+            if (retry && retryable && attempt < maxRetries) {
+                await sleep(retryDelay(attempt, response));
+                continue;
+            }
+
+            throw new BotieApiError((data && data.message) || `Request failed with status ${response.status}`, {
+                status: response.status,
+                body: data,
+                retryable
+            });
+        }
+    };
+
+    // Resolve to null instead of throwing for 404s
+    const orNull = (promise) => promise.catch(error => {
+        if (error instanceof BotieApiError && error.status === 404) return null;
+        throw error;
+    });
+
+    return {
+        request,
+
+        /**
+         * Check the API key and signing setup
+         * @returns {Promise<Object>} { apiClient, scopes, tenants, timestamp }
+         */
+        ping: async () => (await request('GET', '/api/v1/integrations/ping')).body.data,
+
+        /**
+         * Find the user who owns a Botie-assigned number
+         * @param {string} assignedNumber - E.164 number that was called
+         * @returns {Promise<BotieUser|null>} User, or null when no user this key may act for owns it
+         */
+        getUserByNumber: (assignedNumber) => orNull(request('GET', '/api/v1/integrations/users/by-assigned-number', {
+            headers: { 'assigned-number': assignedNumber }
+        }).then(response => response.body.data)),
+
+        /**
+         * Find the user a call was made to
+         * @param {string} callSid - Twilio call SID
+         * @returns {Promise<BotieUser|null>}
+         */
+        getUserByCallSid: (callSid) => orNull(request('GET', '/api/v1/integrations/users/by-call-sid', {
+            headers: { 'call-sid': callSid }
+        }).then(response => response.body.data)),
+
+        /**
+         * Create a task for the user who owns an assigned number.
+         * Retries are safe: every call carries an Idempotency-Key, so a retried
+         * request returns the first result instead of creating a second task.
+         * @param {Object} params
+         * @param {string} params.assignedNumber - Number that was called
+         * @param {BotieTaskInput} params.task - Task and customer details
+         * @param {string} [params.callSid] - Links the task to the call
+         * @param {string} [params.idempotencyKey] - Reuse to make your own retries safe too
+         * @returns {Promise<BotieCreatedTask>}
+         */
+        createTask: async ({ assignedNumber, task, callSid, idempotencyKey = crypto.randomUUID() }) => {
+            const headers = { 'assigned-number': assignedNumber, 'Idempotency-Key': idempotencyKey };
+            if (callSid) headers['call-sid'] = callSid;
+
+            const response = await request('POST', '/api/v1/integrations/tasks', { body: task, headers, retry: true });
+            return {
+                ...response.body.data,
+                replayed: response.headers.get('idempotent-replayed') === 'true'
+            };
+        },
+
+        /**
+         * Check the status of a task this key created
+         * @param {string} taskId
+         * @returns {Promise<BotieTaskStatus|null>} Status, or null when the task is unknown to this key
+         */
+        getTaskStatus: (taskId) => orNull(request('GET', `/api/v1/integrations/tasks/${encodeURIComponent(taskId)}`)
+            .then(response => response.body.data)),
+
+        /**
+         * Current correction applied to the local clock, in milliseconds
+         * @returns {number}
+         */
+        getClockOffset: () => clockOffset
+    };
+};
+
+module.exports = {
+    BotieApiError,
+    createBotieClient
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const ApiRequestLog = require('../models/ApiRequestLog');
+
+/**
+ * Record an API-key request once its response has been sent.
+ * Controllers can set req.auth.actingFor and res.locals.createdTask to attribute the request.
+ * @param {Object} req - Express request authenticated as an API client
+ * @param {Object} res - Express response
+ */
+const trackApiUsage = (req, res) => {
+    const startedAt = process.hrtime.bigint();
+
+    // Keep the message of failed responses for troubleshooting
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && body.message) {
+            res.locals.errorMessage = body.message;
+        }
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+        ApiRequestLog.create({
+            client: req.auth.client.id,
+            method: req.method,
+            route: req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0],
+            statusCode: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            tenant: req.auth.actingFor || null,
+            task: res.locals.createdTask || null,
+            error: res.locals.errorMessage || null
+        }).catch(error => {
+            console.error('Failed to record API usage:', error);
+        });
+    });
+};
+
+/**
+ * Daily usage aggregates for an API client
+ * @param {string} clientId - API client ID
+ * @param {number} days - Number of days to include, ending today (UTC)
+ * @returns {Promise<Object>} { daily, routes, recentErrors }
+ */
+const getApiUsage = async (clientId, days) => {
+    const client = new mongoose.Types.ObjectId(String(clientId));
+    const today = new Date();
+    const since = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (days - 1)));
+    const match = { client, createdAt: { $gte: since } };
+
+    const [daily, routes, recentErrors] = await Promise.all([
+        ApiRequestLog.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                    requests: { $sum: 1 },
+                    errors: { $sum: { $cond: [{ $gte: ['$statusCode', 400] }, 1, 0] } },
+                    tasksCreated: { $sum: { $cond: [{ $ne: ['$task', null] }, 1, 0] } },
+                    avgDurationMs: { $avg: '$durationMs' },
+                    maxDurationMs: { $max: '$durationMs' },
+                    tenants: { $addToSet: '$tenant' }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]),
+        ApiRequestLog.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { method: '$method', route: '$route' },
+                    requests: { $sum: 1 },
+                    errors: { $sum: { $cond: [{ $gte: ['$statusCode', 400] }, 1, 0] } },
+                    avgDurationMs: { $avg: '$durationMs' }
+                }
+            },
+            { $sort: { requests: -1 } }
+        ]),
+        ApiRequestLog.find({ ...match, statusCode: { $gte: 400 } })
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .select('method route statusCode durationMs tenant error createdAt')
+    ]);
+
+    return {
+        daily: daily.map(day => ({
+            date: day._id,
+            requests: day.requests,
+            errors: day.errors,
+            tasksCreated: day.tasksCreated,
+            avgDurationMs: Math.round(day.avgDurationMs),
+            maxDurationMs: Math.round(day.maxDurationMs),
+            tenants: day.tenants.filter(tenant => tenant !== null).length
+        })),
+        routes: routes.map(route => ({
+            method: route._id.method,
+            route: route._id.route,
+            requests: route.requests,
+            errors: route.errors,
+            avgDurationMs: Math.round(route.avgDurationMs)
+        })),
+        recentErrors
+    };
+};
+
+module.exports = {
+    trackApiUsage,
+    getApiUsage
+};
@@ -0,0 +1,200 @@
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Check if a timezone name is supported by the runtime
+ * @param {string} timezone - IANA timezone (e.g. 'Europe/London')
+ * @returns {boolean} Whether the timezone is valid
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Break an instant into wall-clock parts in the given timezone
+const getZonedParts = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    const year = parseInt(parts.year, 10);
+    const month = parseInt(parts.month, 10);
+    const day = parseInt(parts.day, 10);
+
+    return {
+        year,
+        month,
+        day,
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+        date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+};
+
+// Offset of the timezone from UTC, in milliseconds, at the given instant
+const getTimezoneOffset = (date, timezone) => {
+    const p = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Convert a wall-clock date/time in the timezone to an instant
+const zonedTimeToDate = (year, month, day, minutes, timezone) => {
+    const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+    const offset = getTimezoneOffset(new Date(guess), timezone);
+    // Re-check the offset at the corrected instant to handle DST transitions
+    const corrected = getTimezoneOffset(new Date(guess - offset), timezone);
+    return new Date(guess - corrected);
+};
+
+// 'HH:mm' -> minutes since midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Check if a user has a weekly schedule configured
+const hasSchedule = (user) => !!(user.schedule && user.schedule.weeklyHours && user.schedule.weeklyHours.length > 0);
+
+/**
+ * Work out whether a user's business is open right now and when it next opens
+ * @param {Object} user - User with a `schedule` (timezone, weeklyHours, holidays)
+ * @param {Date} now - Instant to evaluate (defaults to the current time)
+ * @returns {Object} { configured, isOpen, timezone, closesAt, nextOpenAt, nextOpen }
+ */
+const getBusinessHoursStatus = (user, now = new Date()) => {
+    if (!hasSchedule(user)) {
+        return {
+            configured: false,
+            isOpen: null,
+            timezone: null,
+            closesAt: null,
+            nextOpenAt: null,
+            nextOpen: null
+        };
+    }
+
+    const timezone = user.schedule.timezone || 'UTC';
+    const holidays = new Set((user.schedule.holidays || []).map(holiday => holiday.date));
+    const local = getZonedParts(now, timezone);
+    const nowMinutes = local.hour * 60 + local.minute;
+
+    // Opening periods for a given weekday, earliest first
+    const periodsFor = (weekday) => user.schedule.weeklyHours
+        .filter(period => period.day === weekday)
+        .map(period => ({ open: toMinutes(period.open), close: toMinutes(period.close), openTime: period.open }))
+        .sort((a, b) => a.open - b.open);
+
+    let isOpen = false;
+    let closesAt = null;
+
+    if (!holidays.has(local.date)) {
+        const current = periodsFor(local.weekday)
+            .find(period => nowMinutes >= period.open && nowMinutes < period.close);
+
+        if (current) {
+            isOpen = true;
+            closesAt = zonedTimeToDate(local.year, local.month, local.day, current.close, timezone);
+
+            // Overnight hours are split at midnight; stay open into the next day's 00:00 period
+            if (current.close === MINUTES_PER_DAY) {
+                const nextDay = new Date(Date.UTC(local.year, local.month - 1, local.day + 1));
+                const carryOver = holidays.has(nextDay.toISOString().slice(0, 10))
+                    ? null
+                    : periodsFor(nextDay.getUTCDay()).find(period => period.open === 0);
+
+                if (carryOver) {
+                    closesAt = zonedTimeToDate(
+                        nextDay.getUTCFullYear(),
+                        nextDay.getUTCMonth() + 1,
+                        nextDay.getUTCDate(),
+                        carryOver.close,
+                        timezone
+                    );
+                }
+            }
+        }
+    }
+
+    // Look up to two weeks ahead for the next opening
+    let nextOpenAt = null;
+    let nextOpen = null;
+
+    for (let offset = 0; offset < 14 && !nextOpenAt; offset++) {
+        const dayStart = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        const date = dayStart.toISOString().slice(0, 10);
+
+        if (holidays.has(date)) {
+            continue;
+        }
+
+        const weekday = dayStart.getUTCDay();
+        const period = periodsFor(weekday).find(p => offset > 0 || p.open > nowMinutes);
+
+        if (period) {
+            nextOpenAt = zonedTimeToDate(
+                dayStart.getUTCFullYear(),
+                dayStart.getUTCMonth() + 1,
+                dayStart.getUTCDate(),
+                period.open,
+                timezone
+            );
+            nextOpen = {
+                date,
+                day: DAY_NAMES[weekday],
+                time: period.openTime
+            };
+        }
+    }
+
+    return {
+        configured: true,
+        isOpen,
+        timezone,
+        closesAt,
+        nextOpenAt,
+        nextOpen
+    };
+};
+
+/**
+ * Decide where an inbound call should go according to the user's routing rules
+ * @param {Object} user - User with `schedule` and `callRouting`
+ * @param {Date} now - Instant to evaluate (defaults to the current time)
+ * @returns {string|null} 'forward', 'ai-agent' or 'voicemail'; null when no schedule is configured
+ */
+const resolveCallRoute = (user, now = new Date()) => {
+    const status = getBusinessHoursStatus(user, now);
+
+    if (!status.configured) {
+        return null;
+    }
+
+    const routing = user.callRouting || {};
+    return status.isOpen
+        ? (routing.duringHours || 'forward')
+        : (routing.afterHours || 'ai-agent');
+};
+
+module.exports = {
+    isValidTimezone,
+    zonedTimeToDate,
+    getBusinessHoursStatus,
+    resolveCallRoute
+};
@@ -0,0 +1,191 @@
+const fs = require('fs').promises;
+const path = require('path');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Call = require('../models/Call');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const { sendSms } = require('./smsService');
+const { emitTaskCreated, emitCustomerCreated, emitCallUpdated, emitCallMissed } = require('./websocketService');
+const { dispatchWebhookEvent } = require('./webhookService');
+
+// How long the AI agent has to book a job after the caller hangs up
+const AGENT_OUTCOME_GRACE_PERIOD = 2 * 60 * 1000; // 2 minutes
+const BATCH_SIZE = 50;
+
+/**
+ * Build the text-back message for a user, preferring their custom message
+ * @param {Object} user - User who owns the called number
+ * @returns {Promise<string>} Message text
+ */
+const buildTextBackMessage = async (user) => {
+    const businessName = `${user.firstname} ${user.lastname}`;
+
+    if (user.missedCallTextBack && user.missedCallTextBack.message) {
+        return user.missedCallTextBack.message.replace(/{{businessName}}/g, businessName);
+    }
+
+    const templatePath = path.join(__dirname, '../templates/missedCallSms.txt');
+    const template = (await fs.readFile(templatePath, 'utf8')).trim();
+    return template.replace(/{{businessName}}/g, businessName);
+};
+
+/**
+ * Text the caller back and open a placeholder task for a missed call.
+ * Does nothing unless the user has missed-call text-back enabled.
+ * @param {Object} call - Finished call document flagged as missed
+ * @returns {Promise<Object|null>} Placeholder task, or null when skipped
+ */
+const handleMissedCall = async (call) => {
+    try {
+        if (!call.user || !call.from || call.direction !== 'inbound') {
+            return null;
+        }
+
+        const user = await User.findOne({
+            _id: call.user,
+            isDeleted: { $ne: true }
+        });
+
+        if (!user || !user.missedCallTextBack || !user.missedCallTextBack.enabled) {
+            return null;
+        }
+
+        if (!user.twilioPhoneNumber || user.twilioPhoneStatus !== 'active') {
+            return null;
+        }
+
+        // Claim the call so repeated status callbacks only text back once
+        const claimed = await Call.findOneAndUpdate(
+            { _id: call._id, textBackSentAt: null },
+            { $set: { textBackSentAt: new Date() } },
+            { new: true }
+        );
+
+        if (!claimed) {
+            return null;
+        }
+
+        // Match the caller to one of the user's customers, or create a placeholder
+        const { customer, created } = await Customer.findOrCreateByPhone(user._id, call.from);
+
+        if (created) {
+            emitCustomerCreated(user._id, customer);
+            dispatchWebhookEvent(user._id, 'customer.created', customer);
+        }
+
+        const body = await buildTextBackMessage(user);
+
+        // Placeholder task; the caller's SMS reply is threaded into it
+        const task = new Task({
+            heading: `Missed call from ${customer.name}`,
+            summary: `Missed call from ${call.from}. A text-back was sent asking for job details.`,
+            description: `Call ${call.callSid} ended as ${call.status} before a job was booked.`,
+            conversation: `[${new Date().toISOString()}] ${user.firstname}: ${body}`,
+            source: 'missed-call',
+            customer: customer._id,
+            user: user._id
+        });
+
+        await task.save();
+
+        await Call.updateOne(
+            { _id: call._id },
+            { $set: { task: task._id, customer: customer._id } }
+        );
+
+        try {
+            const result = await sendSms({
+                from: user.twilioPhoneNumber,
+                to: call.from,
+                body
+            });
+
+            await Message.create({
+                messageSid: result && result.sid,
+                direction: 'outbound',
+                from: user.twilioPhoneNumber,
+                to: call.from,
+                body,
+                user: user._id,
+                customer: customer._id,
+                task: task._id
+            });
+        } catch (smsError) {
+            console.error('Missed-call text-back SMS failed:', smsError);
+            // Keep the placeholder task so the user can still follow up
+        }
+
+        // Populate customer details for the event payload
+        await task.populate('customer', 'name address phoneNumber');
+
+        // Emit real-time update and notify webhooks
+        emitTaskCreated(user._id, task);
+        dispatchWebhookEvent(user._id, 'task.created', task);
+
+        return task;
+    } catch (error) {
+        console.error('Error handling missed call:', error);
+        // Don't throw error to avoid breaking the status callback
+        return null;
+    }
+};
+
+/**
+ * Decide AI agent calls whose grace period has passed: a call that still has no task
+ * linked is flagged as missed and handled like any other missed call.
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} { checked, missed }
+ */
+const flagMissedAgentCalls = async (now = new Date()) => {
+    let checked = 0;
+    let missed = 0;
+
+    while (checked < BATCH_SIZE) {
+        // Claim one at a time so several instances never handle the same call
+        const call = await Call.findOneAndUpdate(
+            { agentOutcomeDueAt: { $lte: now } },
+            { $set: { agentOutcomeDueAt: null } },
+            { new: true, sort: { agentOutcomeDueAt: 1 } }
+        );
+
+        if (!call) {
+            break;
+        }
+
+        checked++;
+
+        // The agent booked the job during the grace period
+        if (!call.isMissed()) {
+            continue;
+        }
+
+        call.missed = true;
+        await call.save();
+        missed++;
+
+        if (call.user) {
+            await call.populate([
+                { path: 'customer', select: 'name address phoneNumber' },
+                { path: 'task', select: 'heading summary isResolved' }
+            ]);
+
+            emitCallUpdated(call.user, call);
+            emitCallMissed(call.user, call);
+
+            await handleMissedCall(call);
+        }
+    }
+
+    if (checked > 0) {
+        console.log(`Missed AI agent calls: ${missed}/${checked} flagged`);
+    }
+
+    return { checked, missed };
+};
+
+module.exports = {
+    handleMissedCall,
+    flagMissedAgentCalls,
+    AGENT_OUTCOME_GRACE_PERIOD
+};
@@ -0,0 +1,65 @@
+const ApiNonce = require('../models/ApiNonce');
+
+// Default store records nonces in MongoDB so every instance sees them
+const mongoNonceStore = {
+    claim: async (clientId, nonce, expiresAt) => {
+        try {
+            await ApiNonce.create({ client: clientId, nonce, expiresAt });
+            return true;
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    }
+};
+
+let store = mongoNonceStore;
+
+/**
+ * Replace the nonce store (e.g. with an in-memory store in tests)
+ * @param {Object} newStore - Object with an async claim(clientId, nonce, expiresAt) method
+ */
+const setNonceStore = (newStore) => {
+    store = newStore || mongoNonceStore;
+};
+
+/**
+ * Create an in-memory nonce store for a single process
+ * @returns {Object} Store with a claim() method and the `seen` map
+ */
+const createInMemoryNonceStore = () => {
+    const seen = new Map();
+    return {
+        seen,
+        claim: async (clientId, nonce, expiresAt) => {
+            const now = Date.now();
+            for (const [key, expiry] of seen) {
+                if (expiry <= now) seen.delete(key);
+            }
+
+            const key = `${clientId}:${nonce}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.set(key, expiresAt.getTime());
+            return true;
+        }
+    };
+};
+
+/**
+ * Record a nonce for a client
+ * @param {string} clientId - API client ID
+ * @param {string} nonce - Nonce from the request
+ * @param {Date} expiresAt - When the nonce can be forgotten
+ * @returns {Promise<boolean>} false if the nonce was already used
+ */
+const claimNonce = (clientId, nonce, expiresAt) => store.claim(String(clientId), nonce, expiresAt);
+
+module.exports = {
+    setNonceStore,
+    createInMemoryNonceStore,
+    claimNonce
+};
@@ -0,0 +1,302 @@
+const Joi = require('joi');
+const { joiToSchema, joiToParameters } = require('../utils/joiToOpenApi');
+const { SIGNATURE_VERSION } = require('../utils/apiRequestSigner');
+const {
+    registerSchema,
+    loginSchema,
+    changePasswordSchema,
+    emailSchema,
+    resetPasswordSchema,
+    refreshTokenSchema,
+    revokeSessionsQuerySchema,
+    twoFactorSetupSchema,
+    twoFactorCodeSchema,
+    twoFactorConfirmSchema,
+    twoFactorLoginSchema
+} = require('../validators/authValidator');
+const { taskSchema, taskUpdateSchema, customerSchema, paginationSchema } = require('../validators/taskValidator');
+const { callQuerySchema } = require('../validators/callValidator');
+const {
+    missedCallTextBackSchema,
+    scheduleSchema,
+    callRoutingSchema,
+    availableNumbersQuerySchema,
+    phoneNumberSelectionSchema
+} = require('../validators/userValidator');
+const { apiClientSchema, updateApiClientSchema, rotateApiKeySchema, apiUsageQuerySchema } = require('../validators/apiClientValidator');
+const { webhookSchema, updateWebhookSchema, webhookDeliveryQuerySchema } = require('../validators/webhookValidator');
+
+// Inputs the controllers read without a validator of their own; documentation only
+const verifyEmailQuerySchema = Joi.object({
+    token: Joi.string().required().description('Token from the verification email')
+});
+
+const customerSearchQuerySchema = Joi.object({
+    search: Joi.string().allow('').description('Matches name or phone number'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).default(10)
+});
+
+const updateUserSchema = Joi.object({
+    firstname: Joi.string(),
+    lastname: Joi.string(),
+    phoneNumber: Joi.string().description('Number calls are forwarded to'),
+    address: Joi.string().allow(''),
+    profession: Joi.string().allow(''),
+    professionDescription: Joi.string().allow(''),
+    missedCallTextBack: missedCallTextBackSchema,
+    schedule: scheduleSchema,
+    callRouting: callRoutingSchema
+});
+
+const reconciliationSchema = Joi.object({
+    autoRelease: Joi.boolean().default(false).description('Release orphaned numbers back to Twilio')
+});
+
+const tenantQuerySchema = Joi.object({
+    userId: Joi.string().hex().length(24).description('User to create the task for; required for API clients bound to several users')
+});
+
+const idempotencyHeaderSchema = Joi.object({
+    'Idempotency-Key': Joi.string().max(255).description('Replays the first response when a request is retried')
+});
+
+const assignedNumberHeaderSchema = Joi.object({
+    'assigned-number': Joi.string().required().description('Twilio number assigned to the user (E.164)')
+});
+
+const callSidHeaderSchema = Joi.object({
+    'call-sid': Joi.string().required().description('Twilio call SID')
+});
+
+const createTaskHeaderSchema = assignedNumberHeaderSchema.keys({
+    'call-sid': Joi.string().description('Links the task to this call')
+});
+
+// Authentication options per operation
+const SECURITY = {
+    none: [],
+    jwt: [{ bearerAuth: [] }],
+    apiKey: [{ apiKey: [] }],
+    jwtOrApiKey: [{ bearerAuth: [] }, { apiKey: [] }]
+};
+
+// Every operation in /api/v1; bodies, queries and headers come from Joi schemas
+const OPERATIONS = [
+    { method: 'post', path: '/auth/register', tag: 'Auth', operationId: 'register', summary: 'Register a user', auth: 'none', body: registerSchema, status: 201, rateLimited: true },
+    { method: 'get', path: '/auth/verify-email', tag: 'Auth', operationId: 'verifyEmail', summary: 'Verify an email address (link from the verification email)', auth: 'none', query: verifyEmailQuerySchema, html: true },
+    { method: 'post', path: '/auth/login', tag: 'Auth', operationId: 'login', summary: 'Log in and get an access token and refresh token', auth: 'none', body: loginSchema, rateLimited: true },
+    { method: 'post', path: '/auth/login/2fa', tag: 'Auth', operationId: 'loginTwoFactor', summary: 'Finish a two-factor login with an authenticator or recovery code', auth: 'none', body: twoFactorLoginSchema, rateLimited: true },
+    { method: 'post', path: '/auth/resend-verification', tag: 'Auth', operationId: 'resendVerification', summary: 'Resend the verification email', auth: 'none', body: emailSchema, rateLimited: true },
+    { method: 'put', path: '/auth/password', tag: 'Auth', operationId: 'changePassword', summary: 'Change password', auth: 'jwt', body: changePasswordSchema },
+    { method: 'post', path: '/auth/password/forgot', tag: 'Auth', operationId: 'forgotPassword', summary: 'Email a password reset link', auth: 'none', body: emailSchema, rateLimited: true },
+    { method: 'put', path: '/auth/password/reset/{token}', tag: 'Auth', operationId: 'resetPassword', summary: 'Reset password with a reset token', auth: 'none', body: resetPasswordSchema, rateLimited: true },
+    { method: 'post', path: '/auth/refresh', tag: 'Auth', operationId: 'refreshToken', summary: 'Exchange a refresh token for new tokens', auth: 'none', body: refreshTokenSchema, rateLimited: true },
+    { method: 'post', path: '/auth/logout', tag: 'Auth', operationId: 'logout', summary: 'Log out the session of a refresh token', auth: 'none', body: refreshTokenSchema },
+    { method: 'get', path: '/auth/sessions', tag: 'Auth', operationId: 'getSessions', summary: 'List active sessions', auth: 'jwt' },
+    { method: 'delete', path: '/auth/sessions', tag: 'Auth', operationId: 'revokeAllSessions', summary: 'Revoke all sessions', auth: 'jwt', query: revokeSessionsQuerySchema },
+    { method: 'delete', path: '/auth/sessions/{id}', tag: 'Auth', operationId: 'revokeSession', summary: 'Revoke a session', auth: 'jwt' },
+    { method: 'get', path: '/auth/2fa', tag: 'Auth', operationId: 'getTwoFactorStatus', summary: 'Get two-factor authentication status', auth: 'jwt' },
+    { method: 'post', path: '/auth/2fa/setup', tag: 'Auth', operationId: 'setupTwoFactor', summary: 'Start two-factor enrollment', auth: 'jwt', body: twoFactorSetupSchema, rateLimited: true },
+    { method: 'post', path: '/auth/2fa/verify', tag: 'Auth', operationId: 'verifyTwoFactorSetup', summary: 'Confirm two-factor enrollment and get recovery codes', auth: 'jwt', body: twoFactorCodeSchema, rateLimited: true },
+    { method: 'post', path: '/auth/2fa/recovery-codes', tag: 'Auth', operationId: 'regenerateRecoveryCodes', summary: 'Replace the recovery codes', auth: 'jwt', body: twoFactorConfirmSchema, rateLimited: true },
+    { method: 'post', path: '/auth/2fa/disable', tag: 'Auth', operationId: 'disableTwoFactor', summary: 'Turn off two-factor authentication', auth: 'jwt', body: twoFactorConfirmSchema, rateLimited: true },
+
+    { method: 'get', path: '/users/me', tag: 'Users', operationId: 'getUserProfile', summary: 'Get the current user', auth: 'jwt' },
+    { method: 'get', path: '/users/me/phone/available', tag: 'Users', operationId: 'getAvailableNumbers', summary: 'Search phone numbers available to claim', auth: 'jwt', query: availableNumbersQuerySchema },
+    { method: 'post', path: '/users/me/phone', tag: 'Users', operationId: 'claimNumber', summary: 'Claim a phone number', auth: 'jwt', body: phoneNumberSelectionSchema, status: 201 },
+    { method: 'put', path: '/users/me/phone', tag: 'Users', operationId: 'swapNumber', summary: 'Swap to another phone number', auth: 'jwt', body: phoneNumberSelectionSchema },
+    { method: 'delete', path: '/users/me/phone', tag: 'Users', operationId: 'releaseNumber', summary: 'Release the phone number', auth: 'jwt' },
+    { method: 'post', path: '/users/me/phone/retry', tag: 'Users', operationId: 'retryPhoneProvisioning', summary: 'Retry automatic phone number provisioning', auth: 'jwt' },
+    { method: 'get', path: '/users/{id}', tag: 'Users', operationId: 'getUserById', summary: 'Get a user', auth: 'jwt' },
+    { method: 'put', path: '/users/{id}', tag: 'Users', operationId: 'editUser', summary: 'Update a user profile and call settings', auth: 'jwt', body: updateUserSchema },
+    { method: 'delete', path: '/users/{id}', tag: 'Users', operationId: 'deleteUser', summary: 'Deactivate a user', auth: 'jwt' },
+    { method: 'get', path: '/users/{id}/customers', tag: 'Users', operationId: 'getCustomersByUserId', summary: "List a user's customers", auth: 'jwt' },
+
+    { method: 'get', path: '/tasks', tag: 'Tasks', operationId: 'getAllTasks', summary: 'List tasks', auth: 'jwt', query: paginationSchema },
+    { method: 'post', path: '/tasks', tag: 'Tasks', operationId: 'createTask', summary: 'Create a task', auth: 'jwtOrApiKey', scope: 'tasks:create', body: taskSchema, query: tenantQuerySchema, headers: idempotencyHeaderSchema, status: 201, rateLimited: true },
+    { method: 'get', path: '/tasks/deleted', tag: 'Tasks', operationId: 'getDeletedTasks', summary: 'List deleted tasks', auth: 'jwt', query: paginationSchema },
+    { method: 'get', path: '/tasks/{id}', tag: 'Tasks', operationId: 'getTaskById', summary: 'Get a task', auth: 'jwt' },
+    { method: 'put', path: '/tasks/{id}', tag: 'Tasks', operationId: 'updateTask', summary: 'Update a task', auth: 'jwt', body: taskUpdateSchema },
+    { method: 'delete', path: '/tasks/{id}', tag: 'Tasks', operationId: 'deleteTask', summary: 'Delete a task', auth: 'jwt' },
+    { method: 'put', path: '/tasks/{id}/restore', tag: 'Tasks', operationId: 'restoreTask', summary: 'Restore a deleted task', auth: 'jwt' },
+
+    { method: 'get', path: '/customers', tag: 'Customers', operationId: 'searchCustomers', summary: 'Search customers', auth: 'jwt', query: customerSearchQuerySchema },
+    { method: 'post', path: '/customers', tag: 'Customers', operationId: 'createCustomer', summary: 'Create a customer', auth: 'jwt', body: customerSchema, status: 201 },
+    { method: 'get', path: '/customers/{id}', tag: 'Customers', operationId: 'getCustomerById', summary: 'Get a customer', auth: 'jwt' },
+    { method: 'put', path: '/customers/{id}', tag: 'Customers', operationId: 'updateCustomer', summary: 'Update a customer', auth: 'jwt', body: customerSchema },
+    { method: 'delete', path: '/customers/{id}', tag: 'Customers', operationId: 'deleteCustomer', summary: 'Delete a customer', auth: 'jwt' },
+
+    { method: 'get', path: '/calls', tag: 'Calls', operationId: 'getCalls', summary: 'List calls', auth: 'jwt', query: callQuerySchema },
+    { method: 'get', path: '/calls/{id}', tag: 'Calls', operationId: 'getCallById', summary: 'Get a call', auth: 'jwt' },
+    { method: 'get', path: '/calls/{id}/voicemail', tag: 'Calls', operationId: 'getCallVoicemail', summary: 'Download the voicemail recording', auth: 'jwt', audio: true },
+
+    { method: 'get', path: '/api-keys', tag: 'API Keys', operationId: 'getApiKeys', summary: 'List API keys', auth: 'jwt' },
+    { method: 'post', path: '/api-keys', tag: 'API Keys', operationId: 'createApiKey', summary: 'Create an API key', auth: 'jwt', body: apiClientSchema, status: 201 },
+    { method: 'patch', path: '/api-keys/{id}', tag: 'API Keys', operationId: 'updateApiKey', summary: 'Update an API key', auth: 'jwt', body: updateApiClientSchema },
+    { method: 'delete', path: '/api-keys/{id}', tag: 'API Keys', operationId: 'revokeApiKey', summary: 'Revoke an API key', auth: 'jwt' },
+    { method: 'get', path: '/api-keys/{id}/usage', tag: 'API Keys', operationId: 'getApiKeyUsage', summary: 'Get daily usage for an API key', auth: 'jwt', query: apiUsageQuerySchema },
+    { method: 'post', path: '/api-keys/{id}/rotate', tag: 'API Keys', operationId: 'rotateApiKey', summary: 'Rotate an API key', auth: 'jwt', body: rotateApiKeySchema },
+
+    { method: 'get', path: '/webhooks', tag: 'Webhooks', operationId: 'getWebhooks', summary: 'List webhooks', auth: 'jwt' },
+    { method: 'post', path: '/webhooks', tag: 'Webhooks', operationId: 'createWebhook', summary: 'Create a webhook', auth: 'jwt', body: webhookSchema, status: 201 },
+    { method: 'patch', path: '/webhooks/{id}', tag: 'Webhooks', operationId: 'updateWebhook', summary: 'Update a webhook', auth: 'jwt', body: updateWebhookSchema },
+    { method: 'delete', path: '/webhooks/{id}', tag: 'Webhooks', operationId: 'deleteWebhook', summary: 'Delete a webhook', auth: 'jwt' },
+    { method: 'get', path: '/webhooks/{id}/deliveries', tag: 'Webhooks', operationId: 'getWebhookDeliveries', summary: 'Get the delivery log', auth: 'jwt', query: webhookDeliveryQuerySchema },
+    { method: 'post', path: '/webhooks/{id}/test', tag: 'Webhooks', operationId: 'sendTestWebhook', summary: 'Send a test event', auth: 'jwt' },
+    { method: 'post', path: '/webhooks/{id}/rotate-secret', tag: 'Webhooks', operationId: 'rotateWebhookSecret', summary: 'Rotate the signing secret', auth: 'jwt' },
+
+    { method: 'get', path: '/admin/phone-numbers/reconciliation', tag: 'Admin', operationId: 'getPhoneReconciliationReport', summary: 'Phone number reconciliation report', auth: 'jwt', admin: true },
+    { method: 'post', path: '/admin/phone-numbers/reconciliation', tag: 'Admin', operationId: 'runPhoneReconciliation', summary: 'Run phone number reconciliation', auth: 'jwt', admin: true, body: reconciliationSchema },
+
+    { method: 'get', path: '/integrations/ping', tag: 'Integrations', operationId: 'testApiKeyAuth', summary: 'Check API key authentication', auth: 'apiKey', rateLimited: true },
+    { method: 'get', path: '/integrations/users/by-call-sid', tag: 'Integrations', operationId: 'getUserByAssignedSID', summary: 'Find the user a call was made to', auth: 'apiKey', scope: 'users:lookup', headers: callSidHeaderSchema, rateLimited: true },
+    { method: 'get', path: '/integrations/users/by-assigned-number', tag: 'Integrations', operationId: 'getUserByAssignedNumber', summary: 'Find the user who owns an assigned number', auth: 'apiKey', scope: 'users:lookup', headers: assignedNumberHeaderSchema, rateLimited: true },
+    { method: 'post', path: '/integrations/tasks', tag: 'Integrations', operationId: 'createTaskForUser', summary: 'Create a task for the user who owns an assigned number', auth: 'apiKey', scope: 'tasks:create', body: taskSchema, headers: createTaskHeaderSchema.concat(idempotencyHeaderSchema), status: 201, rateLimited: true },
+
+    { method: 'get', path: '/integrations/tasks/{id}', tag: 'Integrations', operationId: 'getTaskStatusForClient', summary: 'Get the status of a task this client created', auth: 'apiKey', scope: 'tasks:create', rateLimited: true },
+
+    { method: 'get', path: '/openapi.json', tag: 'Meta', operationId: 'getOpenApiDocument', summary: 'This document', auth: 'none' }
+];
+
+const SIGNED_REQUEST_HEADERS = ['x-timestamp', 'x-nonce', 'x-signature-version', 'x-signature'];
+
+const ref = (kind, name) => ({ $ref: `#/components/${kind}/${name}` });
+
+// Build one OpenAPI operation object from a table entry
+const buildOperation = (operation) => {
+    const parameters = [];
+
+    for (const match of operation.path.matchAll(/\{(\w+)\}/g)) {
+        parameters.push({ name: match[1], in: 'path', required: true, schema: { type: 'string' } });
+    }
+    if (operation.query) parameters.push(...joiToParameters(operation.query, 'query'));
+    if (operation.headers) parameters.push(...joiToParameters(operation.headers, 'header'));
+    if (operation.auth === 'apiKey' || operation.auth === 'jwtOrApiKey') {
+        parameters.push(...SIGNED_REQUEST_HEADERS.map(name => ref('parameters', name)));
+    }
+
+    const status = String(operation.status || 200);
+    let content = { 'application/json': { schema: ref('schemas', 'SuccessResponse') } };
+    if (operation.html) content = { 'text/html': { schema: { type: 'string' } } };
+    if (operation.audio) content = { 'audio/mpeg': { schema: { type: 'string', format: 'binary' } } };
+
+    const responses = { [status]: { description: 'Success', content } };
+    if (operation.body || operation.query || operation.headers) responses['400'] = ref('responses', 'BadRequest');
+    if (operation.auth !== 'none') responses['401'] = ref('responses', 'Unauthorized');
+    if (operation.scope || operation.admin) responses['403'] = ref('responses', 'Forbidden');
+    if (operation.path.includes('{id}') || operation.auth === 'apiKey') responses['404'] = ref('responses', 'NotFound');
+    if (operation.rateLimited) responses['429'] = ref('responses', 'TooManyRequests');
+
+    const descriptions = [];
+    if (operation.scope) descriptions.push(`API clients need the \`${operation.scope}\` scope.`);
+    if (operation.admin) descriptions.push('Admins only.');
+
+    const result = {
+        tags: [operation.tag],
+        operationId: operation.operationId,
+        summary: operation.summary,
+        security: SECURITY[operation.auth],
+        parameters,
+        responses
+    };
+    if (descriptions.length > 0) result.description = descriptions.join(' ');
+    if (operation.body) {
+        result.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: joiToSchema(operation.body) } }
+        };
+    }
+    if (parameters.length === 0) delete result.parameters;
+
+    return result;
+};
+
+const buildComponents = () => ({
+    securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'x-api-key',
+            description: `API key of a registered API client. Every request is also signed (signature version ${SIGNATURE_VERSION}): `
+                + 'x-signature is the hex HMAC-SHA256, keyed with the signing secret issued with the key, of '
+                + '"v2\\n<METHOD>\\n<path with query>\\n<timestamp>\\n<nonce>\\n<hex sha256 of the body>".'
+        }
+    },
+    parameters: {
+        'x-timestamp': { name: 'x-timestamp', in: 'header', required: true, description: 'Current time in milliseconds', schema: { type: 'string' } },
+        'x-nonce': { name: 'x-nonce', in: 'header', required: true, description: 'Random value used once (16-128 letters, digits, - or _)', schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{16,128}$' } },
+        'x-signature-version': { name: 'x-signature-version', in: 'header', required: true, schema: { type: 'string', enum: [SIGNATURE_VERSION] } },
+        'x-signature': { name: 'x-signature', in: 'header', required: true, description: 'Request signature', schema: { type: 'string' } }
+    },
+    schemas: {
+        SuccessResponse: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', enum: [true] },
+                message: { type: 'string' },
+                data: {}
+            },
+            required: ['success']
+        },
+        ErrorResponse: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                message: { type: 'string' },
+                errors: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['success', 'message']
+        }
+    },
+    responses: {
+        BadRequest: { description: 'Invalid input', content: { 'application/json': { schema: ref('schemas', 'ErrorResponse') } } },
+        Unauthorized: { description: 'Missing or invalid credentials', content: { 'application/json': { schema: ref('schemas', 'ErrorResponse') } } },
+        Forbidden: { description: 'Not allowed for these credentials', content: { 'application/json': { schema: ref('schemas', 'ErrorResponse') } } },
+        NotFound: { description: 'Not found', content: { 'application/json': { schema: ref('schemas', 'ErrorResponse') } } },
+        TooManyRequests: {
+            description: 'Rate limit or daily task quota reached',
+            headers: { 'Retry-After': { schema: { type: 'integer' } } },
+            content: { 'application/json': { schema: ref('schemas', 'ErrorResponse') } }
+        }
+    }
+});
+
+let cachedDocument = null;
+
+/**
+ * Build the OpenAPI 3 document for /api/v1 (built once, then cached)
+ * @returns {Object} OpenAPI document
+ */
+const getOpenApiDocument = () => {
+    if (cachedDocument) {
+        return cachedDocument;
+    }
+
+    const paths = {};
+    for (const operation of OPERATIONS) {
+        paths[operation.path] = paths[operation.path] || {};
+        paths[operation.path][operation.method] = buildOperation(operation);
+    }
+
+    cachedDocument = {
+        openapi: '3.0.3',
+        info: {
+            title: 'Botie API',
+            version: '1.0.0',
+            description: 'Versioned Botie API. Unversioned /api paths are deprecated aliases of these routes.'
+        },
+        servers: [{ url: '/api/v1' }],
+        tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+        paths,
+        components: buildComponents()
+    };
+
+    return cachedDocument;
+};
+
+module.exports = {
+    OPERATIONS,
+    getOpenApiDocument
+};
@@ -0,0 +1,270 @@
+const User = require('../models/User');
+const { purchasePhoneNumber, releasePhoneNumber, assignPhoneNumberToUser } = require('./twilioService');
+
+const MAX_AUTO_ATTEMPTS = 10;
+const BASE_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000; // 6 hours
+// A pending provisioning older than this is assumed to have crashed mid-way
+const STALE_PENDING_AFTER = 10 * 60 * 1000; // 10 minutes
+
+// Custom error carrying the HTTP status the controller should respond with
+class PhoneNumberError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'PhoneNumberError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Twilio phone fields for a purchased number
+const toPhoneFields = (purchasedNumber) => ({
+    twilioPhoneNumber: purchasedNumber.phoneNumber,
+    twilioPhoneSid: purchasedNumber.sid,
+    twilioPhoneFriendlyName: purchasedNumber.friendlyName,
+    twilioPhoneStatus: 'active'
+});
+
+// Release a number we just bought when the user update can't go through
+const rollbackPurchase = async (purchasedNumber) => {
+    try {
+        await releasePhoneNumber(purchasedNumber.sid);
+        console.log(`Rolled back purchase of ${purchasedNumber.phoneNumber}`);
+    } catch (error) {
+        console.error(`Failed to roll back purchase of ${purchasedNumber.phoneNumber}:`, error);
+    }
+};
+
+// Buy a number chosen by the user
+const buyNumber = async (user, phoneNumber) => {
+    try {
+        return await purchasePhoneNumber(phoneNumber, `${user.firstname} ${user.lastname}-${user._id}`);
+    } catch (error) {
+        throw new PhoneNumberError('The selected phone number could not be purchased. It may no longer be available.', 502);
+    }
+};
+
+/**
+ * Claim a chosen number for a user who doesn't have one yet
+ * @param {Object} user - User document
+ * @param {string} phoneNumber - E.164 number picked from the available list
+ * @returns {Promise<Object>} Updated user
+ */
+const claimPhoneNumber = async (user, phoneNumber) => {
+    if (user.twilioPhoneSid) {
+        throw new PhoneNumberError('You already have a phone number. Swap or release it first.', 409);
+    }
+
+    const purchasedNumber = await buyNumber(user, phoneNumber);
+
+    // Only assign if no other request assigned a number in the meantime
+    const updatedUser = await User.findOneAndUpdate(
+        { _id: user._id, twilioPhoneSid: null },
+        { $set: toPhoneFields(purchasedNumber) },
+        { new: true }
+    ).catch(async (error) => {
+        await rollbackPurchase(purchasedNumber);
+        throw error;
+    });
+
+    if (!updatedUser) {
+        await rollbackPurchase(purchasedNumber);
+        throw new PhoneNumberError('Your phone number changed while claiming. Please try again.', 409);
+    }
+
+    return updatedUser;
+};
+
+/**
+ * Replace a user's number with a newly chosen one
+ * @param {Object} user - User document
+ * @param {string} phoneNumber - E.164 number picked from the available list
+ * @returns {Promise<Object>} { user, previousNumberReleased }
+ */
+const swapPhoneNumber = async (user, phoneNumber) => {
+    if (!user.twilioPhoneSid) {
+        throw new PhoneNumberError('You do not have a phone number to swap. Claim one instead.', 409);
+    }
+
+    if (user.twilioPhoneNumber === phoneNumber) {
+        throw new PhoneNumberError('This is already your phone number.', 400);
+    }
+
+    const previousSid = user.twilioPhoneSid;
+    const previousNumber = user.twilioPhoneNumber;
+    const purchasedNumber = await buyNumber(user, phoneNumber);
+
+    // Swap only if the user still points at the number we're replacing
+    const updatedUser = await User.findOneAndUpdate(
+        { _id: user._id, twilioPhoneSid: previousSid },
+        { $set: toPhoneFields(purchasedNumber) },
+        { new: true }
+    ).catch(async (error) => {
+        await rollbackPurchase(purchasedNumber);
+        throw error;
+    });
+
+    if (!updatedUser) {
+        await rollbackPurchase(purchasedNumber);
+        throw new PhoneNumberError('Your phone number changed while swapping. Please try again.', 409);
+    }
+
+    let previousNumberReleased = true;
+    try {
+        await releasePhoneNumber(previousSid);
+        console.log(`Released Twilio phone number ${previousNumber} for user ${user._id}`);
+    } catch (error) {
+        // The user already has the new number; reconciliation will pick up the orphan
+        console.error(`Failed to release previous number ${previousNumber}:`, error);
+        previousNumberReleased = false;
+    }
+
+    return { user: updatedUser, previousNumberReleased };
+};
+
+/**
+ * Release a user's number back to Twilio
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Updated user
+ */
+const releaseUserPhoneNumber = async (user) => {
+    if (!user.twilioPhoneSid) {
+        throw new PhoneNumberError('You do not have a phone number to release.', 404);
+    }
+
+    const previousFields = {
+        twilioPhoneNumber: user.twilioPhoneNumber,
+        twilioPhoneSid: user.twilioPhoneSid,
+        twilioPhoneFriendlyName: user.twilioPhoneFriendlyName,
+        twilioPhoneStatus: user.twilioPhoneStatus
+    };
+
+    // Detach the number first so no new calls get routed to this user
+    const updatedUser = await User.findOneAndUpdate(
+        { _id: user._id, twilioPhoneSid: previousFields.twilioPhoneSid },
+        {
+            $set: {
+                twilioPhoneNumber: null,
+                twilioPhoneSid: null,
+                twilioPhoneFriendlyName: null,
+                twilioPhoneStatus: null
+            }
+        },
+        { new: true }
+    );
+
+    if (!updatedUser) {
+        throw new PhoneNumberError('Your phone number changed while releasing. Please try again.', 409);
+    }
+
+    try {
+        await releasePhoneNumber(previousFields.twilioPhoneSid);
+    } catch (error) {
+        // Restore the number so the user isn't left without one they still pay for
+        await User.updateOne(
+            { _id: user._id, twilioPhoneSid: null },
+            { $set: previousFields }
+        );
+        throw new PhoneNumberError('The phone number could not be released. Please try again later.', 502);
+    }
+
+    console.log(`Released Twilio phone number ${previousFields.twilioPhoneNumber} for user ${user._id}`);
+    return updatedUser;
+};
+
+// Exponential backoff between automatic provisioning attempts
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+/**
+ * Provision a number for a verified user, moving twilioPhoneStatus through
+ * pending -> active, or pending -> failed with the reason and next retry time.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Updated user with an active number
+ */
+const provisionPhoneNumber = async (user) => {
+    const now = new Date();
+
+    // Move to pending; only one provisioning attempt may run at a time
+    const pendingUser = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            twilioPhoneSid: null,
+            $or: [
+                { twilioPhoneStatus: { $in: [null, 'failed'] } },
+                { twilioPhoneStatus: 'pending', 'twilioProvisioning.lastAttemptAt': { $lt: new Date(now.getTime() - STALE_PENDING_AFTER) } },
+                { twilioPhoneStatus: 'pending', 'twilioProvisioning.lastAttemptAt': null }
+            ]
+        },
+        {
+            $set: {
+                twilioPhoneStatus: 'pending',
+                'twilioProvisioning.lastAttemptAt': now,
+                'twilioProvisioning.nextAttemptAt': null
+            },
+            $inc: { 'twilioProvisioning.attempts': 1 }
+        },
+        { new: true }
+    );
+
+    if (!pendingUser) {
+        throw new PhoneNumberError('A phone number is already assigned or being provisioned.', 409);
+    }
+
+    const attempts = pendingUser.twilioProvisioning.attempts;
+    let purchasedNumber;
+
+    try {
+        purchasedNumber = await assignPhoneNumberToUser(
+            user._id.toString(),
+            `${user.firstname} ${user.lastname}`
+            // Country code will be taken from TWILIO_COUNTRY_CODE env variable
+        );
+    } catch (error) {
+        const nextAttemptAt = attempts < MAX_AUTO_ATTEMPTS
+            ? new Date(now.getTime() + getRetryDelay(attempts))
+            : null;
+
+        await User.updateOne(
+            { _id: user._id, twilioPhoneStatus: 'pending' },
+            {
+                $set: {
+                    twilioPhoneStatus: 'failed',
+                    'twilioProvisioning.lastError': error.message,
+                    'twilioProvisioning.nextAttemptAt': nextAttemptAt
+                }
+            }
+        );
+
+        console.error(`Twilio phone provisioning attempt ${attempts} failed for user ${user._id}:`, error.message);
+        throw new PhoneNumberError('Phone number provisioning failed. It will be retried automatically.', 502);
+    }
+
+    const activeUser = await User.findOneAndUpdate(
+        { _id: user._id, twilioPhoneStatus: 'pending', twilioPhoneSid: null },
+        {
+            $set: {
+                ...toPhoneFields(purchasedNumber),
+                'twilioProvisioning.lastError': null,
+                'twilioProvisioning.nextAttemptAt': null
+            }
+        },
+        { new: true }
+    );
+
+    if (!activeUser) {
+        await rollbackPurchase(purchasedNumber);
+        throw new PhoneNumberError('Your phone number changed while provisioning. Please try again.', 409);
+    }
+
+    console.log(`Assigned Twilio phone number ${purchasedNumber.phoneNumber} to user ${user._id}`);
+    return activeUser;
+};
+
+module.exports = {
+    PhoneNumberError,
+    claimPhoneNumber,
+    swapPhoneNumber,
+    releaseUserPhoneNumber,
+    provisionPhoneNumber,
+    MAX_AUTO_ATTEMPTS,
+    STALE_PENDING_AFTER
+};
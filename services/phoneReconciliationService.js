@@ -0,0 +1,178 @@
+const User = require('../models/User');
+const {
+    listAllPhoneNumbers,
+    releasePhoneNumber,
+    getPhoneNumberWebhooks,
+    updatePhoneNumberWebhooks
+} = require('./twilioService');
+
+// Summary of a user for the report
+const toUserSummary = (user) => ({
+    id: user._id,
+    email: user.email,
+    twilioPhoneNumber: user.twilioPhoneNumber,
+    twilioPhoneStatus: user.twilioPhoneStatus,
+    isDeleted: user.isDeleted === true,
+    deletedAt: user.deletedAt
+});
+
+// Summary of a Twilio number for the report
+const toNumberSummary = (number) => ({
+    sid: number.sid,
+    phoneNumber: number.phoneNumber,
+    friendlyName: number.friendlyName,
+    dateCreated: number.dateCreated
+});
+
+// Release an orphaned number and clear it from the soft-deleted users still holding it
+const releaseOrphan = async (sid) => {
+    // A user may have been reactivated since the report was built
+    const activeHolders = await User.countDocuments({ twilioPhoneSid: sid, isDeleted: { $ne: true } });
+    if (activeHolders > 0) {
+        return { released: false, releaseError: 'Number is assigned to an active user' };
+    }
+
+    try {
+        await releasePhoneNumber(sid);
+    } catch (error) {
+        return { released: false, releaseError: error.message };
+    }
+
+    await User.updateMany(
+        { twilioPhoneSid: sid, isDeleted: true },
+        {
+            $set: {
+                twilioPhoneNumber: null,
+                twilioPhoneSid: null,
+                twilioPhoneFriendlyName: null,
+                twilioPhoneStatus: null
+            }
+        }
+    );
+
+    return { released: true };
+};
+
+// Point a number at the current webhook URLs
+const updateWebhooks = async (sid, webhooks) => {
+    try {
+        await updatePhoneNumberWebhooks(sid, webhooks);
+    } catch (error) {
+        return { updated: false, updateError: error.message };
+    }
+
+    return { updated: true };
+};
+
+/**
+ * Compare the numbers on the Twilio account with the numbers assigned to users.
+ * Flags orphaned numbers (only held by soft-deleted users, still billed), numbers
+ * no user holds, active users pointing at numbers Twilio no longer has, and
+ * numbers assigned to more than one user. Also flags numbers held by an active
+ * user whose voice, SMS or status callback URL differs from the current config
+ * (numbers bought before a URL was configured never got it).
+ * @param {Object} options
+ * @param {boolean} options.autoRelease - Release orphaned numbers on Twilio
+ * @param {boolean} options.syncWebhooks - Point outdated numbers at the current webhook URLs
+ * @returns {Promise<Object>} Reconciliation report
+ */
+const reconcilePhoneNumbers = async ({ autoRelease = false, syncWebhooks = false } = {}) => {
+    const twilioNumbers = await listAllPhoneNumbers();
+    const users = await User.findAllWithDeleted({ twilioPhoneSid: { $ne: null } })
+        .select('email twilioPhoneNumber twilioPhoneSid twilioPhoneStatus isDeleted deletedAt');
+
+    const twilioBySid = new Map(twilioNumbers.map(number => [number.sid, number]));
+
+    const usersBySid = new Map();
+    for (const user of users) {
+        if (!usersBySid.has(user.twilioPhoneSid)) {
+            usersBySid.set(user.twilioPhoneSid, []);
+        }
+        usersBySid.get(user.twilioPhoneSid).push(user);
+    }
+
+    const webhooks = getPhoneNumberWebhooks();
+
+    const orphanedNumbers = [];
+    const unassignedNumbers = [];
+    const outdatedWebhooks = [];
+
+    for (const number of twilioNumbers) {
+        const holders = usersBySid.get(number.sid) || [];
+
+        if (holders.length === 0) {
+            unassignedNumbers.push(toNumberSummary(number));
+        } else if (holders.every(user => user.isDeleted === true)) {
+            orphanedNumbers.push({
+                ...toNumberSummary(number),
+                users: holders.map(toUserSummary),
+                released: false
+            });
+        } else {
+            const fields = Object.keys(webhooks).filter(key => number[key] !== webhooks[key]);
+            if (fields.length > 0) {
+                outdatedWebhooks.push({ ...toNumberSummary(number), fields, updated: false });
+            }
+        }
+    }
+
+    const usersWithReleasedNumbers = users
+        .filter(user => user.isDeleted !== true && !twilioBySid.has(user.twilioPhoneSid))
+        .map(user => ({ ...toUserSummary(user), twilioPhoneSid: user.twilioPhoneSid }));
+
+    const duplicates = [...usersBySid.entries()]
+        .filter(([, holders]) => holders.length > 1)
+        .map(([sid, holders]) => ({
+            sid,
+            phoneNumber: twilioBySid.has(sid) ? twilioBySid.get(sid).phoneNumber : holders[0].twilioPhoneNumber,
+            onTwilio: twilioBySid.has(sid),
+            users: holders.map(toUserSummary)
+        }));
+
+    let releasedCount = 0;
+    let webhooksUpdatedCount = 0;
+
+    if (autoRelease) {
+        for (const orphan of orphanedNumbers) {
+            Object.assign(orphan, await releaseOrphan(orphan.sid));
+            if (orphan.released) {
+                releasedCount++;
+            }
+        }
+    }
+
+    if (syncWebhooks) {
+        for (const number of outdatedWebhooks) {
+            Object.assign(number, await updateWebhooks(number.sid, webhooks));
+            if (number.updated) {
+                webhooksUpdatedCount++;
+            }
+        }
+    }
+
+    return {
+        checkedAt: new Date(),
+        autoRelease,
+        syncWebhooks,
+        summary: {
+            twilioNumbers: twilioNumbers.length,
+            assignedUsers: users.filter(user => user.isDeleted !== true).length,
+            orphanedNumbers: orphanedNumbers.length,
+            unassignedNumbers: unassignedNumbers.length,
+            usersWithReleasedNumbers: usersWithReleasedNumbers.length,
+            duplicates: duplicates.length,
+            released: releasedCount,
+            outdatedWebhooks: outdatedWebhooks.length,
+            webhooksUpdated: webhooksUpdatedCount
+        },
+        orphanedNumbers,
+        unassignedNumbers,
+        usersWithReleasedNumbers,
+        duplicates,
+        outdatedWebhooks
+    };
+};
+
+module.exports = {
+    reconcilePhoneNumbers
+};
@@ -0,0 +1,175 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// Start of the fixed window containing now
+const windowStart = (windowMs, now) => Math.floor(now / windowMs) * windowMs;
+
+// Counters in MongoDB, shared by every instance
+const mongoRateLimitStore = {
+    increment: async (key, windowMs, amount = 1) => {
+        const start = windowStart(windowMs, Date.now());
+        const resetAt = new Date(start + windowMs);
+
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key: `${key}:${start}` },
+            { $inc: { count: amount }, $setOnInsert: { resetAt } },
+            { upsert: true, new: true }
+        );
+
+        let counter;
+        try {
+            counter = await update();
+        } catch (error) {
+            // Two requests raced to create the counter; the second update finds it
+            if (error.code !== 11000) throw error;
+            counter = await update();
+        }
+
+        return { count: counter.count, resetAt };
+    },
+
+    get: async (key, windowMs) => {
+        const start = windowStart(windowMs, Date.now());
+        const counter = await RateLimitCounter.findOne({ key: `${key}:${start}` });
+        return { count: counter ? counter.count : 0, resetAt: new Date(start + windowMs) };
+    },
+
+    reserve: async (key, windowMs, limit) => {
+        const start = windowStart(windowMs, Date.now());
+        const resetAt = new Date(start + windowMs);
+
+        // Only matches while there is room; a full counter makes the upsert hit the unique key
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key: `${key}:${start}`, count: { $lt: limit } },
+            { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+            { upsert: true, new: true }
+        );
+
+        let counter = null;
+        for (let attempt = 0; attempt < 2 && !counter; attempt++) {
+            try {
+                counter = await update();
+            } catch (error) {
+                // Either the counter is full or two requests raced to create it; retry once
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        if (!counter) {
+            const full = await RateLimitCounter.findOne({ key: `${key}:${start}` });
+            return { reserved: false, count: full ? full.count : limit, resetAt };
+        }
+
+        return { reserved: true, count: counter.count, resetAt };
+    },
+
+    release: async (key, windowMs, resetAt) => {
+        await RateLimitCounter.updateOne(
+            { key: `${key}:${resetAt.getTime() - windowMs}`, count: { $gt: 0 } },
+            { $inc: { count: -1 } }
+        );
+    }
+};
+
+let store = mongoRateLimitStore;
+
+/**
+ * Replace the rate limit store (e.g. with the in-memory store for a single instance or tests)
+ * @param {Object} newStore - Object with async increment(key, windowMs, amount), get(key, windowMs),
+ *   reserve(key, windowMs, limit) and release(key, windowMs, resetAt)
+ */
+const setRateLimitStore = (newStore) => {
+    store = newStore || mongoRateLimitStore;
+};
+
+/**
+ * Create an in-memory rate limit store for a single process
+ * @returns {Object} Store with increment(), get(), reserve(), release() and the `counters` map
+ */
+const createInMemoryRateLimitStore = () => {
+    const counters = new Map();
+
+    const read = (key, windowMs) => {
+        const now = Date.now();
+        for (const [counterKey, counter] of counters) {
+            if (counter.resetAt.getTime() <= now) counters.delete(counterKey);
+        }
+
+        const start = windowStart(windowMs, now);
+        const counterKey = `${key}:${start}`;
+        return { counterKey, counter: counters.get(counterKey), resetAt: new Date(start + windowMs) };
+    };
+
+    return {
+        counters,
+        increment: async (key, windowMs, amount = 1) => {
+            const { counterKey, counter, resetAt } = read(key, windowMs);
+            const count = (counter ? counter.count : 0) + amount;
+            counters.set(counterKey, { count, resetAt });
+            return { count, resetAt };
+        },
+        get: async (key, windowMs) => {
+            const { counter, resetAt } = read(key, windowMs);
+            return { count: counter ? counter.count : 0, resetAt };
+        },
+        reserve: async (key, windowMs, limit) => {
+            const { counterKey, counter, resetAt } = read(key, windowMs);
+            const count = counter ? counter.count : 0;
+            if (count >= limit) {
+                return { reserved: false, count, resetAt };
+            }
+            counters.set(counterKey, { count: count + 1, resetAt });
+            return { reserved: true, count: count + 1, resetAt };
+        },
+        release: async (key, windowMs, resetAt) => {
+            const counter = counters.get(`${key}:${resetAt.getTime() - windowMs}`);
+            if (counter && counter.count > 0) {
+                counter.count--;
+            }
+        }
+    };
+};
+
+/**
+ * Count a hit against a key in the current window
+ * @param {string} key - Rate limit key
+ * @param {number} windowMs - Window length
+ * @param {number} amount - Hits to add
+ * @returns {Promise<Object>} { count, resetAt }
+ */
+const incrementCounter = (key, windowMs, amount = 1) => store.increment(key, windowMs, amount);
+
+/**
+ * Read a key's count in the current window without changing it
+ * @param {string} key - Rate limit key
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} { count, resetAt }
+ */
+const getCounter = (key, windowMs) => store.get(key, windowMs);
+
+/**
+ * Take one slot under a limit in the current window, atomically: the count only goes
+ * up while it is below the limit, so concurrent requests can't overshoot it
+ * @param {string} key - Rate limit key
+ * @param {number} windowMs - Window length
+ * @param {number} limit - Maximum count in the window
+ * @returns {Promise<Object>} { reserved, count, resetAt }
+ */
+const reserveCounter = (key, windowMs, limit) => store.reserve(key, windowMs, limit);
+
+/**
+ * Give back a slot taken with reserveCounter
+ * @param {string} key - Rate limit key
+ * @param {number} windowMs - Window length
+ * @param {Date} resetAt - resetAt of the reservation, so the slot returns to the window it came from
+ * @returns {Promise<void>}
+ */
+const releaseCounter = (key, windowMs, resetAt) => store.release(key, windowMs, resetAt);
+
+module.exports = {
+    setRateLimitStore,
+    createInMemoryRateLimitStore,
+    incrementCounter,
+    getCounter,
+    reserveCounter,
+    releaseCounter
+};
@@ -0,0 +1,154 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { disconnectUser } = require('./websocketService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Error carrying the HTTP status for a failed session operation
+class SessionError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'SessionError';
+        this.statusCode = statusCode;
+    }
+}
+
+// How long an unused session stays valid; every refresh starts this period again
+const getRefreshTokenTtl = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * DAY;
+
+// Short-lived access token bound to a session and the user's token version,
+// so revoking the session or bumping the version revokes it too
+const signAccessToken = (user, session) => jwt.sign(
+    { id: user._id, sid: session._id, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+);
+
+// Token pair returned after login or refresh
+const buildTokens = (user, session, refreshToken) => {
+    const token = signAccessToken(user, session);
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+        token,
+        tokenType: 'Bearer',
+        expiresIn: exp - iat,
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt
+    };
+};
+
+/**
+ * Start a session for a user who has just logged in
+ * @param {Object} user - Authenticated user
+ * @param {Object} device - { deviceName, userAgent, ipAddress }
+ * @returns {Promise<Object>} { session, tokens }
+ */
+const createSession = async (user, { deviceName = null, userAgent = null, ipAddress = null } = {}) => {
+    const refreshToken = Session.generateToken();
+
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: Session.hashToken(refreshToken),
+        deviceName,
+        userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+        ipAddress,
+        expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+    });
+
+    return { session, tokens: buildTokens(user, session, refreshToken) };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a token that was already exchanged revokes its whole session (the
+ * token family), since either the client or an attacker holds a stolen copy.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object>} { session, tokens }
+ * @throws {SessionError} When the token is unknown, reused or its session is no longer active
+ */
+const refreshSession = async (refreshToken, { ipAddress = null } = {}) => {
+    const session = await Session.findByToken(refreshToken);
+
+    if (!session) {
+        throw new SessionError('Invalid refresh token');
+    }
+
+    if (!session.isActive()) {
+        throw new SessionError('Session has expired or been revoked');
+    }
+
+    const tokenHash = Session.hashToken(refreshToken);
+
+    const revokeForReuse = async () => {
+        await Session.revokeWhere({ _id: session._id }, 'reuse-detected');
+        console.warn(`Refresh token reuse detected for session ${session._id} of user ${session.user}; session revoked`);
+        return new SessionError('Refresh token has already been used; the session has been revoked');
+    };
+
+    if (session.tokenHash !== tokenHash) {
+        throw await revokeForReuse();
+    }
+
+    const user = await User.findUserWithDeleted({ _id: session.user });
+    if (!user || user.isSoftDeleted()) {
+        await Session.revokeWhere({ _id: session._id });
+        throw new SessionError('Account has been deactivated');
+    }
+
+    const rotated = await Session.rotateToken(session._id, tokenHash, {
+        expiresAt: new Date(Date.now() + getRefreshTokenTtl()),
+        ipAddress
+    });
+
+    // Another request exchanged the same token first
+    if (!rotated) {
+        throw await revokeForReuse();
+    }
+
+    return {
+        session: rotated.session,
+        tokens: buildTokens(user, rotated.session, rotated.refreshToken)
+    };
+};
+
+/**
+ * End the session a refresh token belongs to. Unknown tokens are ignored so logging out twice succeeds.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+const endSession = async (refreshToken) => {
+    const session = await Session.findByToken(refreshToken);
+    if (!session || !session.isActive()) {
+        return false;
+    }
+
+    await Session.revokeWhere({ _id: session._id }, 'logout');
+    return true;
+};
+
+/**
+ * Log a user out everywhere: revoke all their sessions and disconnect their sockets.
+ * Use after bumping the user's tokenVersion, which rejects their outstanding access tokens.
+ * @param {string} userId - User ID
+ * @param {string} reason - Recorded as revokedReason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const endAllSessions = async (userId, reason = 'revoked') => {
+    const result = await Session.revokeWhere({ user: userId }, reason);
+    disconnectUser(userId);
+    return result.modifiedCount;
+};
+
+module.exports = {
+    SessionError,
+    createSession,
+    refreshSession,
+    endSession,
+    endAllSessions
+};
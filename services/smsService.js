@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Message = require('../models/Message');
+const { sendSmsMessage } = require('./twilioService');
+
+// Default transport sends through the Twilio account
+const twilioTransport = {
+    send: ({ from, to, body }) => sendSmsMessage(from, to, body)
+};
+
+let transport = twilioTransport;
+
+/**
+ * Replace the SMS transport (e.g. with an in-memory fake in tests)
+ * @param {Object} newTransport - Object with an async send({ from, to, body }) method
+ */
+const setSmsTransport = (newTransport) => {
+    transport = newTransport || twilioTransport;
+};
+
+/**
+ * Create an in-memory transport that records messages instead of sending them
+ * @returns {Object} Transport with a `sent` array of recorded messages
+ */
+const createInMemorySmsTransport = () => {
+    const sent = [];
+    return {
+        sent,
+        send: async (message) => {
+            sent.push(message);
+            return { sid: `SM-fake-${sent.length}`, status: 'sent' };
+        }
+    };
+};
+
+const sendSms = async (options) => {
+    const msg = {
+        from: options.from,
+        to: options.to,
+        body: options.body,
+    };
+
+    try {
+        const result = await transport.send(msg);
+        console.log('SMS sent successfully');
+        return result;
+    } catch (error) {
+        console.error('Error sending SMS:', error);
+        // Re-throw the error to be handled by the caller
+        throw new Error('SMS could not be sent');
+    }
+};
+
+// Short, customer-facing reference for a task
+const getTaskReference = (task) => task._id.toString().slice(-6).toUpperCase();
+
+// Send booking confirmation SMS to the customer from the user's assigned number
+const sendBookingConfirmation = async (user, task, customer) => {
+    try {
+        if (!user.twilioPhoneNumber || user.twilioPhoneStatus !== 'active') {
+            console.log(`Skipping booking confirmation SMS: user ${user._id} has no active Twilio number`);
+            return null;
+        }
+
+        // Read the SMS template
+        const templatePath = path.join(__dirname, '../templates/bookingConfirmationSms.txt');
+        let body = (await fs.readFile(templatePath, 'utf8')).trim();
+
+        // Replace placeholders with actual data
+        const replacements = {
+            '{{customerName}}': customer.name,
+            '{{businessName}}': `${user.firstname} ${user.lastname}`,
+            '{{taskHeading}}': task.heading,
+            '{{referenceId}}': getTaskReference(task)
+        };
+
+        // Apply replacements
+        Object.keys(replacements).forEach(key => {
+            body = body.replace(new RegExp(key, 'g'), replacements[key]);
+        });
+
+        const result = await sendSms({
+            from: user.twilioPhoneNumber,
+            to: customer.phoneNumber,
+            body
+        });
+
+        // Keep the confirmation in the customer's message thread
+        await Message.create({
+            messageSid: result && result.sid,
+            direction: 'outbound',
+            from: user.twilioPhoneNumber,
+            to: customer.phoneNumber,
+            body,
+            user: user._id,
+            customer: customer._id,
+            task: task._id
+        });
+
+        console.log(`Booking confirmation SMS sent to ${customer.phoneNumber}`);
+        return result;
+    } catch (error) {
+        console.error('Error sending booking confirmation SMS:', error);
+        // Don't throw error to avoid breaking the task creation process
+        return null;
+    }
+};
+
+module.exports = {
+    sendSms,
+    sendBookingConfirmation,
+    getTaskReference,
+    setSmsTransport,
+    createInMemorySmsTransport
+};
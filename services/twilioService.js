@@ -10,9 +10,10 @@ const client = twilio(
  * Get available phone numbers from Twilio
  * @param {string} countryCode - Country code (e.g., 'US', 'CA')
  * @param {string} areaCode - Area code (optional)
+ * @param {string} contains - Digit/letter pattern the number must contain (optional)
  * @returns {Promise<Array>} Array of available phone numbers
  */
-const getAvailablePhoneNumbers = async (countryCode = 'US', areaCode = null) => {
+const getAvailablePhoneNumbers = async (countryCode = 'US', areaCode = null, contains = null) => {
     try {
         const params = {
             limit: 10, // Get 10 available numbers
@@ -24,6 +25,10 @@ const getAvailablePhoneNumbers = async (countryCode = 'US', areaCode = null) =>
             params.areaCode = areaCode;
         }
 
+        if (contains) {
+            params.contains = contains;
+        }
+
         const numbers = await client.availablePhoneNumbers(countryCode)
             .local
             .list(params);
@@ -41,6 +46,29 @@ const getAvailablePhoneNumbers = async (countryCode = 'US', areaCode = null) =>
     }
 };
 
+/**
+ * Webhook URLs every assigned number should point at, from TWILIO_WEBHOOK_URL,
+ * TWILIO_SMS_WEBHOOK_URL and TWILIO_STATUS_CALLBACK_URL. Unset variables are left out.
+ * @returns {Object} voiceUrl, smsUrl and statusCallback
+ */
+const getPhoneNumberWebhooks = () => {
+    const webhooks = {};
+
+    if (process.env.TWILIO_WEBHOOK_URL) {
+        webhooks.voiceUrl = process.env.TWILIO_WEBHOOK_URL;
+    }
+
+    if (process.env.TWILIO_SMS_WEBHOOK_URL) {
+        webhooks.smsUrl = process.env.TWILIO_SMS_WEBHOOK_URL;
+    }
+
+    if (process.env.TWILIO_STATUS_CALLBACK_URL) {
+        webhooks.statusCallback = process.env.TWILIO_STATUS_CALLBACK_URL;
+    }
+
+    return webhooks;
+};
+
 /**
  * Purchase a phone number from Twilio
  * @param {string} phoneNumber - The phone number to purchase
@@ -49,18 +77,12 @@ const getAvailablePhoneNumbers = async (countryCode = 'US', areaCode = null) =>
  */
 const purchasePhoneNumber = async (phoneNumber, friendlyName = null) => {
     try {
-        const webhookUrl = process.env.TWILIO_WEBHOOK_URL;
-        
         const phoneNumberConfig = {
             phoneNumber: phoneNumber,
-            friendlyName: friendlyName || `User-${Date.now()}`
+            friendlyName: friendlyName || `User-${Date.now()}`,
+            ...getPhoneNumberWebhooks()
         };
 
-        // Add voice webhook URL if TWILIO_WEBHOOK_URL is configured
-        if (webhookUrl) {
-            phoneNumberConfig.voiceUrl = webhookUrl;
-        }
-
         const incomingPhoneNumber = await client.incomingPhoneNumbers
             .create(phoneNumberConfig);
 
@@ -76,6 +98,22 @@ const purchasePhoneNumber = async (phoneNumber, friendlyName = null) => {
     }
 };
 
+/**
+ * Point an existing phone number at the given webhook URLs
+ * @param {string} phoneNumberSid - The SID of the phone number
+ * @param {Object} webhooks - voiceUrl, smsUrl and/or statusCallback
+ * @returns {Promise<boolean>} Success status
+ */
+const updatePhoneNumberWebhooks = async (phoneNumberSid, webhooks) => {
+    try {
+        await client.incomingPhoneNumbers(phoneNumberSid).update(webhooks);
+        return true;
+    } catch (error) {
+        console.error('Error updating phone number webhooks:', error);
+        throw new Error('Failed to update phone number webhooks');
+    }
+};
+
 /**
  * Release a phone number back to Twilio
  * @param {string} phoneNumberSid - The SID of the phone number to release
@@ -143,6 +181,9 @@ const listAllPhoneNumbers = async () => {
             friendlyName: number.friendlyName,
             status: number.status,
             capabilities: number.capabilities,
+            voiceUrl: number.voiceUrl,
+            smsUrl: number.smsUrl,
+            statusCallback: number.statusCallback,
             dateCreated: number.dateCreated
         }));
     } catch (error) {
@@ -151,10 +192,79 @@ const listAllPhoneNumbers = async () => {
     }
 };
 
+/**
+ * Send an SMS message through Twilio
+ * @param {string} from - Sending Twilio phone number
+ * @param {string} to - Recipient phone number
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Sent message details
+ */
+const sendSmsMessage = async (from, to, body) => {
+    try {
+        const message = await client.messages.create({ from, to, body });
+
+        return {
+            sid: message.sid,
+            status: message.status
+        };
+    } catch (error) {
+        console.error('Error sending SMS message:', error);
+        throw new Error('Failed to send SMS message');
+    }
+};
+
+/**
+ * Download the audio for a call recording
+ * @param {string} recordingSid - The SID of the recording
+ * @returns {Promise<Response>} Fetch response streaming the MP3 audio
+ */
+const fetchRecordingAudio = async (recordingSid) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const credentials = Buffer
+        .from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`)
+        .toString('base64');
+
+    const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Recordings/${recordingSid}.mp3`,
+        { headers: { Authorization: `Basic ${credentials}` } }
+    );
+
+    if (!response.ok) {
+        console.error(`Error fetching recording ${recordingSid}: HTTP ${response.status}`);
+        throw new Error('Failed to fetch recording');
+    }
+
+    return response;
+};
+
+/**
+ * Delete a call recording from Twilio
+ * @param {string} recordingSid - The SID of the recording
+ * @returns {Promise<boolean>} Success status
+ */
+const deleteRecording = async (recordingSid) => {
+    try {
+        await client.recordings(recordingSid).remove();
+        return true;
+    } catch (error) {
+        // Already removed on Twilio's side
+        if (error.status === 404) {
+            return true;
+        }
+        console.error('Error deleting recording:', error);
+        throw new Error('Failed to delete recording');
+    }
+};
+
 module.exports = {
     getAvailablePhoneNumbers,
     purchasePhoneNumber,
     releasePhoneNumber,
     assignPhoneNumberToUser,
-    listAllPhoneNumbers
+    listAllPhoneNumbers,
+    getPhoneNumberWebhooks,
+    updatePhoneNumberWebhooks,
+    sendSmsMessage,
+    fetchRecordingAudio,
+    deleteRecording
 }; 
\ No newline at end of file
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { base32Encode, generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+const CHALLENGE_PURPOSE = '2fa-login';
+const CHALLENGE_TTL = 5 * 60; // seconds
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// Hidden fields needed to check or change a user's second factor
+const TWO_FACTOR_FIELDS = [
+    '+twoFactor.secret',
+    '+twoFactor.pendingSecret',
+    '+twoFactor.recoveryCodes',
+    '+twoFactor.lastUsedStep',
+    '+twoFactor.failedAttempts',
+    '+twoFactor.lockedUntil'
+].join(' ');
+
+// Error carrying the HTTP status for a failed two-factor operation
+class TwoFactorError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+
+// Ten random codes shown as XXXXX-XXXXX (50 bits each), plus the hashes to store
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        stored: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+    };
+};
+
+const countUnusedRecoveryCodes = (user) => (user.twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length;
+
+/**
+ * Load a user with the hidden password and two-factor fields
+ * @param {Object} query - Query for the user
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserForTwoFactor = (query) => User.findOne(query).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+/**
+ * Start (or restart) enrollment with a new secret. The current secret, if any,
+ * keeps working until the new one is confirmed.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+const startEnrollment = async (user) => {
+    const secret = generateTotpSecret();
+
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({
+            secret,
+            accountName: user.email,
+            issuer: process.env.TOTP_ISSUER || 'Botie'
+        })
+    };
+};
+
+/**
+ * Confirm enrollment with a code from the new secret, switch to it and issue recovery codes
+ * @param {Object} user - User loaded with findUserForTwoFactor
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]>} Plain recovery codes, shown once
+ * @throws {TwoFactorError} When there is no pending setup or the code does not match
+ */
+const completeEnrollment = async (user, code) => {
+    const { pendingSecret } = user.twoFactor;
+    if (!pendingSecret) {
+        throw new TwoFactorError('Start two-factor setup first', 400);
+    }
+
+    const step = verifyTotp(pendingSecret, code);
+    if (step === null) {
+        throw new TwoFactorError('Invalid authentication code', 400);
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': pendingSecret,
+                'twoFactor.recoveryCodes': stored,
+                'twoFactor.lastUsedStep': step,
+                'twoFactor.failedAttempts': 0,
+                'twoFactor.lockedUntil': null,
+                'twoFactor.enabledAt': new Date()
+            },
+            $unset: { 'twoFactor.pendingSecret': 1 }
+        }
+    );
+
+    return codes;
+};
+
+// Count a failed code; too many in a row lock two-factor checks for a while
+const recordFailedAttempt = async (user) => {
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { 'twoFactor.failedAttempts': 1 } },
+        { new: true }
+    ).select('+twoFactor.failedAttempts');
+
+    if (updated && updated.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + LOCK_DURATION) } }
+        );
+    }
+};
+
+/**
+ * Check a TOTP code or recovery code for a user with two-factor enabled.
+ * TOTP codes are accepted once; recovery codes are spent when used.
+ * @param {Object} user - User loaded with findUserForTwoFactor
+ * @param {string} code - 6-digit code or recovery code
+ * @returns {Promise<Object>} { method: 'totp'|'recovery-code', recoveryCodesRemaining }
+ * @throws {TwoFactorError} When the code is wrong (401) or checks are locked (429)
+ */
+const verifySecondFactor = async (user, code) => {
+    const { twoFactor } = user;
+
+    if (twoFactor.lockedUntil && twoFactor.lockedUntil > new Date()) {
+        const minutes = Math.ceil((twoFactor.lockedUntil - Date.now()) / 60000);
+        throw new TwoFactorError(`Too many invalid codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+    }
+
+    const reset = { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null };
+    const totpCode = code.replace(/\s/g, '');
+
+    if (/^\d{6}$/.test(totpCode)) {
+        const step = verifyTotp(twoFactor.secret, totpCode);
+
+        // Claim the step atomically so the same code cannot be replayed
+        const result = step === null ? null : await User.updateOne(
+            {
+                _id: user._id,
+                $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step, ...reset } }
+        );
+
+        if (result && result.modifiedCount === 1) {
+            return { method: 'totp', recoveryCodesRemaining: countUnusedRecoveryCodes(user) };
+        }
+    } else {
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(code), usedAt: null } } },
+            { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date(), ...reset } }
+        );
+
+        if (result.modifiedCount === 1) {
+            return { method: 'recovery-code', recoveryCodesRemaining: countUnusedRecoveryCodes(user) - 1 };
+        }
+    }
+
+    await recordFailedAttempt(user);
+    throw new TwoFactorError('Invalid authentication code');
+};
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} Plain recovery codes, shown once
+ */
+const replaceRecoveryCodes = async (user) => {
+    const { codes, stored } = generateRecoveryCodes();
+
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': stored } });
+
+    return codes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {Object} user - User document
+ */
+const removeTwoFactor = (user) => User.updateOne(
+    { _id: user._id },
+    {
+        $set: {
+            'twoFactor.enabled': false,
+            'twoFactor.enabledAt': null,
+            'twoFactor.failedAttempts': 0,
+            'twoFactor.lockedUntil': null
+        },
+        $unset: {
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.recoveryCodes': 1,
+            'twoFactor.lastUsedStep': 1
+        }
+    }
+);
+
+/**
+ * Issue the short-lived token that carries a password-verified login to the second step.
+ * It is bound to the user's token version, so a password change cancels it.
+ * @param {Object} user - User who passed the password check
+ * @param {Object} context - { deviceName } to carry over to the session
+ * @returns {Object} { challengeToken, expiresIn }
+ */
+const issueLoginChallenge = (user, { deviceName = null } = {}) => ({
+    challengeToken: jwt.sign(
+        { id: user._id, tv: user.tokenVersion || 0, purpose: CHALLENGE_PURPOSE, deviceName },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_TTL }
+    ),
+    expiresIn: CHALLENGE_TTL
+});
+
+/**
+ * Verify a login challenge token
+ * @param {string} challengeToken - Token from the first login step
+ * @returns {Object} { userId, tokenVersion, deviceName }
+ * @throws {TwoFactorError} When the token is invalid or expired
+ */
+const verifyLoginChallenge = (challengeToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+        decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new TwoFactorError('Login challenge is invalid or has expired; please log in again');
+    }
+
+    return { userId: decoded.id, tokenVersion: decoded.tv, deviceName: decoded.deviceName || null };
+};
+
+module.exports = {
+    TwoFactorError,
+    findUserForTwoFactor,
+    startEnrollment,
+    completeEnrollment,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    removeTwoFactor,
+    issueLoginChallenge,
+    verifyLoginChallenge,
+    countUnusedRecoveryCodes
+};
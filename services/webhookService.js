@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { computeWebhookSignature } = require('../utils/webhookSigner');
+const { isPrivateAddress } = require('../utils/privateAddress');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY = 60 * 1000; // 1 minute
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000; // 6 hours
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds
+// A claimed delivery is left alone by other workers for this long
+const CLAIM_LEASE = 2 * REQUEST_TIMEOUT;
+const BATCH_SIZE = 50;
+
+// Error for a webhook URL the server refuses to send to
+class WebhookUrlError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WebhookUrlError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Resolve a webhook URL's host and make sure every address it resolves to is public,
+ * so tenants cannot point deliveries at this host, internal services or cloud metadata.
+ * Local receivers can be allowed outside production with WEBHOOK_ALLOW_PRIVATE_URLS=true.
+ * @param {string} url - Webhook URL
+ * @returns {Promise<Object>} { address, family } to connect to
+ * @throws {WebhookUrlError} When the host does not resolve or resolves to a private address
+ */
+const resolveWebhookAddress = async (url) => {
+    const { hostname } = new URL(url);
+    // URL keeps the brackets around IPv6 literals
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw new WebhookUrlError(`Webhook host ${host} could not be resolved`);
+    }
+
+    if (addresses.length === 0) {
+        throw new WebhookUrlError(`Webhook host ${host} could not be resolved`);
+    }
+
+    const allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' && process.env.NODE_ENV !== 'production';
+    if (!allowPrivate && addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new WebhookUrlError('Webhook URL must not point to a private, loopback or link-local address');
+    }
+
+    return addresses[0];
+};
+
+// Exponential backoff between delivery attempts: 1, 2, 4, 8 ... minutes
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+// Event envelope; documents are flattened to plain JSON so retries send the same body
+const buildPayload = (event, data, now = new Date()) => ({
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: event,
+    createdAt: now.toISOString(),
+    data: JSON.parse(JSON.stringify(data ?? null))
+});
+
+// POST to a URL over a connection to an already checked address, so a second DNS
+// answer (rebinding) cannot send the request elsewhere. Redirects are not followed and
+// the response body is discarded; resolves to the status code.
+const postToAddress = (url, { address, family }, headers, body) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: (hostname, options, callback) => (options.all
+            ? callback(null, [{ address, family }])
+            : callback(null, address, family)),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+    });
+
+    req.on('error', reject);
+    req.end(body);
+});
+
+// POST the payload once and report what happened
+const sendRequest = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = process.hrtime.bigint();
+
+    try {
+        // Checked on every attempt: the host may resolve elsewhere since the URL was saved
+        const target = await resolveWebhookAddress(webhook.url);
+
+        const status = await postToAddress(webhook.url, target, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Botie-Webhooks/1.0',
+            'X-Botie-Event': delivery.event,
+            'X-Botie-Delivery': delivery._id.toString(),
+            'X-Botie-Timestamp': String(timestamp),
+            'X-Botie-Signature': computeWebhookSignature(webhook.secret, timestamp, body)
+        }, body);
+
+        return {
+            ok: status >= 200 && status < 300,
+            responseStatus: status,
+            error: status >= 200 && status < 300 ? null : `Receiver responded with ${status}`,
+            durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+        };
+    } catch (error) {
+        let message = error.cause?.message || error.message;
+        if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+            message = 'Request timed out';
+        }
+
+        return {
+            ok: false,
+            responseStatus: null,
+            error: message,
+            durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+        };
+    }
+};
+
+/**
+ * Make one delivery attempt and record its outcome.
+ * Failed attempts are rescheduled with exponential backoff until MAX_ATTEMPTS.
+ * @param {Object} webhook - Webhook document including its secret
+ * @param {Object} delivery - WebhookDelivery document claimed by the caller
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (webhook, delivery) => {
+    const result = await sendRequest(webhook, delivery);
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+
+    let status = 'succeeded';
+    let nextAttemptAt = null;
+
+    if (!result.ok) {
+        const canRetry = !delivery.isTest && attempts < MAX_ATTEMPTS;
+        status = canRetry ? 'pending' : 'failed';
+        nextAttemptAt = canRetry ? new Date(now.getTime() + getRetryDelay(attempts)) : null;
+        console.error(`Webhook delivery ${delivery._id} (${delivery.event}) attempt ${attempts} failed: ${result.error}`);
+    }
+
+    const updatedDelivery = await WebhookDelivery.findByIdAndUpdate(
+        delivery._id,
+        {
+            $set: {
+                status,
+                attempts,
+                nextAttemptAt,
+                lastAttemptAt: now,
+                deliveredAt: result.ok ? now : null,
+                responseStatus: result.responseStatus,
+                durationMs: Math.round(result.durationMs * 10) / 10,
+                error: result.error
+            }
+        },
+        { new: true }
+    );
+
+    return updatedDelivery;
+};
+
+// Log a delivery already claimed by this process, so the retry job skips it for now
+const createDelivery = (webhook, event, payload, isTest = false) => WebhookDelivery.create({
+    webhook: webhook._id,
+    user: webhook.user,
+    event,
+    payload,
+    isTest,
+    nextAttemptAt: new Date(Date.now() + CLAIM_LEASE)
+});
+
+/**
+ * Send an event to every active webhook of a user subscribed to it.
+ * Never throws: webhook problems must not fail the request that raised the event.
+ * @param {string} userId - User the event belongs to
+ * @param {string} event - Event name (e.g. task.created)
+ * @param {Object} data - Event data
+ * @returns {Promise<Array>} Deliveries after their first attempt
+ */
+const dispatchWebhookEvent = async (userId, event, data) => {
+    try {
+        const webhooks = await Webhook.find({ user: userId, isActive: true, events: event }).select('+secret');
+        if (webhooks.length === 0) {
+            return [];
+        }
+
+        const payload = buildPayload(event, data);
+
+        return await Promise.all(webhooks.map(async (webhook) => {
+            const delivery = await createDelivery(webhook, event, payload);
+            return attemptDelivery(webhook, delivery);
+        }));
+    } catch (error) {
+        console.error(`Error dispatching ${event} webhooks for user ${userId}:`, error);
+        return [];
+    }
+};
+
+/**
+ * Send a webhook.test event to one webhook and wait for the result.
+ * Test events ignore the subscribed events and are not retried.
+ * @param {Object} webhook - Webhook document including its secret
+ * @returns {Promise<Object>} Delivery after its only attempt
+ */
+const sendTestEvent = async (webhook) => {
+    const payload = buildPayload('webhook.test', {
+        webhookId: webhook._id,
+        message: 'This is a test event from Botie.'
+    });
+
+    const delivery = await createDelivery(webhook, 'webhook.test', payload, true);
+    return attemptDelivery(webhook, delivery);
+};
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} { attempted, succeeded }
+ */
+const retryDueDeliveries = async (now = new Date()) => {
+    let attempted = 0;
+    let succeeded = 0;
+
+    while (attempted < BATCH_SIZE) {
+        // Claim one at a time so several instances never send the same attempt
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE) } },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+
+        if (!delivery) {
+            break;
+        }
+
+        attempted++;
+
+        const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+        if (!webhook || !webhook.isActive) {
+            await WebhookDelivery.updateOne(
+                { _id: delivery._id },
+                { $set: { status: 'failed', nextAttemptAt: null, error: 'Webhook was deleted or disabled' } }
+            );
+            continue;
+        }
+
+        const result = await attemptDelivery(webhook, delivery);
+        if (result && result.status === 'succeeded') {
+            succeeded++;
+        }
+    }
+
+    if (attempted > 0) {
+        console.log(`Webhook delivery retry: ${succeeded}/${attempted} succeeded`);
+    }
+
+    return { attempted, succeeded };
+};
+
+module.exports = {
+    WebhookUrlError,
+    resolveWebhookAddress,
+    dispatchWebhookEvent,
+    sendTestEvent,
+    retryDueDeliveries,
+    getRetryDelay,
+    MAX_ATTEMPTS
+};
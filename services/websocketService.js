@@ -34,6 +34,22 @@ const emitTaskUpdated = (userId, taskData) => {
     }
 };
 
+// Emit task resolved event to specific user (in addition to task-updated)
+const emitTaskResolved = (userId, taskData) => {
+    try {
+        if (global.io) {
+            global.io.to(`user-${userId}`).emit('task-resolved', {
+                type: 'task-resolved',
+                data: taskData,
+                timestamp: new Date().toISOString()
+            });
+            console.log(`Task resolved notification sent to user ${userId}`);
+        }
+    } catch (error) {
+        console.error('Error emitting task resolved event:', error);
+    }
+};
+
 // Emit task deleted event to specific user
 const emitTaskDeleted = (userId, taskId) => {
     try {
@@ -98,6 +114,38 @@ const emitCustomerDeleted = (userId, customerId) => {
     }
 };
 
+// Emit call updated event to specific user
+const emitCallUpdated = (userId, callData) => {
+    try {
+        if (global.io) {
+            global.io.to(`user-${userId}`).emit('call-updated', {
+                type: 'call-updated',
+                data: callData,
+                timestamp: new Date().toISOString()
+            });
+            console.log(`Call updated notification sent to user ${userId}`);
+        }
+    } catch (error) {
+        console.error('Error emitting call updated event:', error);
+    }
+};
+
+// Emit missed call event to specific user
+const emitCallMissed = (userId, callData) => {
+    try {
+        if (global.io) {
+            global.io.to(`user-${userId}`).emit('call-missed', {
+                type: 'call-missed',
+                data: callData,
+                timestamp: new Date().toISOString()
+            });
+            console.log(`Missed call notification sent to user ${userId}`);
+        }
+    } catch (error) {
+        console.error('Error emitting missed call event:', error);
+    }
+};
+
 // Emit general notification to specific user
 const emitNotification = (userId, notification) => {
     try {
@@ -114,6 +162,18 @@ const emitNotification = (userId, notification) => {
     }
 };
 
+// Close every socket in the user's room, e.g. after their tokens were invalidated
+const disconnectUser = (userId) => {
+    try {
+        if (global.io) {
+            global.io.in(`user-${userId}`).disconnectSockets(true);
+            console.log(`Sockets disconnected for user ${userId}`);
+        }
+    } catch (error) {
+        console.error('Error disconnecting user sockets:', error);
+    }
+};
+
 // Broadcast to all connected clients (admin notifications)
 const broadcastToAll = (event, data) => {
     try {
@@ -133,10 +193,14 @@ const broadcastToAll = (event, data) => {
 module.exports = {
     emitTaskCreated,
     emitTaskUpdated,
+    emitTaskResolved,
     emitTaskDeleted,
     emitCustomerCreated,
     emitCustomerUpdated,
     emitCustomerDeleted,
+    emitCallUpdated,
+    emitCallMissed,
     emitNotification,
+    disconnectUser,
     broadcastToAll
 }; 
\ No newline at end of file
@@ -0,0 +1,84 @@
+jest.mock('../models/ApiClient');
+
+const mongoose = require('mongoose');
+const ApiClient = require('../models/ApiClient');
+const { createApiKey, rotateApiKey } = require('../controllers/apiClientController');
+
+describe('API Key Management', () => {
+    let user, client;
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    beforeAll(() => {
+        process.env.API_SHARED_SECRET = 'test-shared-secret';
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+        client = {
+            _id: new mongoose.Types.ObjectId(),
+            name: 'Booking widget',
+            keyPrefix: 'botie_11111111',
+            owner: user._id,
+            scopes: ['tasks:create'],
+            status: 'active',
+            isActive() {
+                return this.status === 'active';
+            },
+            rotate: jest.fn().mockResolvedValue({ apiKey: 'botie_newkey', secret: 'bsk_newsecret' })
+        };
+
+        ApiClient.issue.mockResolvedValue({ client, apiKey: 'botie_firstkey', secret: 'bsk_firstsecret' });
+        ApiClient.findOne.mockResolvedValue(client);
+    });
+
+    test('should return the new key and signing secret once when creating a client', async () => {
+        const res = mockResponse();
+
+        await createApiKey({ user, body: { name: 'Booking widget', scopes: ['tasks:create'] } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.apiKey).toBe('botie_firstkey');
+        expect(data.secret).toBe('bsk_firstsecret');
+        expect(data.instructions.note).not.toContain('shared secret');
+        expect(data.signatureVersion).toBe('2');
+        expect(data.keyHash).toBeUndefined();
+    });
+
+    test('should only let admins grant users:lookup', async () => {
+        const res = mockResponse();
+
+        await createApiKey({ user, body: { name: 'Agent', scopes: ['users:lookup'] } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(ApiClient.issue).not.toHaveBeenCalled();
+    });
+
+    test('should rotate with the requested grace period', async () => {
+        const res = mockResponse();
+
+        await rotateApiKey({ user, params: { id: client._id.toString() }, body: { gracePeriodMinutes: 30 } }, res);
+
+        expect(client.rotate).toHaveBeenCalledWith(30 * 60 * 1000);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0].data).toMatchObject({ apiKey: 'botie_newkey', secret: 'bsk_newsecret' });
+    });
+
+    test('should not rotate a revoked key', async () => {
+        client.status = 'revoked';
+        const res = mockResponse();
+
+        await rotateApiKey({ user, params: { id: client._id.toString() }, body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(client.rotate).not.toHaveBeenCalled();
+    });
+});
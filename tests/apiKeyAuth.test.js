@@ -0,0 +1,293 @@
+jest.mock('../models/ApiClient');
+jest.mock('../models/ApiRequestLog');
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const ApiClient = require('../models/ApiClient');
+const ApiRequestLog = require('../models/ApiRequestLog');
+const { authenticate, requireScope, resolveTenant } = require('../middleware/authentication');
+const { setNonceStore, createInMemoryNonceStore } = require('../services/nonceStore');
+const { createApiRequestSigner, computeLegacyApiSignature } = require('../utils/apiRequestSigner');
+const { encryptSecret } = require('../utils/secretCipher');
+
+const { getSigningSecrets } = jest.requireActual('../models/ApiClient').schema.methods;
+const { syncRetention } = jest.requireActual('../models/ApiRequestLog').schema.statics;
+
+describe('API Key Authentication', () => {
+    const apiKeyAuth = authenticate('apiKey');
+    const API_KEY = 'botie_testkey';
+    const SECRET = 'bsk_clientsecret';
+    const SHARED_SECRET = 'test-shared-secret';
+    const signer = createApiRequestSigner({ apiKey: API_KEY, secret: SECRET });
+    let client;
+
+    const mockResponse = () => {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        res.locals = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const signedRequest = (method = 'POST', path = '/api/create-task-for-user', body = '{"heading":"Boiler"}', requestSigner = signer) => ({
+        method,
+        originalUrl: path,
+        rawBody: Buffer.from(body),
+        headers: requestSigner.headers(method, path, body)
+    });
+
+    const signedWith = (secret) => signedRequest(undefined, undefined, undefined, createApiRequestSigner({ apiKey: API_KEY, secret }));
+
+    beforeAll(() => {
+        process.env.API_SHARED_SECRET = SHARED_SECRET;
+        process.env.API_SECRET_ENCRYPTION_KEY = 'test-encryption-key';
+    });
+
+    afterAll(() => {
+        setNonceStore(null);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        setNonceStore(createInMemoryNonceStore());
+
+        client = {
+            _id: new mongoose.Types.ObjectId(),
+            name: 'AI agent',
+            keyPrefix: 'botie_testkey',
+            owner: new mongoose.Types.ObjectId(),
+            scopes: ['users:lookup'],
+            status: 'active',
+            allowLegacySignature: false,
+            lastUsedAt: null,
+            encryptedSecret: encryptSecret(SECRET),
+            previousEncryptedSecret: undefined,
+            previousKeyExpiresAt: null,
+            isActive() {
+                return this.status === 'active';
+            },
+            getSigningSecrets
+        };
+
+        ApiClient.findByKey.mockResolvedValue(client);
+        ApiClient.updateOne.mockResolvedValue({});
+        ApiRequestLog.create.mockResolvedValue({});
+    });
+
+    test('should accept a registered, active key and record its use', async () => {
+        const req = signedRequest();
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await apiKeyAuth(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(ApiClient.findByKey).toHaveBeenCalledWith(API_KEY);
+        expect(req.auth.type).toBe('apiClient');
+        expect(req.auth.client.id).toBe(client._id);
+        expect(req.auth.scopes).toEqual(['users:lookup']);
+        expect(req.auth.tenants).toEqual([client.owner]);
+        expect(req.auth.client.apiKey).toBeUndefined();
+        expect(ApiClient.updateOne).toHaveBeenCalled();
+    });
+
+    test('should log the request against the client when the response finishes', async () => {
+        const req = signedRequest();
+        req.baseUrl = '/api';
+        req.route = { path: '/create-task-for-user' };
+        const res = mockResponse();
+
+        await apiKeyAuth(req, res, jest.fn());
+
+        req.auth.actingFor = client.owner;
+        res.statusCode = 422;
+        res.json({ success: false, message: 'Customer phone number is required' });
+        res.emit('finish');
+
+        expect(ApiRequestLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            client: client._id,
+            method: 'POST',
+            route: '/api/create-task-for-user',
+            statusCode: 422,
+            tenant: client.owner,
+            error: 'Customer phone number is required'
+        }));
+    });
+
+    test('should reject a correctly signed key that is not registered', async () => {
+        ApiClient.findByKey.mockResolvedValue(null);
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await apiKeyAuth(signedRequest(), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid API key' }));
+    });
+
+    test('should reject a revoked key', async () => {
+        client.status = 'revoked';
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await apiKeyAuth(signedRequest(), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'API key has been revoked' }));
+    });
+
+    test('should reject a replayed nonce', async () => {
+        const req = signedRequest();
+        const next = jest.fn();
+
+        await apiKeyAuth(req, mockResponse(), next);
+        expect(next).toHaveBeenCalledTimes(1);
+
+        const res = mockResponse();
+        await apiKeyAuth({ ...req }, res, next);
+
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Nonce has already been used' }));
+    });
+
+    test('should reject a signed header set reused with a different body', async () => {
+        const req = signedRequest();
+        req.rawBody = Buffer.from('{"heading":"Something else"}');
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await apiKeyAuth(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid signature' }));
+    });
+
+    test('should only accept signatures made with the client\'s own secret', async () => {
+        expect(client.encryptedSecret).not.toContain(SECRET);
+
+        const res = mockResponse();
+        const next = jest.fn();
+        await apiKeyAuth(signedWith(SHARED_SECRET), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid signature' }));
+    });
+
+    test('should accept the previous secret only during the rotation grace window', async () => {
+        const OLD_SECRET = 'bsk_oldsecret';
+        client.previousEncryptedSecret = encryptSecret(OLD_SECRET);
+        client.previousKeyExpiresAt = new Date(Date.now() + 60 * 1000);
+
+        const next = jest.fn();
+        await apiKeyAuth(signedWith(OLD_SECRET), mockResponse(), next);
+        await apiKeyAuth(signedWith(SECRET), mockResponse(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+
+        client.previousKeyExpiresAt = new Date(Date.now() - 1000);
+        const res = mockResponse();
+        await apiKeyAuth(signedWith(OLD_SECRET), res, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid signature' }));
+    });
+
+    test('should let clients issued before per-client secrets sign with the shared secret', async () => {
+        client.encryptedSecret = undefined;
+
+        const next = jest.fn();
+        await apiKeyAuth(signedWith(SHARED_SECRET), mockResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should only accept legacy signatures for clients with the compatibility flag', async () => {
+        const timestamp = Date.now().toString();
+        const legacyRequest = () => ({
+            method: 'GET',
+            originalUrl: '/api/test-api-key',
+            headers: {
+                'x-api-key': API_KEY,
+                'x-timestamp': timestamp,
+                'x-signature': computeLegacyApiSignature(SECRET, API_KEY, timestamp)
+            }
+        });
+
+        const res = mockResponse();
+        const next = jest.fn();
+        await apiKeyAuth(legacyRequest(), res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+
+        client.allowLegacySignature = true;
+        await apiKeyAuth(legacyRequest(), mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject a key without the required scope', () => {
+        const req = { auth: { type: 'apiClient', scopes: ['users:lookup'] } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        requireScope('tasks:create')(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should let user-authenticated requests through scope checks', () => {
+        const next = jest.fn();
+
+        requireScope('tasks:create')({ auth: { type: 'user', user: {} } }, mockResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should not let an API client act for a user outside its tenants', async () => {
+        const req = {
+            auth: { type: 'apiClient', tenants: [client.owner], allTenants: false },
+            query: {},
+            body: { userId: new mongoose.Types.ObjectId().toString() }
+        };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await resolveTenant(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(req.user).toBeUndefined();
+    });
+});
+
+describe('API Usage Log Retention', () => {
+    const model = (command) => ({
+        db: { db: { command } },
+        collection: { collectionName: 'apirequestlogs' }
+    });
+
+    afterEach(() => {
+        delete process.env.API_USAGE_RETENTION_DAYS;
+    });
+
+    test('should apply the configured retention to the existing TTL index', async () => {
+        process.env.API_USAGE_RETENTION_DAYS = '30';
+        const command = jest.fn().mockResolvedValue({ ok: 1 });
+
+        await expect(syncRetention.call(model(command))).resolves.toBe(30 * 24 * 60 * 60);
+
+        expect(command).toHaveBeenCalledWith({
+            collMod: 'apirequestlogs',
+            index: { keyPattern: { createdAt: 1 }, expireAfterSeconds: 30 * 24 * 60 * 60 }
+        });
+    });
+
+    test('should skip the update before the collection exists', async () => {
+        const command = jest.fn().mockRejectedValue(Object.assign(new Error('ns does not exist'), { codeName: 'NamespaceNotFound' }));
+
+        await expect(syncRetention.call(model(command))).resolves.toBe(90 * 24 * 60 * 60);
+    });
+});
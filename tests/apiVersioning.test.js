@@ -0,0 +1,111 @@
+const Joi = require('joi');
+const { deprecatedAliases } = require('../middleware/deprecation');
+const { joiToSchema, joiToParameters } = require('../utils/joiToOpenApi');
+const { getOpenApiDocument } = require('../services/openApiService');
+const { taskSchema } = require('../validators/taskValidator');
+const legacyRoutes = require('../routes/legacyRoutes');
+
+describe('API Versioning', () => {
+    describe('Legacy aliases', () => {
+        const aliases = deprecatedAliases({
+            routes: [
+                { method: 'GET', path: '/api/getuserbyassignedSID', successor: '/api/v1/integrations/users/by-call-sid' },
+                { method: 'PUT', path: '/api/auth/resetpassword/:token', successor: '/api/v1/auth/password/reset/:token' }
+            ],
+            prefixes: { '/api/tasks': '/api/v1/tasks' }
+        });
+
+        const mockResponse = () => ({
+            set: jest.fn(),
+            append: jest.fn()
+        });
+
+        test('should rewrite a renamed path and mark it deprecated', () => {
+            const req = { method: 'GET', url: '/api/getuserbyassignedsid?debug=1' };
+            const res = mockResponse();
+            const next = jest.fn();
+
+            aliases(req, res, next);
+
+            expect(req.url).toBe('/api/v1/integrations/users/by-call-sid?debug=1');
+            expect(res.set).toHaveBeenCalledWith('Deprecation', expect.stringMatching(/^@\d+$/));
+            expect(res.append).toHaveBeenCalledWith('Link', '</api/v1/integrations/users/by-call-sid>; rel="successor-version"');
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should carry path parameters over to the successor', () => {
+            const req = { method: 'PUT', url: '/api/auth/resetpassword/abc123' };
+
+            aliases(req, mockResponse(), jest.fn());
+
+            expect(req.url).toBe('/api/v1/auth/password/reset/abc123');
+        });
+
+        test('should move everything under a legacy prefix', () => {
+            const req = { method: 'DELETE', url: '/api/tasks/507f1f77bcf86cd799439011' };
+
+            aliases(req, mockResponse(), jest.fn());
+
+            expect(req.url).toBe('/api/v1/tasks/507f1f77bcf86cd799439011');
+        });
+
+        test('should leave versioned and unrelated paths alone', () => {
+            for (const url of ['/api/v1/tasks', '/api/tasksextra', '/api/twilio/voice']) {
+                const req = { method: 'GET', url };
+                const res = mockResponse();
+
+                aliases(req, res, jest.fn());
+
+                expect(req.url).toBe(url);
+                expect(res.set).not.toHaveBeenCalled();
+            }
+        });
+
+        test('should answer the removed generate-api-key endpoint with 410 and point to its successor', () => {
+            const layer = legacyRoutes.stack.find(candidate => candidate.route && candidate.route.path === '/api/generate-api-key');
+            const res = mockResponse();
+            res.status = jest.fn().mockReturnValue(res);
+            res.json = jest.fn().mockReturnValue(res);
+
+            layer.route.stack[0].handle({ method: 'POST', url: '/api/generate-api-key' }, res);
+
+            expect(res.status).toHaveBeenCalledWith(410);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+            expect(res.append).toHaveBeenCalledWith('Link', '</api/v1/api-keys>; rel="successor-version"');
+        });
+    });
+
+    describe('OpenAPI generation', () => {
+        test('should convert Joi validators into JSON schemas', () => {
+            const schema = joiToSchema(taskSchema);
+
+            expect(schema.required).toEqual(['heading', 'summary', 'description', 'customer']);
+            expect(schema.properties.heading).toEqual({ type: 'string', minLength: 3, maxLength: 200 });
+            expect(schema.properties.conversation.nullable).toBe(true);
+            expect(schema.properties.customer.properties.phoneNumber.pattern).toBe('^[\\+]?[\\d]{7,15}$');
+            expect(schema.additionalProperties).toBe(false);
+        });
+
+        test('should turn query schemas into parameters', () => {
+            const parameters = joiToParameters(Joi.object({
+                page: Joi.number().integer().min(1).default(1),
+                status: Joi.string().valid('open', 'closed').required()
+            }), 'query');
+
+            expect(parameters).toEqual([
+                { name: 'page', in: 'query', required: false, schema: { type: 'integer', minimum: 1, default: 1 } },
+                { name: 'status', in: 'query', required: true, schema: { type: 'string', enum: ['open', 'closed'] } }
+            ]);
+        });
+
+        test('should document the versioned routes', () => {
+            const document = getOpenApiDocument();
+
+            expect(document.openapi).toBe('3.0.3');
+            expect(document.servers).toEqual([{ url: '/api/v1' }]);
+            expect(document.paths['/integrations/tasks'].post.operationId).toBe('createTaskForUser');
+            expect(document.paths['/tasks'].post.security).toEqual([{ bearerAuth: [] }, { apiKey: [] }]);
+            expect(document.paths['/auth/password/reset/{token}'].put.parameters[0]).toMatchObject({ name: 'token', in: 'path' });
+        });
+    });
+});
@@ -0,0 +1,191 @@
+jest.mock('../models/ApiClient');
+jest.mock('../models/ApiRequestLog');
+jest.mock('../models/User');
+jest.mock('../models/Task');
+jest.mock('../models/Customer');
+jest.mock('../models/Call');
+jest.mock('../models/IdempotencyRecord');
+jest.mock('../services/websocketService');
+jest.mock('../services/emailService');
+jest.mock('../services/smsService');
+jest.mock('../services/webhookService');
+
+const mongoose = require('mongoose');
+const ApiClient = require('../models/ApiClient');
+const ApiRequestLog = require('../models/ApiRequestLog');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Customer = require('../models/Customer');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const app = require('../app');
+const { setNonceStore, createInMemoryNonceStore } = require('../services/nonceStore');
+const { setRateLimitStore, createInMemoryRateLimitStore } = require('../services/rateLimitStore');
+const { createBotieClient, BotieApiError } = require('../sdk/botieClient');
+
+describe('Botie SDK', () => {
+    const API_KEY = 'botie_sdkkey';
+    const SECRET = 'bsk_sdksecret';
+    const ASSIGNED_NUMBER = '+15550001111';
+    let server;
+    let baseUrl;
+    let user;
+    let records;
+
+    const newClient = (options = {}) => createBotieClient({ baseUrl, apiKey: API_KEY, secret: SECRET, retryDelayMs: 10, ...options });
+
+    const taskInput = {
+        heading: 'Leaking boiler',
+        summary: 'Customer reports a boiler leaking since this morning',
+        description: 'Needs a visit tomorrow',
+        customer: { name: 'Jane Doe', address: '1 Main St', phoneNumber: '+15550002222' }
+    };
+
+    beforeAll(async () => {
+        setRateLimitStore(createInMemoryRateLimitStore());
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        setNonceStore(null);
+        setRateLimitStore(null);
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        setNonceStore(createInMemoryNonceStore());
+        records = new Map();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            firstname: 'Sam',
+            lastname: 'Fixer',
+            email: 'sam@example.com',
+            profession: 'Plumber',
+            twilioPhoneNumber: ASSIGNED_NUMBER
+        };
+
+        const client = {
+            _id: new mongoose.Types.ObjectId(),
+            name: 'AI agent',
+            keyPrefix: API_KEY,
+            owner: user._id,
+            scopes: ['users:lookup', 'tasks:create'],
+            status: 'active',
+            lastUsedAt: new Date(),
+            isActive: () => true,
+            getSigningSecrets: () => [SECRET]
+        };
+
+        ApiClient.findByKey.mockImplementation(async (key) => (key === API_KEY ? client : null));
+        ApiRequestLog.create.mockResolvedValue({});
+        User.findOne.mockImplementation(async (query) => (query.twilioPhoneNumber === ASSIGNED_NUMBER ? user : null));
+        Customer.findOne.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), ...taskInput.customer });
+
+        Task.mockImplementation(function (doc) {
+            const _id = new mongoose.Types.ObjectId();
+            Object.assign(this, doc, { _id, toJSON: () => ({ _id, ...doc }) });
+        });
+        Task.prototype.save.mockResolvedValue();
+        Task.prototype.populate.mockResolvedValue();
+
+        const id = (query) => `${query.principal}:${query.key}`;
+        IdempotencyRecord.create.mockImplementation(async (doc) => {
+            if (records.has(id(doc))) {
+                const error = new Error('duplicate key');
+                error.code = 11000;
+                throw error;
+            }
+            records.set(id(doc), { status: 'processing', ...doc });
+            return doc;
+        });
+        IdempotencyRecord.findOne.mockImplementation(async (query) => records.get(id(query)) || null);
+        IdempotencyRecord.updateOne.mockImplementation(async (query, update) => {
+            Object.assign(records.get(id(query)), update.$set);
+        });
+        IdempotencyRecord.deleteOne.mockImplementation(async (query) => {
+            records.delete(id(query));
+        });
+    });
+
+    test('should sign requests the server accepts', async () => {
+        const result = await newClient().ping();
+
+        expect(result.scopes).toEqual(['users:lookup', 'tasks:create']);
+    });
+
+    test('should look up users by number and return null when there is none', async () => {
+        const botie = newClient();
+
+        await expect(botie.getUserByNumber(ASSIGNED_NUMBER)).resolves.toMatchObject({
+            _id: user._id.toString(),
+            firstname: 'Sam'
+        });
+        await expect(botie.getUserByNumber('+15559999999')).resolves.toBeNull();
+    });
+
+    test('should create a task and report its status', async () => {
+        const botie = newClient();
+
+        const created = await botie.createTask({ assignedNumber: ASSIGNED_NUMBER, task: taskInput });
+
+        expect(created.replayed).toBe(false);
+        expect(created.task.heading).toBe('Leaking boiler');
+
+        Task.findTaskWithDeleted.mockImplementation(async (query) => ({
+            _id: query._id,
+            heading: 'Leaking boiler',
+            isResolved: true,
+            user: user._id,
+            isSoftDeleted: () => false
+        }));
+
+        const status = await botie.getTaskStatus(created.task._id);
+
+        expect(status.status).toBe('resolved');
+        expect(Task.findTaskWithDeleted).toHaveBeenCalledWith(expect.objectContaining({ apiClient: expect.anything() }));
+    });
+
+    test('should retry a task whose response was lost without creating it twice', async () => {
+        const calls = [];
+        const flakyFetch = async (url, options) => {
+            calls.push(options.headers['Idempotency-Key']);
+            const response = await fetch(url, options);
+            if (calls.length === 1) {
+                await response.text();
+                throw new TypeError('fetch failed');
+            }
+            return response;
+        };
+
+        const created = await newClient({ fetch: flakyFetch }).createTask({ assignedNumber: ASSIGNED_NUMBER, task: taskInput });
+
+        expect(calls).toHaveLength(2);
+        expect(calls[0]).toBe(calls[1]);
+        expect(created.replayed).toBe(true);
+        expect(Task.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('should correct for a local clock that is off', async () => {
+        const botie = newClient({ now: () => Date.now() - 10 * 60 * 1000 });
+
+        await expect(botie.ping()).resolves.toHaveProperty('apiClient');
+        expect(botie.getClockOffset()).toBeGreaterThan(9 * 60 * 1000);
+    });
+
+    test('should surface API errors without retrying them', async () => {
+        const fetchSpy = jest.fn((url, options) => fetch(url, options));
+        const botie = newClient({ secret: 'wrong-secret', fetch: fetchSpy });
+
+        const error = await botie.ping().catch(err => err);
+
+        expect(error).toBeInstanceOf(BotieApiError);
+        expect(error.status).toBe(401);
+        expect(error.message).toBe('Invalid signature');
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,164 @@
+const { zonedTimeToDate, getBusinessHoursStatus, resolveCallRoute } = require('../services/businessHoursService');
+const { scheduleSchema } = require('../validators/userValidator');
+
+describe('Business Hours', () => {
+    const weekdays = [1, 2, 3, 4, 5].map(day => ({ day, open: '09:00', close: '17:00' }));
+
+    const buildUser = (overrides = {}) => ({
+        schedule: {
+            timezone: 'America/New_York',
+            weeklyHours: weekdays,
+            holidays: [],
+            ...overrides.schedule
+        },
+        callRouting: overrides.callRouting
+    });
+
+    describe('zonedTimeToDate', () => {
+        test('should convert wall-clock times in standard and daylight time', () => {
+            expect(zonedTimeToDate(2025, 1, 15, 9 * 60, 'America/New_York').toISOString()).toBe('2025-01-15T14:00:00.000Z');
+            expect(zonedTimeToDate(2025, 7, 15, 9 * 60, 'America/New_York').toISOString()).toBe('2025-07-15T13:00:00.000Z');
+            expect(zonedTimeToDate(2025, 7, 15, 9 * 60 + 30, 'Asia/Kolkata').toISOString()).toBe('2025-07-15T04:00:00.000Z');
+        });
+
+        test('should use the new offset on the day the clocks change', () => {
+            expect(zonedTimeToDate(2025, 3, 9, 9 * 60, 'America/New_York').toISOString()).toBe('2025-03-09T13:00:00.000Z');
+            expect(zonedTimeToDate(2025, 3, 30, 9 * 60, 'Europe/London').toISOString()).toBe('2025-03-30T08:00:00.000Z');
+            expect(zonedTimeToDate(2025, 11, 2, 9 * 60, 'America/New_York').toISOString()).toBe('2025-11-02T14:00:00.000Z');
+        });
+    });
+
+    describe('getBusinessHoursStatus', () => {
+        test('should report no schedule when none is configured', () => {
+            expect(getBusinessHoursStatus({}).configured).toBe(false);
+            expect(getBusinessHoursStatus({ schedule: { weeklyHours: [] } }).isOpen).toBeNull();
+        });
+
+        test('should be open during a period and report when it closes', () => {
+            // Wednesday 10:00 in New York
+            const status = getBusinessHoursStatus(buildUser(), new Date('2025-01-15T15:00:00Z'));
+
+            expect(status.isOpen).toBe(true);
+            expect(status.timezone).toBe('America/New_York');
+            expect(status.closesAt.toISOString()).toBe('2025-01-15T22:00:00.000Z');
+            expect(status.nextOpen).toEqual({ date: '2025-01-16', day: 'Thursday', time: '09:00' });
+        });
+
+        test('should be closed after hours and open again the next morning', () => {
+            // Wednesday 18:00 in New York
+            const status = getBusinessHoursStatus(buildUser(), new Date('2025-01-15T23:00:00Z'));
+
+            expect(status.isOpen).toBe(false);
+            expect(status.closesAt).toBeNull();
+            expect(status.nextOpenAt.toISOString()).toBe('2025-01-16T14:00:00.000Z');
+        });
+
+        test('should open later the same day when called before opening', () => {
+            // Wednesday 07:30 in New York
+            const status = getBusinessHoursStatus(buildUser(), new Date('2025-01-15T12:30:00Z'));
+
+            expect(status.isOpen).toBe(false);
+            expect(status.nextOpen).toEqual({ date: '2025-01-15', day: 'Wednesday', time: '09:00' });
+        });
+
+        test('should stay closed on holidays and skip them when looking for the next opening', () => {
+            const user = buildUser({ schedule: { holidays: [{ date: '2025-01-15' }, { date: '2025-01-16' }] } });
+            const status = getBusinessHoursStatus(user, new Date('2025-01-15T15:00:00Z'));
+
+            expect(status.isOpen).toBe(false);
+            expect(status.nextOpen).toEqual({ date: '2025-01-17', day: 'Friday', time: '09:00' });
+            expect(status.nextOpenAt.toISOString()).toBe('2025-01-17T14:00:00.000Z');
+        });
+
+        test('should give the next opening in the new offset across a DST change', () => {
+            // Friday 18:00 EST; clocks go forward on Sunday 9 March
+            const status = getBusinessHoursStatus(buildUser(), new Date('2025-03-07T23:00:00Z'));
+
+            expect(status.nextOpen).toEqual({ date: '2025-03-10', day: 'Monday', time: '09:00' });
+            expect(status.nextOpenAt.toISOString()).toBe('2025-03-10T13:00:00.000Z');
+        });
+
+        test('should use the local date, not the UTC date, near midnight', () => {
+            // Friday 23:30 in Los Angeles is already Saturday in UTC
+            const user = buildUser({ schedule: { timezone: 'America/Los_Angeles', weeklyHours: [{ day: 5, open: '20:00', close: '23:59' }] } });
+            const status = getBusinessHoursStatus(user, new Date('2025-01-18T07:30:00Z'));
+
+            expect(status.isOpen).toBe(true);
+        });
+
+        test('should stay open until 24:00 and carry overnight hours into the next day', () => {
+            // Friday 22:00-24:00 and Saturday 00:00-02:00 in New York
+            const user = buildUser({
+                schedule: {
+                    weeklyHours: [
+                        { day: 5, open: '22:00', close: '24:00' },
+                        { day: 6, open: '00:00', close: '02:00' }
+                    ]
+                }
+            });
+
+            const lateFriday = getBusinessHoursStatus(user, new Date('2025-01-18T04:45:00Z'));
+            expect(lateFriday.isOpen).toBe(true);
+            expect(lateFriday.closesAt.toISOString()).toBe('2025-01-18T07:00:00.000Z');
+
+            const earlySaturday = getBusinessHoursStatus(user, new Date('2025-01-18T06:30:00Z'));
+            expect(earlySaturday.isOpen).toBe(true);
+            expect(earlySaturday.closesAt.toISOString()).toBe('2025-01-18T07:00:00.000Z');
+        });
+
+        test('should close at midnight when the next day is a holiday', () => {
+            const user = buildUser({
+                schedule: {
+                    weeklyHours: [
+                        { day: 5, open: '22:00', close: '24:00' },
+                        { day: 6, open: '00:00', close: '02:00' }
+                    ],
+                    holidays: [{ date: '2025-01-18' }]
+                }
+            });
+
+            const status = getBusinessHoursStatus(user, new Date('2025-01-18T04:45:00Z'));
+            expect(status.closesAt.toISOString()).toBe('2025-01-18T05:00:00.000Z');
+        });
+    });
+
+    describe('schedule validation', () => {
+        test('should accept 24:00 as a closing time only', () => {
+            const validate = (period) => scheduleSchema.validate({ timezone: 'UTC', weeklyHours: [period] }).error;
+
+            expect(validate({ day: 1, open: '18:00', close: '24:00' })).toBeUndefined();
+            expect(validate({ day: 1, open: '24:00', close: '24:00' })).toBeDefined();
+            expect(validate({ day: 1, open: '18:00', close: '24:30' })).toBeDefined();
+        });
+
+        test('should ask for overnight hours to be split at midnight', () => {
+            const { error } = scheduleSchema.validate({ timezone: 'UTC', weeklyHours: [{ day: 5, open: '22:00', close: '02:00' }] });
+
+            expect(error.details[0].message).toContain('Split overnight hours at midnight');
+        });
+    });
+
+    describe('resolveCallRoute', () => {
+        test('should not route calls without a schedule', () => {
+            expect(resolveCallRoute({})).toBeNull();
+        });
+
+        test('should forward during hours and use the AI agent after hours by default', () => {
+            expect(resolveCallRoute(buildUser(), new Date('2025-01-15T15:00:00Z'))).toBe('forward');
+            expect(resolveCallRoute(buildUser(), new Date('2025-01-15T23:00:00Z'))).toBe('ai-agent');
+        });
+
+        test('should follow the configured routing rules', () => {
+            const user = buildUser({ callRouting: { duringHours: 'ai-agent', afterHours: 'voicemail' } });
+
+            expect(resolveCallRoute(user, new Date('2025-01-15T15:00:00Z'))).toBe('ai-agent');
+            expect(resolveCallRoute(user, new Date('2025-01-18T15:00:00Z'))).toBe('voicemail');
+        });
+
+        test('should treat holidays as after hours', () => {
+            const user = buildUser({ schedule: { holidays: [{ date: '2025-01-15' }] } });
+
+            expect(resolveCallRoute(user, new Date('2025-01-15T15:00:00Z'))).toBe('ai-agent');
+        });
+    });
+});
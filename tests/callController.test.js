@@ -0,0 +1,107 @@
+jest.mock('../models/Call');
+jest.mock('../models/User');
+jest.mock('../services/twilioService');
+
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const { fetchRecordingAudio } = require('../services/twilioService');
+const { getCallById, getCallVoicemail } = require('../controllers/callController');
+const { getUserByAssignedSID } = require('../controllers/apiController');
+
+describe('Call Controller', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const request = (id) => ({ params: { id }, user: { id: userId } });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test.each([
+        ['getCallById', getCallById],
+        ['getCallVoicemail', getCallVoicemail]
+    ])('%s should return 404 for a malformed call ID', async (name, handler) => {
+        const res = mockResponse();
+
+        await handler(request('not-an-id'), res);
+
+        expect(Call.findOne).not.toHaveBeenCalled();
+        expect(fetchRecordingAudio).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Call not found' });
+    });
+
+    test('should only return calls of the current user', async () => {
+        const callId = new mongoose.Types.ObjectId().toString();
+        const call = { _id: callId, populate: jest.fn().mockResolvedValue() };
+        Call.findOne.mockResolvedValue(call);
+        const res = mockResponse();
+
+        await getCallById(request(callId), res);
+
+        expect(Call.findOne).toHaveBeenCalledWith({ _id: callId, user: userId });
+        expect(call.populate).toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, data: call });
+    });
+
+    test('should return 404 for a call that does not exist', async () => {
+        Call.findOne.mockResolvedValue(null);
+        const res = mockResponse();
+
+        await getCallVoicemail(request(new mongoose.Types.ObjectId().toString()), res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(fetchRecordingAudio).not.toHaveBeenCalled();
+    });
+});
+
+describe('User Lookup by Call SID', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), firstname: 'Sam', lastname: 'Fixer' };
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const request = (callSid) => ({
+        headers: { 'call-sid': callSid },
+        auth: { type: 'apiClient', allTenants: true }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.findOne.mockResolvedValue(user);
+    });
+
+    test('should resolve the user through the call log', async () => {
+        Call.findOne.mockResolvedValue({ callSid: 'CA123', user: user._id });
+        const res = mockResponse();
+
+        await getUserByAssignedSID(request('CA123'), res);
+
+        expect(User.findOne).toHaveBeenCalledWith({ _id: user._id, isDeleted: { $ne: true } });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should return 404 without looking up a user when no call was recorded', async () => {
+        Call.findOne.mockResolvedValue(null);
+        const res = mockResponse();
+
+        await getUserByAssignedSID(request('CA404'), res);
+
+        expect(User.findOne).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'No call found for the provided call SID' });
+    });
+});
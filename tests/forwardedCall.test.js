@@ -0,0 +1,110 @@
+jest.mock('../models/User');
+jest.mock('../models/Customer');
+jest.mock('../models/Call');
+jest.mock('../services/webhookService');
+jest.mock('../services/websocketService');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Call = require('../models/Call');
+const { emitCallUpdated } = require('../services/websocketService');
+const { handleIncomingCall, handleCallStatus } = require('../controllers/twilioController');
+
+const { schema: callSchema } = jest.requireActual('../models/Call');
+
+describe('Forwarded Calls', () => {
+    let user;
+    let call;
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        res.send = jest.fn().mockReturnValue(res);
+        res.type = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const legStatus = (CallStatus) => ({
+        body: { CallSid: 'CA_LEG', ParentCallSid: 'CA123', From: '+15550001111', To: user.phoneNumber, CallStatus }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.AI_AGENT_STREAM_URL;
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            firstname: 'Sam',
+            lastname: 'Fixer',
+            phoneNumber: '+15550003333',
+            twilioPhoneNumber: '+15550001111'
+        };
+
+        call = {
+            _id: new mongoose.Types.ObjectId(),
+            callSid: 'CA123',
+            user: user._id,
+            handoff: 'forward',
+            status: 'in-progress',
+            ...callSchema.methods,
+            save: jest.fn().mockResolvedValue(),
+            populate: jest.fn().mockResolvedValue()
+        };
+
+        Call.normalizeStatus.mockImplementation(callSchema.statics.normalizeStatus);
+        Call.normalizeDirection.mockImplementation(callSchema.statics.normalizeDirection);
+        Call.findOneAndUpdate.mockResolvedValue(call);
+        Call.findOne.mockResolvedValue(call);
+        User.findOne.mockResolvedValue(user);
+        Customer.findOne.mockResolvedValue(null);
+    });
+
+    test('should ask Twilio for ringing and answered events on the forwarded leg', async () => {
+        const res = mockResponse();
+
+        await handleIncomingCall({ body: { CallSid: 'CA123', From: '+15550002222', To: user.twilioPhoneNumber } }, res);
+
+        const twiml = res.send.mock.calls[0][0];
+        expect(twiml).toContain('<Dial callerId="+15550001111" action="/api/twilio/voice/dial-status">');
+        expect(twiml).toContain(
+            '<Number statusCallback="/api/twilio/voice/status" ' +
+            'statusCallbackEvent="initiated ringing answered completed">+15550003333</Number>'
+        );
+        expect(call.handoff).toBe('forward');
+    });
+
+    test('should show the forwarded leg ringing and being answered on the caller\'s call', async () => {
+        call.status = 'queued';
+
+        await handleCallStatus(legStatus('ringing'), mockResponse());
+        expect(Call.findOne).toHaveBeenCalledWith({ callSid: 'CA123' });
+        expect(call.status).toBe('ringing');
+
+        await handleCallStatus(legStatus('in-progress'), mockResponse());
+        expect(call.status).toBe('in-progress');
+
+        expect(call.save).toHaveBeenCalledTimes(2);
+        expect(emitCallUpdated).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not create a call record for the forwarded leg or end the caller\'s call with it', async () => {
+        const res = mockResponse();
+
+        await handleCallStatus(legStatus('no-answer'), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(Call.findOne).not.toHaveBeenCalled();
+        expect(Call).not.toHaveBeenCalled();
+        expect(call.status).toBe('in-progress');
+    });
+
+    test('should not move an answered call back to ringing', async () => {
+        await handleCallStatus(legStatus('ringing'), mockResponse());
+
+        expect(call.status).toBe('in-progress');
+        expect(call.save).not.toHaveBeenCalled();
+        expect(emitCallUpdated).not.toHaveBeenCalled();
+    });
+});
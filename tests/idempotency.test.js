@@ -0,0 +1,114 @@
+jest.mock('../models/IdempotencyRecord');
+
+const { EventEmitter } = require('events');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const { idempotency } = require('../middleware/idempotency');
+
+describe('Idempotency-Key Middleware', () => {
+    let records;
+
+    const mockResponse = () => {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        res.locals = {};
+        res.writableFinished = true;
+        res.set = jest.fn().mockReturnValue(res);
+        res.status = jest.fn((code) => {
+            res.statusCode = code;
+            return res;
+        });
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const buildReq = (body, key = 'retry-123') => ({
+        method: 'POST',
+        originalUrl: '/api/create-task-for-user',
+        headers: { 'idempotency-key': key, 'assigned-number': '+15550002222' },
+        rawBody: Buffer.from(JSON.stringify(body)),
+        body,
+        auth: { type: 'apiClient', client: { id: 'client-1' } }
+    });
+
+    // Run a request through the middleware and a handler that responds with 201
+    const send = async (req) => {
+        const res = mockResponse();
+        const next = jest.fn(() => {
+            res.status(201).json({ success: true, data: { _id: 'task-1' } });
+            res.emit('finish');
+        });
+        await idempotency(req, res, next);
+        await new Promise(setImmediate);
+        return { res, next };
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        records = new Map();
+
+        const id = (query) => `${query.principal}:${query.key}`;
+        IdempotencyRecord.create.mockImplementation(async (doc) => {
+            if (records.has(id(doc))) {
+                const error = new Error('duplicate key');
+                error.code = 11000;
+                throw error;
+            }
+            records.set(id(doc), { status: 'processing', ...doc });
+            return doc;
+        });
+        IdempotencyRecord.findOne.mockImplementation(async (query) => records.get(id(query)) || null);
+        IdempotencyRecord.updateOne.mockImplementation(async (query, update) => {
+            Object.assign(records.get(id(query)), update.$set);
+        });
+        IdempotencyRecord.deleteOne.mockImplementation(async (query) => {
+            records.delete(id(query));
+        });
+    });
+
+    test('should pass through requests without an Idempotency-Key', async () => {
+        const req = buildReq({ heading: 'Boiler' });
+        delete req.headers['idempotency-key'];
+        const next = jest.fn();
+
+        await idempotency(req, mockResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(IdempotencyRecord.create).not.toHaveBeenCalled();
+    });
+
+    test('should replay the first response for a repeated key', async () => {
+        const body = { heading: 'Boiler' };
+
+        const first = await send(buildReq(body));
+        expect(first.next).toHaveBeenCalled();
+
+        const second = await send(buildReq(body));
+        expect(second.next).not.toHaveBeenCalled();
+        expect(second.res.status).toHaveBeenCalledWith(201);
+        expect(second.res.json).toHaveBeenCalledWith({ success: true, data: { _id: 'task-1' } });
+        expect(second.res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    });
+
+    test('should return 409 when the key is reused with a different payload', async () => {
+        await send(buildReq({ heading: 'Boiler' }));
+
+        const { res, next } = await send(buildReq({ heading: 'Roof' }));
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('should let a request be retried after a server error', async () => {
+        const req = buildReq({ heading: 'Boiler' });
+        const res = mockResponse();
+        await idempotency(req, res, () => {
+            res.status(500).json({ success: false });
+            res.emit('finish');
+        });
+        await new Promise(setImmediate);
+
+        const retry = await send(buildReq({ heading: 'Boiler' }));
+
+        expect(retry.next).toHaveBeenCalled();
+    });
+});
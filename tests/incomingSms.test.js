@@ -0,0 +1,92 @@
+jest.mock('../models/User');
+jest.mock('../models/Task');
+jest.mock('../models/Customer');
+jest.mock('../models/Message');
+jest.mock('../services/webhookService');
+jest.mock('../services/websocketService');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Customer = require('../models/Customer');
+const Message = require('../models/Message');
+const { handleIncomingSms } = require('../controllers/twilioController');
+
+describe('Inbound SMS', () => {
+    let user, message;
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.type = jest.fn().mockReturnValue(res);
+        res.send = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const sms = () => ({
+        body: { MessageSid: 'SM123', From: '+15550003333', To: user.twilioPhoneNumber, Body: 'Can you fix a tap?' }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        user = { _id: new mongoose.Types.ObjectId(), twilioPhoneNumber: '+15550001111' };
+        message = { _id: new mongoose.Types.ObjectId(), from: '+15550003333', body: 'Can you fix a tap?' };
+
+        User.findOne.mockResolvedValue(user);
+        Message.create.mockResolvedValue(message);
+        Message.updateOne.mockResolvedValue({});
+        Message.deleteOne.mockResolvedValue({});
+        Customer.findOrCreateByPhone.mockResolvedValue({
+            customer: { _id: new mongoose.Types.ObjectId(), name: 'Jane Doe' },
+            created: false
+        });
+        Task.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+        Task.mockImplementation(function (doc) {
+            Object.assign(this, doc, { _id: new mongoose.Types.ObjectId() });
+        });
+        Task.prototype.save.mockResolvedValue();
+        Task.prototype.populate.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should claim the message SID before creating the task', async () => {
+        const res = mockResponse();
+
+        await handleIncomingSms(sms(), res);
+
+        expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({ messageSid: 'SM123', user: user._id }));
+        expect(Message.create.mock.invocationCallOrder[0]).toBeLessThan(Task.prototype.save.mock.invocationCallOrder[0]);
+        expect(Message.updateOne).toHaveBeenCalledWith(
+            { _id: message._id },
+            { $set: expect.objectContaining({ task: expect.anything() }) }
+        );
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should ignore a retry that arrives while the first request is still running', async () => {
+        Message.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+        const res = mockResponse();
+
+        await handleIncomingSms(sms(), res);
+
+        expect(Customer.findOrCreateByPhone).not.toHaveBeenCalled();
+        expect(Task.findOne).not.toHaveBeenCalled();
+        expect(Task.prototype.save).not.toHaveBeenCalled();
+        expect(console.error).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith(expect.stringContaining('<Response/>'));
+    });
+
+    test('should release the claim when the message cannot be threaded, so a retry can', async () => {
+        Task.prototype.save.mockRejectedValue(new Error('Database unavailable'));
+
+        await handleIncomingSms(sms(), mockResponse());
+
+        expect(Message.deleteOne).toHaveBeenCalledWith({ _id: message._id });
+    });
+});
@@ -0,0 +1,105 @@
+jest.mock('../models/Session');
+jest.mock('../models/User');
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const jwtStrategy = require('../middleware/strategies/jwtStrategy');
+const { authenticateSocket } = require('../middleware/socketAuth');
+const { AuthError } = require('../middleware/authentication');
+
+const { softDelete } = jest.requireActual('../models/User').schema.methods;
+
+describe('JWT Authentication', () => {
+    let user;
+
+    const signToken = (claims = {}) => jwt.sign({ id: user._id, tv: 0, ...claims }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+    const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+    const mockSocket = (handshake) => ({
+        handshake: { headers: {}, ...handshake },
+        data: {},
+        join: jest.fn()
+    });
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-jwt-secret';
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            tokenVersion: 0,
+            isDeleted: false,
+            isSoftDeleted() {
+                return this.isDeleted;
+            },
+            save: jest.fn().mockResolvedValue(),
+            softDelete
+        };
+
+        User.findUserWithDeleted.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    });
+
+    test('should accept a current access token', async () => {
+        const principal = await jwtStrategy.authenticate(bearer(signToken()));
+
+        expect(principal).toEqual(expect.objectContaining({ type: 'user', strategy: 'jwt', user }));
+    });
+
+    test('should reject tokens issued before the token version was bumped', async () => {
+        const token = signToken();
+        user.tokenVersion = 1;
+
+        await expect(jwtStrategy.authenticate(bearer(token))).rejects.toThrow('token is no longer valid');
+    });
+
+    test('should reject tokens of a soft-deleted account', async () => {
+        const token = signToken();
+
+        await user.softDelete();
+
+        expect(user.tokenVersion).toBe(1);
+        await expect(jwtStrategy.authenticate(bearer(token))).rejects.toThrow(AuthError);
+    });
+
+    test('should reject login challenge tokens', async () => {
+        const token = signToken({ purpose: '2fa-login' });
+
+        await expect(jwtStrategy.authenticate(bearer(token))).rejects.toThrow('Not authorized, token failed');
+    });
+
+    test('should only let a socket connect with a valid token and join its own room', async () => {
+        const socket = mockSocket({ auth: { token: signToken() } });
+        const next = jest.fn();
+
+        await authenticateSocket(socket, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(socket.data.user).toBe(user);
+        expect(socket.join).toHaveBeenCalledWith(`user-${user._id}`);
+    });
+
+    test('should refuse socket connections without a token or with an outdated one', async () => {
+        const anonymous = mockSocket({});
+        const next = jest.fn();
+
+        await authenticateSocket(anonymous, next);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Not authorized, no token' }));
+        expect(anonymous.join).not.toHaveBeenCalled();
+
+        const token = signToken();
+        user.tokenVersion = 1;
+        const outdated = mockSocket({ headers: { authorization: `Bearer ${token}` } });
+        next.mockClear();
+
+        await authenticateSocket(outdated, next);
+
+        expect(next.mock.calls[0][0].data).toEqual({ statusCode: 401 });
+        expect(outdated.join).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,146 @@
+jest.mock('../models/User');
+jest.mock('../models/Customer');
+jest.mock('../models/Call');
+jest.mock('../models/Task');
+jest.mock('../models/Message');
+jest.mock('../services/webhookService');
+jest.mock('../services/websocketService');
+jest.mock('../services/smsService');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Call = require('../models/Call');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const { emitCallMissed } = require('../services/websocketService');
+const { sendSms } = require('../services/smsService');
+const { handleCallStatus } = require('../controllers/twilioController');
+const { flagMissedAgentCalls, AGENT_OUTCOME_GRACE_PERIOD } = require('../services/missedCallService');
+
+const { schema: callSchema } = jest.requireActual('../models/Call');
+
+describe('Missed AI Agent Calls', () => {
+    let user;
+
+    const mockResponse = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const makeCall = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        callSid: 'CA123',
+        from: '+15550002222',
+        to: user.twilioPhoneNumber,
+        user: user._id,
+        direction: 'inbound',
+        status: 'in-progress',
+        handoff: 'ai-agent',
+        task: null,
+        missed: false,
+        endedAt: null,
+        agentOutcomeDueAt: null,
+        ...callSchema.methods,
+        save: jest.fn().mockResolvedValue(),
+        populate: jest.fn().mockResolvedValue(),
+        ...fields
+    });
+
+    const completedStatus = { body: { CallSid: 'CA123', CallStatus: 'completed', CallDuration: '42' } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            firstname: 'Sam',
+            lastname: 'Fixer',
+            twilioPhoneNumber: '+15550001111',
+            twilioPhoneStatus: 'active',
+            missedCallTextBack: { enabled: true, message: 'Sorry we missed your call to {{businessName}}.' }
+        };
+
+        Call.normalizeStatus.mockImplementation(callSchema.statics.normalizeStatus);
+        Call.normalizeDirection.mockImplementation(callSchema.statics.normalizeDirection);
+        Call.updateOne.mockResolvedValue({});
+        User.findOne.mockResolvedValue(user);
+        Customer.findOrCreateByPhone.mockResolvedValue({
+            customer: { _id: new mongoose.Types.ObjectId(), name: '+15550002222' },
+            created: false
+        });
+        Task.mockImplementation(function (doc) {
+            Object.assign(this, doc, { _id: new mongoose.Types.ObjectId() });
+        });
+        Task.prototype.save.mockResolvedValue();
+        Task.prototype.populate.mockResolvedValue();
+        Message.create.mockResolvedValue({});
+        sendSms.mockResolvedValue({ sid: 'SM123' });
+    });
+
+    test('should not flag an AI agent call as missed when it completes before the task is linked', async () => {
+        const call = makeCall();
+        Call.findOne.mockResolvedValue(call);
+        const res = mockResponse();
+
+        await handleCallStatus(completedStatus, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(call.missed).toBe(false);
+        expect(call.agentOutcomeDueAt.getTime()).toBe(call.endedAt.getTime() + AGENT_OUTCOME_GRACE_PERIOD);
+        expect(emitCallMissed).not.toHaveBeenCalled();
+        expect(sendSms).not.toHaveBeenCalled();
+    });
+
+    test('should still flag unanswered forwarded calls straight away', async () => {
+        const call = makeCall({ handoff: 'forward', dialStatus: 'no-answer' });
+        Call.findOne.mockResolvedValue(call);
+        Call.findOneAndUpdate.mockResolvedValue(call);
+
+        await handleCallStatus(completedStatus, mockResponse());
+
+        expect(call.missed).toBe(true);
+        expect(call.agentOutcomeDueAt).toBeNull();
+        expect(emitCallMissed).toHaveBeenCalledWith(user._id, call);
+        expect(sendSms).toHaveBeenCalled();
+    });
+
+    test('should flag the call as missed and text back once the grace period passes without a task', async () => {
+        const now = new Date();
+        const call = makeCall({ status: 'completed', endedAt: new Date(now.getTime() - AGENT_OUTCOME_GRACE_PERIOD) });
+        Call.findOneAndUpdate
+            .mockResolvedValueOnce(call)
+            .mockResolvedValueOnce(call)
+            .mockResolvedValueOnce(null);
+
+        const result = await flagMissedAgentCalls(now);
+
+        expect(result).toEqual({ checked: 1, missed: 1 });
+        expect(Call.findOneAndUpdate).toHaveBeenNthCalledWith(1,
+            { agentOutcomeDueAt: { $lte: now } },
+            { $set: { agentOutcomeDueAt: null } },
+            expect.objectContaining({ new: true })
+        );
+        expect(call.missed).toBe(true);
+        expect(call.save).toHaveBeenCalled();
+        expect(emitCallMissed).toHaveBeenCalledWith(user._id, call);
+        expect(sendSms).toHaveBeenCalledWith(expect.objectContaining({ to: call.from }));
+    });
+
+    test('should leave the call answered when the agent links a task during the grace period', async () => {
+        const call = makeCall({ status: 'completed', task: new mongoose.Types.ObjectId() });
+        Call.findOneAndUpdate
+            .mockResolvedValueOnce(call)
+            .mockResolvedValueOnce(null);
+
+        const result = await flagMissedAgentCalls(new Date());
+
+        expect(result).toEqual({ checked: 1, missed: 0 });
+        expect(call.missed).toBe(false);
+        expect(call.save).not.toHaveBeenCalled();
+        expect(emitCallMissed).not.toHaveBeenCalled();
+        expect(sendSms).not.toHaveBeenCalled();
+    });
+});
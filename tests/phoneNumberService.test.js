@@ -0,0 +1,193 @@
+jest.mock('../models/User');
+jest.mock('../services/twilioService');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { purchasePhoneNumber, releasePhoneNumber } = require('../services/twilioService');
+const {
+    PhoneNumberError,
+    claimPhoneNumber,
+    swapPhoneNumber,
+    releaseUserPhoneNumber
+} = require('../services/phoneNumberService');
+
+describe('Phone Number Claim, Swap and Release', () => {
+    let user;
+
+    const purchased = { sid: 'PN_NEW', phoneNumber: '+15550009999', friendlyName: '(555) 000-9999' };
+
+    const rejection = (promise) => promise.then(
+        () => { throw new Error('Expected the call to fail'); },
+        error => error
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            firstname: 'Sam',
+            lastname: 'Fixer',
+            twilioPhoneNumber: '+15550001111',
+            twilioPhoneSid: 'PN_OLD',
+            twilioPhoneFriendlyName: '(555) 000-1111',
+            twilioPhoneStatus: 'active'
+        };
+
+        purchasePhoneNumber.mockResolvedValue(purchased);
+        releasePhoneNumber.mockResolvedValue(true);
+        User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    describe('claimPhoneNumber', () => {
+        beforeEach(() => {
+            Object.assign(user, { twilioPhoneNumber: null, twilioPhoneSid: null, twilioPhoneStatus: null });
+        });
+
+        test('should assign the purchased number', async () => {
+            User.findOneAndUpdate.mockResolvedValue({ ...user, twilioPhoneSid: 'PN_NEW' });
+
+            const updated = await claimPhoneNumber(user, purchased.phoneNumber);
+
+            expect(updated.twilioPhoneSid).toBe('PN_NEW');
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: user._id, twilioPhoneSid: null },
+                { $set: expect.objectContaining({ twilioPhoneSid: 'PN_NEW', twilioPhoneStatus: 'active' }) },
+                { new: true }
+            );
+            expect(releasePhoneNumber).not.toHaveBeenCalled();
+        });
+
+        test('should not touch the user when the purchase fails', async () => {
+            purchasePhoneNumber.mockRejectedValue(new Error('Number not available'));
+
+            const error = await rejection(claimPhoneNumber(user, purchased.phoneNumber));
+
+            expect(error).toBeInstanceOf(PhoneNumberError);
+            expect(error.statusCode).toBe(502);
+            expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+            expect(releasePhoneNumber).not.toHaveBeenCalled();
+        });
+
+        test('should release the purchased number when another request assigned one first', async () => {
+            User.findOneAndUpdate.mockResolvedValue(null);
+
+            const error = await rejection(claimPhoneNumber(user, purchased.phoneNumber));
+
+            expect(error.statusCode).toBe(409);
+            expect(releasePhoneNumber).toHaveBeenCalledWith('PN_NEW');
+        });
+
+        test('should release the purchased number when saving the user fails', async () => {
+            User.findOneAndUpdate.mockRejectedValue(new Error('Database unavailable'));
+
+            await expect(claimPhoneNumber(user, purchased.phoneNumber)).rejects.toThrow('Database unavailable');
+            expect(releasePhoneNumber).toHaveBeenCalledWith('PN_NEW');
+        });
+
+        test('should still report the conflict when the rollback itself fails', async () => {
+            User.findOneAndUpdate.mockResolvedValue(null);
+            releasePhoneNumber.mockRejectedValue(new Error('Twilio unavailable'));
+
+            const error = await rejection(claimPhoneNumber(user, purchased.phoneNumber));
+
+            expect(error.statusCode).toBe(409);
+            expect(releasePhoneNumber).toHaveBeenCalledWith('PN_NEW');
+        });
+    });
+
+    describe('swapPhoneNumber', () => {
+        test('should assign the new number and then release the old one', async () => {
+            User.findOneAndUpdate.mockResolvedValue({ ...user, twilioPhoneSid: 'PN_NEW' });
+
+            const result = await swapPhoneNumber(user, purchased.phoneNumber);
+
+            expect(result.previousNumberReleased).toBe(true);
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: user._id, twilioPhoneSid: 'PN_OLD' },
+                expect.anything(),
+                { new: true }
+            );
+            expect(releasePhoneNumber.mock.calls).toEqual([['PN_OLD']]);
+        });
+
+        test('should keep the old number when the new one cannot be purchased', async () => {
+            purchasePhoneNumber.mockRejectedValue(new Error('Number not available'));
+
+            const error = await rejection(swapPhoneNumber(user, purchased.phoneNumber));
+
+            expect(error.statusCode).toBe(502);
+            expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+            expect(releasePhoneNumber).not.toHaveBeenCalled();
+        });
+
+        test('should release the new number, not the old one, when the user changed mid-swap', async () => {
+            User.findOneAndUpdate.mockResolvedValue(null);
+
+            const error = await rejection(swapPhoneNumber(user, purchased.phoneNumber));
+
+            expect(error.statusCode).toBe(409);
+            expect(releasePhoneNumber.mock.calls).toEqual([['PN_NEW']]);
+        });
+
+        test('should release the new number when saving the user fails', async () => {
+            User.findOneAndUpdate.mockRejectedValue(new Error('Database unavailable'));
+
+            await expect(swapPhoneNumber(user, purchased.phoneNumber)).rejects.toThrow('Database unavailable');
+            expect(releasePhoneNumber.mock.calls).toEqual([['PN_NEW']]);
+        });
+
+        test('should keep the new number when releasing the old one fails', async () => {
+            User.findOneAndUpdate.mockResolvedValue({ ...user, twilioPhoneSid: 'PN_NEW' });
+            releasePhoneNumber.mockRejectedValue(new Error('Twilio unavailable'));
+
+            const result = await swapPhoneNumber(user, purchased.phoneNumber);
+
+            expect(result.user.twilioPhoneSid).toBe('PN_NEW');
+            expect(result.previousNumberReleased).toBe(false);
+            expect(releasePhoneNumber.mock.calls).toEqual([['PN_OLD']]);
+        });
+    });
+
+    describe('releaseUserPhoneNumber', () => {
+        test('should detach the number before releasing it', async () => {
+            User.findOneAndUpdate.mockResolvedValue({ ...user, twilioPhoneSid: null });
+
+            const updated = await releaseUserPhoneNumber(user);
+
+            expect(updated.twilioPhoneSid).toBeNull();
+            expect(User.findOneAndUpdate.mock.invocationCallOrder[0]).toBeLessThan(releasePhoneNumber.mock.invocationCallOrder[0]);
+            expect(releasePhoneNumber).toHaveBeenCalledWith('PN_OLD');
+            expect(User.updateOne).not.toHaveBeenCalled();
+        });
+
+        test('should give the number back to the user when Twilio fails to release it', async () => {
+            User.findOneAndUpdate.mockResolvedValue({ ...user, twilioPhoneSid: null });
+            releasePhoneNumber.mockRejectedValue(new Error('Twilio unavailable'));
+
+            const error = await rejection(releaseUserPhoneNumber(user));
+
+            expect(error.statusCode).toBe(502);
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: user._id, twilioPhoneSid: null },
+                {
+                    $set: {
+                        twilioPhoneNumber: '+15550001111',
+                        twilioPhoneSid: 'PN_OLD',
+                        twilioPhoneFriendlyName: '(555) 000-1111',
+                        twilioPhoneStatus: 'active'
+                    }
+                }
+            );
+        });
+
+        test('should not release anything when the number changed in the meantime', async () => {
+            User.findOneAndUpdate.mockResolvedValue(null);
+
+            const error = await rejection(releaseUserPhoneNumber(user));
+
+            expect(error.statusCode).toBe(409);
+            expect(releasePhoneNumber).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,230 @@
+jest.mock('../models/User');
+jest.mock('../services/twilioService');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { assignPhoneNumberToUser, releasePhoneNumber } = require('../services/twilioService');
+const { provisionPhoneNumber, MAX_AUTO_ATTEMPTS, STALE_PENDING_AFTER } = require('../services/phoneNumberService');
+const { retryFailedProvisioning } = require('../jobs/phoneProvisioningJob');
+
+describe('Phone Provisioning Job', () => {
+    const START = new Date('2025-01-15T12:00:00Z');
+    const MINUTE = 60 * 1000;
+    let users;
+
+    // Minimal in-memory stand-in for the user collection, enough for the provisioning queries
+    const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+    const set = (doc, path, value) => {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] || {}), doc);
+        parent[keys[keys.length - 1]] = value;
+    };
+
+    const equals = (value, expected) => {
+        if (expected === null) {
+            return value == null;
+        }
+        if (expected instanceof Date) {
+            return value instanceof Date && value.getTime() === expected.getTime();
+        }
+        return String(value) === String(expected);
+    };
+
+    const matchesCondition = (value, condition) => {
+        const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date)
+            && !(condition instanceof mongoose.Types.ObjectId)
+            && Object.keys(condition).every(key => key.startsWith('$'));
+
+        if (!isOperator) {
+            return equals(value, condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$in': return operand.some(candidate => equals(value, candidate));
+                case '$lt': return value != null && value < operand;
+                case '$lte': return value != null && value <= operand;
+                case '$gte': return value != null && value >= operand;
+                case '$not': return !matchesCondition(value, operand);
+                default: throw new Error(`Unsupported operator ${operator}`);
+            }
+        });
+    };
+
+    const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => (path === '$or'
+        ? condition.some(branch => matches(doc, branch))
+        : matchesCondition(get(doc, path), condition)));
+
+    const applyUpdate = (doc, { $set = {}, $inc = {} }) => {
+        Object.entries($set).forEach(([path, value]) => set(doc, path, value));
+        Object.entries($inc).forEach(([path, amount]) => set(doc, path, (get(doc, path) || 0) + amount));
+    };
+
+    const snapshot = (doc) => ({ ...doc, twilioProvisioning: { ...doc.twilioProvisioning } });
+
+    const addUser = (fields = {}) => {
+        const user = {
+            _id: new mongoose.Types.ObjectId(),
+            firstname: 'Sam',
+            lastname: 'Fixer',
+            isEmailVerified: true,
+            twilioPhoneNumber: null,
+            twilioPhoneSid: null,
+            twilioPhoneStatus: null,
+            ...fields,
+            twilioProvisioning: { attempts: 0, lastError: null, lastAttemptAt: null, nextAttemptAt: null, ...fields.twilioProvisioning }
+        };
+        users.push(user);
+        return user;
+    };
+
+    const advance = (ms) => jest.setSystemTime(new Date(Date.now() + ms));
+
+    let numberCount = 0;
+    const purchasedNumber = () => {
+        numberCount++;
+        return { sid: `PN${numberCount}`, phoneNumber: `+1555000000${numberCount}`, friendlyName: `Number ${numberCount}` };
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        users = [];
+
+        User.findOneAndUpdate.mockImplementation(async (filter, update) => {
+            const doc = users.find(user => matches(user, filter));
+            if (!doc) {
+                return null;
+            }
+            applyUpdate(doc, update);
+            return snapshot(doc);
+        });
+        User.updateOne.mockImplementation(async (filter, update) => {
+            const doc = users.find(user => matches(user, filter));
+            if (doc) {
+                applyUpdate(doc, update);
+            }
+            return { modifiedCount: doc ? 1 : 0 };
+        });
+        User.find.mockImplementation((filter) => ({
+            sort: () => ({
+                limit: async (count) => users.filter(user => matches(user, filter)).slice(0, count).map(snapshot)
+            })
+        }));
+
+        assignPhoneNumberToUser.mockImplementation(async () => purchasedNumber());
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('should retry a failed provisioning once its backoff has elapsed', async () => {
+        const user = addUser();
+        assignPhoneNumberToUser.mockRejectedValueOnce(new Error('No numbers available'));
+
+        await expect(provisionPhoneNumber(snapshot(user))).rejects.toThrow('It will be retried automatically');
+
+        expect(user.twilioPhoneStatus).toBe('failed');
+        expect(user.twilioProvisioning).toEqual(expect.objectContaining({
+            attempts: 1,
+            lastError: 'No numbers available',
+            nextAttemptAt: new Date(START.getTime() + 5 * MINUTE)
+        }));
+
+        // Not due yet
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 0, succeeded: 0 });
+
+        advance(5 * MINUTE);
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 1, succeeded: 1 });
+
+        expect(user.twilioPhoneStatus).toBe('active');
+        expect(user.twilioPhoneSid).toBe('PN1');
+        expect(user.twilioProvisioning).toEqual(expect.objectContaining({ attempts: 2, lastError: null, nextAttemptAt: null }));
+
+        // Nothing left to do
+        advance(60 * MINUTE);
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 0, succeeded: 0 });
+    });
+
+    test('should back off exponentially between failed attempts', async () => {
+        const user = addUser();
+        assignPhoneNumberToUser.mockRejectedValue(new Error('Twilio unavailable'));
+
+        await provisionPhoneNumber(snapshot(user)).catch(() => {});
+        advance(5 * MINUTE);
+        await retryFailedProvisioning();
+
+        expect(user.twilioProvisioning.attempts).toBe(2);
+        expect(user.twilioProvisioning.nextAttemptAt).toEqual(new Date(Date.now() + 10 * MINUTE));
+
+        advance(9 * MINUTE);
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 0, succeeded: 0 });
+
+        advance(MINUTE);
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 1, succeeded: 0 });
+        expect(user.twilioProvisioning.nextAttemptAt).toEqual(new Date(Date.now() + 20 * MINUTE));
+    });
+
+    test('should take over a pending provisioning only once it has gone stale', async () => {
+        const user = addUser({
+            twilioPhoneStatus: 'pending',
+            twilioProvisioning: { attempts: 1, lastAttemptAt: START }
+        });
+
+        // Another worker may still be buying the number
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 0, succeeded: 0 });
+        await expect(provisionPhoneNumber(snapshot(user))).rejects.toMatchObject({ statusCode: 409 });
+        expect(assignPhoneNumberToUser).not.toHaveBeenCalled();
+
+        advance(STALE_PENDING_AFTER + 1);
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 1, succeeded: 1 });
+
+        expect(user.twilioPhoneStatus).toBe('active');
+        expect(user.twilioProvisioning.attempts).toBe(2);
+        expect(assignPhoneNumberToUser).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the number when the user was provisioned by someone else meanwhile', async () => {
+        const user = addUser();
+        releasePhoneNumber.mockResolvedValue(true);
+        assignPhoneNumberToUser.mockImplementationOnce(async () => {
+            // A takeover finished first
+            Object.assign(user, { twilioPhoneStatus: 'active', twilioPhoneSid: 'PN_OTHER' });
+            return purchasedNumber();
+        });
+
+        await expect(provisionPhoneNumber(snapshot(user))).rejects.toMatchObject({ statusCode: 409 });
+
+        expect(user.twilioPhoneSid).toBe('PN_OTHER');
+        expect(releasePhoneNumber).toHaveBeenCalledWith(`PN${numberCount}`);
+    });
+
+    test('should stop retrying automatically after the maximum number of attempts', async () => {
+        const user = addUser({
+            twilioPhoneStatus: 'failed',
+            twilioProvisioning: { attempts: MAX_AUTO_ATTEMPTS - 1, nextAttemptAt: START }
+        });
+        assignPhoneNumberToUser.mockRejectedValue(new Error('Twilio unavailable'));
+
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 1, succeeded: 0 });
+
+        expect(user.twilioProvisioning.attempts).toBe(MAX_AUTO_ATTEMPTS);
+        expect(user.twilioProvisioning.nextAttemptAt).toBeNull();
+
+        advance(24 * 60 * MINUTE);
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 0, succeeded: 0 });
+    });
+
+    test('should only pick up verified users without a number', async () => {
+        addUser({ isEmailVerified: false, twilioPhoneStatus: 'failed' });
+        addUser({ twilioPhoneStatus: 'active', twilioPhoneSid: 'PN_ACTIVE' });
+
+        await expect(retryFailedProvisioning()).resolves.toEqual({ attempted: 0, succeeded: 0 });
+    });
+});
@@ -0,0 +1,118 @@
+jest.mock('../models/User');
+jest.mock('../services/twilioService');
+
+const User = require('../models/User');
+const {
+    listAllPhoneNumbers,
+    releasePhoneNumber,
+    getPhoneNumberWebhooks,
+    updatePhoneNumberWebhooks
+} = require('../services/twilioService');
+const { reconcilePhoneNumbers } = require('../services/phoneReconciliationService');
+
+describe('Phone Number Reconciliation', () => {
+    const user = (id, sid, isDeleted = false) => ({
+        _id: id,
+        email: `${id}@example.com`,
+        twilioPhoneNumber: `+1555000${id}`,
+        twilioPhoneSid: sid,
+        twilioPhoneStatus: 'active',
+        isDeleted
+    });
+
+    const webhooks = {
+        voiceUrl: 'https://api.example.com/api/twilio/voice',
+        smsUrl: 'https://api.example.com/api/twilio/sms',
+        statusCallback: 'https://api.example.com/api/twilio/voice/status'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        listAllPhoneNumbers.mockResolvedValue([
+            { sid: 'PN_ACTIVE', phoneNumber: '+15550000001', ...webhooks },
+            { sid: 'PN_ORPHAN', phoneNumber: '+15550000002' },
+            { sid: 'PN_SPARE', phoneNumber: '+15550000003' },
+            { sid: 'PN_SHARED', phoneNumber: '+15550000004', ...webhooks }
+        ]);
+
+        User.findAllWithDeleted.mockReturnValue({
+            select: jest.fn().mockResolvedValue([
+                user('1', 'PN_ACTIVE'),
+                user('2', 'PN_ORPHAN', true),
+                user('3', 'PN_GONE'),
+                user('4', 'PN_SHARED'),
+                user('5', 'PN_SHARED')
+            ])
+        });
+
+        User.countDocuments.mockResolvedValue(0);
+        User.updateMany.mockResolvedValue({});
+        releasePhoneNumber.mockResolvedValue(true);
+        getPhoneNumberWebhooks.mockReturnValue(webhooks);
+        updatePhoneNumberWebhooks.mockResolvedValue(true);
+    });
+
+    test('should flag orphaned, unassigned, released and duplicate numbers', async () => {
+        const report = await reconcilePhoneNumbers();
+
+        expect(report.orphanedNumbers.map(number => number.sid)).toEqual(['PN_ORPHAN']);
+        expect(report.unassignedNumbers.map(number => number.sid)).toEqual(['PN_SPARE']);
+        expect(report.usersWithReleasedNumbers.map(u => u.id)).toEqual(['3']);
+        expect(report.duplicates).toHaveLength(1);
+        expect(report.duplicates[0].sid).toBe('PN_SHARED');
+        expect(report.summary.released).toBe(0);
+        expect(releasePhoneNumber).not.toHaveBeenCalled();
+    });
+
+    test('should release only orphaned numbers in auto-release mode', async () => {
+        const report = await reconcilePhoneNumbers({ autoRelease: true });
+
+        expect(releasePhoneNumber).toHaveBeenCalledTimes(1);
+        expect(releasePhoneNumber).toHaveBeenCalledWith('PN_ORPHAN');
+        expect(User.updateMany).toHaveBeenCalledWith(
+            { twilioPhoneSid: 'PN_ORPHAN', isDeleted: true },
+            expect.any(Object)
+        );
+        expect(report.orphanedNumbers[0].released).toBe(true);
+        expect(report.summary.released).toBe(1);
+    });
+
+    test('should not release an orphan reassigned to an active user', async () => {
+        User.countDocuments.mockResolvedValue(1);
+
+        const report = await reconcilePhoneNumbers({ autoRelease: true });
+
+        expect(releasePhoneNumber).not.toHaveBeenCalled();
+        expect(report.orphanedNumbers[0].released).toBe(false);
+    });
+
+    test('should flag active numbers missing the status callback without changing them', async () => {
+        listAllPhoneNumbers.mockResolvedValue([
+            { sid: 'PN_ACTIVE', phoneNumber: '+15550000001', voiceUrl: webhooks.voiceUrl, smsUrl: webhooks.smsUrl, statusCallback: '' },
+            { sid: 'PN_ORPHAN', phoneNumber: '+15550000002' }
+        ]);
+
+        const report = await reconcilePhoneNumbers();
+
+        expect(report.outdatedWebhooks).toEqual([
+            expect.objectContaining({ sid: 'PN_ACTIVE', fields: ['statusCallback'], updated: false })
+        ]);
+        expect(report.summary.outdatedWebhooks).toBe(1);
+        expect(updatePhoneNumberWebhooks).not.toHaveBeenCalled();
+    });
+
+    test('should point outdated numbers at the current webhook URLs when syncing', async () => {
+        listAllPhoneNumbers.mockResolvedValue([
+            { sid: 'PN_ACTIVE', phoneNumber: '+15550000001', voiceUrl: webhooks.voiceUrl, smsUrl: null, statusCallback: null },
+            { sid: 'PN_SHARED', phoneNumber: '+15550000004', ...webhooks }
+        ]);
+
+        const report = await reconcilePhoneNumbers({ syncWebhooks: true });
+
+        expect(updatePhoneNumberWebhooks).toHaveBeenCalledTimes(1);
+        expect(updatePhoneNumberWebhooks).toHaveBeenCalledWith('PN_ACTIVE', webhooks);
+        expect(report.outdatedWebhooks[0]).toEqual(expect.objectContaining({ fields: ['smsUrl', 'statusCallback'], updated: true }));
+        expect(report.summary.webhooksUpdated).toBe(1);
+    });
+});
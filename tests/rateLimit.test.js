@@ -0,0 +1,173 @@
+jest.mock('../models/RateLimitCounter');
+
+const { EventEmitter } = require('events');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { rateLimit, dailyTaskQuota } = require('../middleware/rateLimit');
+const { setRateLimitStore, createInMemoryRateLimitStore, reserveCounter } = require('../services/rateLimitStore');
+
+describe('Rate Limiting', () => {
+    const mockResponse = () => {
+        const res = new EventEmitter();
+        res.headers = {};
+        res.locals = {};
+        res.set = jest.fn((name, value) => {
+            if (typeof name === 'object') Object.assign(res.headers, name);
+            else res.headers[name] = value;
+            return res;
+        });
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    beforeEach(() => {
+        setRateLimitStore(createInMemoryRateLimitStore());
+        process.env.RATE_LIMIT_AUTH = '2/60';
+        delete process.env.API_CLIENT_DAILY_TASK_QUOTA;
+    });
+
+    afterAll(() => {
+        setRateLimitStore(null);
+        delete process.env.RATE_LIMIT_AUTH;
+    });
+
+    test('should set RateLimit headers and return 429 once the limit is exceeded', async () => {
+        const limiter = rateLimit('auth');
+        const req = { ip: '10.0.0.1' };
+        const next = jest.fn();
+
+        const first = mockResponse();
+        await limiter(req, first, next);
+        expect(first.headers['RateLimit-Limit']).toBe('2');
+        expect(first.headers['RateLimit-Remaining']).toBe('1');
+        expect(first.headers['RateLimit-Policy']).toBe('2;w=60');
+
+        await limiter(req, mockResponse(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+
+        const third = mockResponse();
+        await limiter(req, third, next);
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(third.status).toHaveBeenCalledWith(429);
+        expect(third.headers['RateLimit-Remaining']).toBe('0');
+        expect(third.headers['Retry-After']).toBeDefined();
+    });
+
+    test('should count the second step of a two-factor login apart from the password step', async () => {
+        const next = jest.fn();
+        const req = { ip: '10.0.0.3' };
+
+        // The auth group allows 2 in these tests
+        await rateLimit('auth')(req, mockResponse(), next);
+        await rateLimit('auth')(req, mockResponse(), next);
+        await rateLimit('authTwoFactor')(req, mockResponse(), next);
+
+        expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    test('should count each IP separately', async () => {
+        const limiter = rateLimit('auth');
+        const next = jest.fn();
+
+        await limiter({ ip: '10.0.0.1' }, mockResponse(), next);
+        await limiter({ ip: '10.0.0.1' }, mockResponse(), next);
+        await limiter({ ip: '10.0.0.2' }, mockResponse(), next);
+
+        expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    test('should throttle API requests per IP before they are authenticated', async () => {
+        process.env.RATE_LIMIT_API_IP = '2/60';
+        const limiter = rateLimit('apiIp');
+        const next = jest.fn();
+
+        // Requests with guessed keys never get an auth principal
+        for (let i = 0; i < 3; i++) {
+            await limiter({ ip: '10.0.0.9', headers: { 'x-api-key': `botie_guess${i}` } }, mockResponse(), next);
+        }
+        const blocked = mockResponse();
+        await limiter({ ip: '10.0.0.9' }, blocked, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(blocked.status).toHaveBeenCalledWith(429);
+        delete process.env.RATE_LIMIT_API_IP;
+    });
+
+    test('should only count created tasks against an API client daily quota', async () => {
+        const req = { auth: { type: 'apiClient', client: { id: 'client-1' }, dailyTaskQuota: 1 } };
+        const next = jest.fn();
+
+        // A failed request does not use up the quota
+        const failed = mockResponse();
+        await dailyTaskQuota(req, failed, next);
+        failed.emit('finish');
+        failed.emit('close');
+        await new Promise(setImmediate);
+
+        const created = mockResponse();
+        await dailyTaskQuota(req, created, next);
+        created.locals.createdTask = 'task-1';
+        created.emit('finish');
+        created.emit('close');
+
+        const blocked = mockResponse();
+        await dailyTaskQuota(req, blocked, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(blocked.status).toHaveBeenCalledWith(429);
+        expect(blocked.headers['X-Task-Quota-Remaining']).toBe('0');
+    });
+
+    test('should not let concurrent requests exceed the daily quota', async () => {
+        const req = { auth: { type: 'apiClient', client: { id: 'client-2' }, dailyTaskQuota: 2 } };
+        const next = jest.fn();
+        const responses = [mockResponse(), mockResponse(), mockResponse()];
+
+        // All three pass the check before any of them has created its task
+        for (const res of responses) {
+            await dailyTaskQuota(req, res, next);
+        }
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(responses[2].status).toHaveBeenCalledWith(429);
+        expect(responses[1].headers['X-Task-Quota-Remaining']).toBe('0');
+    });
+
+    test('should give the slot back when the client disconnects before a task is created', async () => {
+        const req = { auth: { type: 'apiClient', client: { id: 'client-3' }, dailyTaskQuota: 1 } };
+        const next = jest.fn();
+
+        const aborted = mockResponse();
+        await dailyTaskQuota(req, aborted, next);
+        aborted.emit('close');
+        await new Promise(setImmediate);
+
+        await dailyTaskQuota(req, mockResponse(), next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report a full quota from the MongoDB store without counting past it', async () => {
+        setRateLimitStore(null);
+        const duplicateKey = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        RateLimitCounter.findOneAndUpdate.mockRejectedValue(duplicateKey);
+        RateLimitCounter.findOne.mockResolvedValue({ count: 5 });
+
+        const result = await reserveCounter('taskQuota:client:client-4', 24 * 60 * 60 * 1000, 5);
+
+        expect(result).toEqual(expect.objectContaining({ reserved: false, count: 5 }));
+        expect(RateLimitCounter.findOneAndUpdate).toHaveBeenCalledWith(
+            expect.objectContaining({ count: { $lt: 5 } }),
+            expect.objectContaining({ $inc: { count: 1 } }),
+            expect.objectContaining({ upsert: true })
+        );
+    });
+
+    test('should not apply task quotas to logged-in users', async () => {
+        const next = jest.fn();
+
+        await dailyTaskQuota({ auth: { type: 'user', user: { _id: 'user-1' } } }, mockResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,154 @@
+jest.mock('../models/Session');
+jest.mock('../models/User');
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { SessionError, createSession, refreshSession, endSession, endAllSessions } = require('../services/sessionService');
+const jwtStrategy = require('../middleware/strategies/jwtStrategy');
+
+describe('Sessions and Refresh Tokens', () => {
+    let user, session;
+
+    const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+    const buildSession = (overrides = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        user: user._id,
+        tokenHash: hash('rt_current'),
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        revokedAt: null,
+        isActive() {
+            return !this.revokedAt && this.expiresAt > new Date();
+        },
+        ...overrides
+    });
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-jwt-secret';
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            tokenVersion: 0,
+            isSoftDeleted: () => false
+        };
+        session = buildSession();
+
+        Session.hashToken.mockImplementation(hash);
+        Session.generateToken.mockImplementation(() => `rt_${crypto.randomBytes(8).toString('hex')}`);
+        Session.create.mockImplementation(async (doc) => ({ _id: session._id, ...doc }));
+        Session.findByToken.mockImplementation(async (token) => (
+            [session.tokenHash, ...(session.rotatedTokenHashes || [])].includes(hash(token)) ? session : null
+        ));
+        Session.rotateToken.mockImplementation(async (id, currentTokenHash, { expiresAt }) => {
+            session.rotatedTokenHashes = [currentTokenHash];
+            session.tokenHash = hash('rt_next');
+            session.expiresAt = expiresAt;
+            return { session, refreshToken: 'rt_next' };
+        });
+        Session.revokeWhere.mockImplementation(async (query, reason = 'revoked') => {
+            session.revokedAt = new Date();
+            session.revokedReason = reason;
+            return { modifiedCount: 1 };
+        });
+        User.findUserWithDeleted.mockResolvedValue(user);
+    });
+
+    test('should issue an access token bound to a new session at login', async () => {
+        const { tokens } = await createSession(user, { deviceName: 'Laptop', userAgent: 'jest', ipAddress: '127.0.0.1' });
+
+        const created = Session.create.mock.calls[0][0];
+        expect(created.tokenHash).toBe(hash(tokens.refreshToken));
+        expect(created.deviceName).toBe('Laptop');
+
+        const decoded = jwt.verify(tokens.token, process.env.JWT_SECRET);
+        expect(decoded.id).toBe(user._id.toString());
+        expect(decoded.sid).toBe(session._id.toString());
+        expect(decoded.tv).toBe(0);
+        expect(tokens.expiresIn).toBe(15 * 60);
+    });
+
+    test('should rotate the refresh token on every refresh', async () => {
+        const { tokens } = await refreshSession('rt_current');
+
+        expect(tokens.refreshToken).toBe('rt_next');
+        expect(Session.rotateToken).toHaveBeenCalledWith(session._id, hash('rt_current'), expect.any(Object));
+        expect(jwt.decode(tokens.token).sid).toBe(session._id.toString());
+    });
+
+    test('should revoke the whole session when a rotated token is reused', async () => {
+        await refreshSession('rt_current');
+
+        await expect(refreshSession('rt_current')).rejects.toThrow('Refresh token has already been used');
+        expect(Session.revokeWhere).toHaveBeenCalledWith({ _id: session._id }, 'reuse-detected');
+
+        // The legitimate holder of the newest token is logged out as well
+        await expect(refreshSession('rt_next')).rejects.toThrow('Session has expired or been revoked');
+    });
+
+    test('should treat losing a concurrent rotation as reuse', async () => {
+        Session.rotateToken.mockResolvedValue(null);
+
+        const error = await refreshSession('rt_current').catch(err => err);
+
+        expect(error).toBeInstanceOf(SessionError);
+        expect(session.revokedReason).toBe('reuse-detected');
+    });
+
+    test('should reject unknown tokens without revoking anything', async () => {
+        await expect(refreshSession('rt_guess')).rejects.toThrow('Invalid refresh token');
+        expect(await endSession('rt_guess')).toBe(false);
+        expect(Session.revokeWhere).not.toHaveBeenCalled();
+    });
+
+    test('should reject access tokens of a revoked session', async () => {
+        const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: '15m' });
+        const req = { headers: { authorization: `Bearer ${token}` } };
+
+        Session.findById.mockImplementation(async () => session);
+        User.findUserWithDeleted.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+        await expect(jwtStrategy.authenticate(req)).resolves.toMatchObject({ type: 'user', sessionId: session._id.toString() });
+
+        await endSession('rt_current');
+        expect(session.revokedReason).toBe('logout');
+
+        await expect(jwtStrategy.authenticate(req)).rejects.toThrow('Not authorized, session has been revoked');
+    });
+
+    test('should reject access tokens issued before a password change', async () => {
+        const token = jwt.sign({ id: user._id, sid: session._id, tv: 0 }, process.env.JWT_SECRET, { expiresIn: '15m' });
+        const legacyToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
+
+        Session.findById.mockResolvedValue(session);
+        User.findUserWithDeleted.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+        user.tokenVersion = 1;
+
+        for (const bearer of [token, legacyToken]) {
+            await expect(jwtStrategy.authenticate({ headers: { authorization: `Bearer ${bearer}` } }))
+                .rejects.toThrow('Not authorized, token is no longer valid');
+        }
+    });
+
+    test('should revoke every session and disconnect sockets when logging a user out everywhere', async () => {
+        const disconnectSockets = jest.fn();
+        const io = { in: jest.fn(() => ({ disconnectSockets })) };
+        global.io = io;
+
+        try {
+            await endAllSessions(user._id, 'password-changed');
+        } finally {
+            delete global.io;
+        }
+
+        expect(Session.revokeWhere).toHaveBeenCalledWith({ user: user._id }, 'password-changed');
+        expect(io.in).toHaveBeenCalledWith(`user-${user._id}`);
+        expect(disconnectSockets).toHaveBeenCalledWith(true);
+    });
+});
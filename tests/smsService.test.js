@@ -0,0 +1,80 @@
+jest.mock('../models/Message');
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const {
+    sendBookingConfirmation,
+    getTaskReference,
+    setSmsTransport,
+    createInMemorySmsTransport
+} = require('../services/smsService');
+
+describe('Booking Confirmation SMS', () => {
+    let transport;
+    let user, task, customer;
+
+    beforeEach(() => {
+        transport = createInMemorySmsTransport();
+        setSmsTransport(transport);
+        Message.create.mockClear();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            firstname: 'Joe',
+            lastname: 'Plumber',
+            twilioPhoneNumber: '+15550002222',
+            twilioPhoneStatus: 'active'
+        };
+        customer = {
+            _id: new mongoose.Types.ObjectId(),
+            name: 'Jane Customer',
+            phoneNumber: '+15550001111'
+        };
+        task = {
+            _id: new mongoose.Types.ObjectId(),
+            heading: 'Fix leaking boiler'
+        };
+    });
+
+    afterAll(() => {
+        setSmsTransport(null);
+    });
+
+    test('should send templated confirmation from the user\'s assigned number', async () => {
+        await sendBookingConfirmation(user, task, customer);
+
+        expect(transport.sent.length).toBe(1);
+        const [message] = transport.sent;
+        expect(message.from).toBe('+15550002222');
+        expect(message.to).toBe('+15550001111');
+        expect(message.body).toContain('Joe Plumber');
+        expect(message.body).toContain('Fix leaking boiler');
+        expect(message.body).toContain(getTaskReference(task));
+        expect(message.body).not.toMatch(/{{\w+}}/);
+    });
+
+    test('should record the outbound message in the customer thread', async () => {
+        await sendBookingConfirmation(user, task, customer);
+
+        expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({
+            direction: 'outbound',
+            messageSid: 'SM-fake-1',
+            task: task._id
+        }));
+    });
+
+    test('should skip users without an active Twilio number', async () => {
+        user.twilioPhoneStatus = 'pending';
+
+        const result = await sendBookingConfirmation(user, task, customer);
+
+        expect(result).toBe(null);
+        expect(transport.sent.length).toBe(0);
+    });
+
+    test('should not throw when the transport fails', async () => {
+        setSmsTransport({ send: async () => { throw new Error('Twilio down'); } });
+
+        await expect(sendBookingConfirmation(user, task, customer)).resolves.toBe(null);
+    });
+});
@@ -0,0 +1,78 @@
+const { validateTwilioSignature } = require('../middleware/twilioSignatureMiddleware');
+const { createFakeTwilioSigner } = require('../utils/twilioSigner');
+
+// Exercise the middleware in test mode against the local fake signer
+process.env.TWILIO_SIGNATURE_MODE = 'test';
+process.env.TWILIO_TEST_AUTH_TOKEN = 'test-auth-token';
+process.env.TWILIO_WEBHOOK_BASE_URL = 'https://api.example.com';
+
+const buildReq = (params, headers = {}) => ({
+    originalUrl: '/api/twilio/voice',
+    protocol: 'http',
+    headers,
+    body: params,
+    get: () => 'localhost:5000'
+});
+
+const buildRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+describe('Twilio Signature Validation Middleware', () => {
+    const signer = createFakeTwilioSigner();
+    const url = 'https://api.example.com/api/twilio/voice';
+    const params = {
+        CallSid: 'CA1234567890',
+        From: '+15550001111',
+        To: '+15550002222',
+        CallStatus: 'ringing'
+    };
+
+    test('should accept a correctly signed request', async () => {
+        const req = buildReq(params, signer.headers(url, params));
+        const res = buildRes();
+        const next = jest.fn();
+
+        await validateTwilioSignature(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('should reject a request without a signature', async () => {
+        const res = buildRes();
+        const next = jest.fn();
+
+        await validateTwilioSignature(buildReq(params), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should reject a request whose params were tampered with', async () => {
+        const headers = signer.headers(url, params);
+        const req = buildReq({ ...params, To: '+15559999999' }, headers);
+        const res = buildRes();
+        const next = jest.fn();
+
+        await validateTwilioSignature(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should reject a request signed with a different token', async () => {
+        const otherSigner = createFakeTwilioSigner('another-token');
+        const req = buildReq(params, otherSigner.headers(url, params));
+        const res = buildRes();
+        const next = jest.fn();
+
+        await validateTwilioSignature(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+});
@@ -0,0 +1,205 @@
+jest.mock('../models/User');
+jest.mock('../services/emailService');
+jest.mock('../services/phoneNumberService');
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { generateTotp, verifyTotp, base32Encode } = require('../utils/totp');
+const {
+    TwoFactorError,
+    startEnrollment,
+    completeEnrollment,
+    verifySecondFactor,
+    issueLoginChallenge,
+    verifyLoginChallenge
+} = require('../services/twoFactorService');
+const jwtStrategy = require('../middleware/strategies/jwtStrategy');
+const { register, verifyEmail } = require('../controllers/authController');
+
+describe('Two-Factor Authentication', () => {
+    let user;
+
+    const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = 'test-jwt-secret';
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            email: 'pat@example.com',
+            tokenVersion: 0,
+            twoFactor: { enabled: false, recoveryCodes: [], failedAttempts: 0, lockedUntil: null }
+        };
+
+        // Apply the few update shapes the service uses to the in-memory user
+        User.updateOne.mockImplementation(async (filter, update) => {
+            const { twoFactor } = user;
+
+            if (filter.$or && !(twoFactor.lastUsedStep == null || twoFactor.lastUsedStep < update.$set['twoFactor.lastUsedStep'])) {
+                return { modifiedCount: 0 };
+            }
+
+            if (filter['twoFactor.recoveryCodes']) {
+                const { hash } = filter['twoFactor.recoveryCodes'].$elemMatch;
+                const match = twoFactor.recoveryCodes.find(code => code.hash === hash && !code.usedAt);
+                if (!match) {
+                    return { modifiedCount: 0 };
+                }
+                match.usedAt = update.$set['twoFactor.recoveryCodes.$.usedAt'];
+            }
+
+            for (const [path, value] of Object.entries(update.$set || {})) {
+                if (!path.includes('$')) {
+                    twoFactor[path.replace('twoFactor.', '')] = value;
+                }
+            }
+            for (const path of Object.keys(update.$unset || {})) {
+                delete twoFactor[path.replace('twoFactor.', '')];
+            }
+
+            return { modifiedCount: 1 };
+        });
+        User.findOneAndUpdate.mockImplementation(() => {
+            user.twoFactor.failedAttempts += 1;
+            return { select: jest.fn().mockResolvedValue(user) };
+        });
+    });
+
+    // A copy of the stored user, as findUserForTwoFactor would load it
+    const loadUser = () => ({
+        ...user,
+        twoFactor: { ...user.twoFactor, recoveryCodes: user.twoFactor.recoveryCodes.map(code => ({ ...code })) }
+    });
+
+    const enroll = async () => {
+        const { secret } = await startEnrollment(user);
+        const codes = await completeEnrollment(user, generateTotp(secret, currentStep() - 1));
+        return { secret, codes };
+    };
+
+    test('should match the RFC 6238 SHA-1 test vectors', () => {
+        const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+        expect(generateTotp(secret, Math.floor(59 / 30))).toBe('287082');
+        expect(generateTotp(secret, Math.floor(1111111109 / 30))).toBe('081804');
+        expect(generateTotp(secret, Math.floor(2000000000 / 30))).toBe('279037');
+        expect(verifyTotp(secret, '081804', { now: 1111111109 * 1000 })).toBe(Math.floor(1111111109 / 30));
+        expect(verifyTotp(secret, '081804', { now: 1111111109 * 1000 + 120000 })).toBeNull();
+    });
+
+    test('should only enable two-factor once a code from the new secret is confirmed', async () => {
+        const { secret, otpauthUri } = await startEnrollment(user);
+
+        expect(otpauthUri).toContain(`secret=${secret}`);
+        expect(user.twoFactor.enabled).toBe(false);
+
+        await expect(completeEnrollment(user, '000000')).rejects.toThrow('Invalid authentication code');
+
+        const codes = await completeEnrollment(user, generateTotp(secret));
+
+        expect(user.twoFactor.enabled).toBe(true);
+        expect(user.twoFactor.secret).toBe(secret);
+        expect(user.twoFactor.pendingSecret).toBeUndefined();
+        expect(codes).toHaveLength(10);
+        // Only hashes are stored
+        expect(user.twoFactor.recoveryCodes.map(code => code.hash)).not.toContain(codes[0]);
+    });
+
+    test('should reject a TOTP code that was already used', async () => {
+        const { secret } = await enroll();
+        const code = generateTotp(secret);
+
+        await expect(verifySecondFactor(user, code)).resolves.toMatchObject({ method: 'totp' });
+        await expect(verifySecondFactor(user, code)).rejects.toThrow('Invalid authentication code');
+    });
+
+    test('should accept each recovery code only once', async () => {
+        const { codes } = await enroll();
+        const code = codes[3].toLowerCase().replace('-', ' ');
+
+        await expect(verifySecondFactor(loadUser(), code)).resolves.toEqual({ method: 'recovery-code', recoveryCodesRemaining: 9 });
+        await expect(verifySecondFactor(loadUser(), codes[3])).rejects.toThrow('Invalid authentication code');
+    });
+
+    test('should lock code checks after repeated failures', async () => {
+        const { secret } = await enroll();
+
+        for (let i = 0; i < 5; i++) {
+            await expect(verifySecondFactor(user, 'WRONG-CODES')).rejects.toThrow('Invalid authentication code');
+        }
+
+        const error = await verifySecondFactor(user, generateTotp(secret)).catch(err => err);
+        expect(error).toBeInstanceOf(TwoFactorError);
+        expect(error.statusCode).toBe(429);
+    });
+
+    test('should not accept a login challenge as an access token', async () => {
+        const { challengeToken } = issueLoginChallenge(user, { deviceName: 'Phone' });
+
+        expect(verifyLoginChallenge(challengeToken)).toEqual({ userId: user._id.toString(), tokenVersion: 0, deviceName: 'Phone' });
+        await expect(jwtStrategy.authenticate({ headers: { authorization: `Bearer ${challengeToken}` } }))
+            .rejects.toThrow('Not authorized, token failed');
+
+        const accessToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '15m' });
+        expect(() => verifyLoginChallenge(accessToken)).toThrow('Login challenge is invalid or has expired');
+    });
+
+    describe('Reactivating a deleted account', () => {
+        const mockResponse = () => {
+            const res = {};
+            res.status = jest.fn().mockReturnValue(res);
+            res.json = jest.fn().mockReturnValue(res);
+            res.send = jest.fn().mockReturnValue(res);
+            return res;
+        };
+
+        beforeEach(async () => {
+            await enroll();
+
+            Object.assign(user, {
+                isDeleted: true,
+                deletedAt: new Date(),
+                twilioPhoneSid: 'PN123',
+                isSoftDeleted() {
+                    return this.isDeleted;
+                },
+                getEmailVerificationToken: () => 'verification-token',
+                save: jest.fn().mockResolvedValue()
+            });
+            User.findUserWithDeleted.mockResolvedValue(user);
+        });
+
+        test('should turn off two-factor when the address registers again', async () => {
+            const req = {
+                body: { firstname: 'Pat', lastname: 'Lee', email: user.email, phoneNumber: '+15550001111', password: 'newpassword1' },
+                protocol: 'https',
+                headers: {},
+                get: () => 'api.example.com'
+            };
+            const res = mockResponse();
+
+            await register(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(user.twoFactor.enabled).toBe(false);
+            expect(user.twoFactor.secret).toBeUndefined();
+            expect(user.twoFactor.recoveryCodes).toBeUndefined();
+        });
+
+        test('should turn off two-factor when a deleted account verifies its email', async () => {
+            const res = mockResponse();
+
+            await verifyEmail({ query: { token: 'verification-token' } }, res);
+
+            expect(res.send).toHaveBeenCalled();
+            expect(user.isDeleted).toBe(false);
+            expect(user.twoFactor.enabled).toBe(false);
+            expect(user.twoFactor.secret).toBeUndefined();
+        });
+    });
+});
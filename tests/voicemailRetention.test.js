@@ -0,0 +1,112 @@
+jest.mock('../models/Call');
+jest.mock('../services/twilioService');
+
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const { deleteRecording } = require('../services/twilioService');
+const { purgeExpiredVoicemails, BATCH_SIZE } = require('../jobs/voicemailRetentionJob');
+
+describe('Voicemail Retention', () => {
+    const NOW = new Date('2025-03-01T00:00:00Z');
+    let batches;
+
+    const makeCall = (index) => ({
+        _id: new mongoose.Types.ObjectId(),
+        callSid: `CA${index}`,
+        voicemail: { recordingSid: `RE${index}`, recordingUrl: `https://api.twilio.com/RE${index}`, purgeAttempts: 0 },
+        save: jest.fn().mockResolvedValue()
+    });
+
+    const makeBatch = (size, offset = 0) => Array.from({ length: size }, (_, i) => makeCall(offset + i));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        batches = [];
+        Call.find.mockImplementation(() => ({
+            sort: () => ({
+                limit: async () => batches.shift() || []
+            })
+        }));
+        Call.updateOne.mockResolvedValue({});
+        deleteRecording.mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should keep purging until a batch comes back short', async () => {
+        const first = makeBatch(BATCH_SIZE);
+        const second = makeBatch(3, BATCH_SIZE);
+        batches.push(first, second);
+
+        const result = await purgeExpiredVoicemails(NOW);
+
+        expect(result).toEqual({ purged: BATCH_SIZE + 3, failed: 0 });
+        expect(Call.find).toHaveBeenCalledTimes(2);
+        expect(second[2].voicemail).toEqual(expect.objectContaining({ recordingUrl: null, deletedAt: NOW }));
+    });
+
+    test('should only look at recordings past the retention period that are not backing off', async () => {
+        process.env.VOICEMAIL_RETENTION_DAYS = '10';
+
+        await purgeExpiredVoicemails(NOW);
+
+        expect(Call.find).toHaveBeenCalledWith(expect.objectContaining({
+            'voicemail.deletedAt': null,
+            'voicemail.recordedAt': { $lte: new Date('2025-02-19T00:00:00Z') },
+            $or: [
+                { 'voicemail.purgeRetryAt': null },
+                { 'voicemail.purgeRetryAt': { $lte: NOW } }
+            ]
+        }));
+
+        delete process.env.VOICEMAIL_RETENTION_DAYS;
+    });
+
+    test('should set aside a recording that fails and carry on with the rest', async () => {
+        const batch = makeBatch(3);
+        batch[0].voicemail.purgeAttempts = 2;
+        batches.push(batch);
+        deleteRecording.mockImplementation(async (sid) => {
+            if (sid === 'RE0') {
+                throw new Error('Failed to delete recording');
+            }
+            return true;
+        });
+
+        const result = await purgeExpiredVoicemails(NOW);
+
+        expect(result).toEqual({ purged: 2, failed: 1 });
+        expect(batch[0].save).not.toHaveBeenCalled();
+        expect(batch[1].save).toHaveBeenCalled();
+        expect(batch[2].save).toHaveBeenCalled();
+        // Third failure: retried after 24 hours
+        expect(Call.updateOne).toHaveBeenCalledWith(
+            { _id: batch[0]._id },
+            {
+                $set: {
+                    'voicemail.purgeAttempts': 3,
+                    'voicemail.purgeRetryAt': new Date(NOW.getTime() + 24 * 60 * 60 * 1000)
+                }
+            }
+        );
+    });
+
+    test('should not fetch a failed recording again in the same run', async () => {
+        const failing = makeBatch(BATCH_SIZE);
+        batches.push(failing, []);
+        deleteRecording.mockRejectedValue(new Error('Twilio unavailable'));
+        // Even if the failure can't be recorded
+        Call.updateOne.mockRejectedValue(new Error('Database unavailable'));
+
+        const result = await purgeExpiredVoicemails(NOW);
+
+        expect(result).toEqual({ purged: 0, failed: BATCH_SIZE });
+        const [secondQuery] = Call.find.mock.calls[1];
+        expect(secondQuery._id.$nin).toEqual(failing.map(call => call._id));
+    });
+});
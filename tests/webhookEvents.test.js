@@ -0,0 +1,108 @@
+jest.mock('../models/User');
+jest.mock('../models/Task');
+jest.mock('../models/Customer');
+jest.mock('../models/Call');
+jest.mock('../models/Message');
+jest.mock('../services/webhookService');
+jest.mock('../services/websocketService');
+jest.mock('../services/emailService');
+jest.mock('../services/smsService');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Customer = require('../models/Customer');
+const Message = require('../models/Message');
+const { dispatchWebhookEvent } = require('../services/webhookService');
+const { createTaskForUser } = require('../controllers/apiController');
+const { handleIncomingSms } = require('../controllers/twilioController');
+
+describe('Webhook Events', () => {
+    let user;
+
+    const mockResponse = () => {
+        const res = { locals: {} };
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        res.type = jest.fn().mockReturnValue(res);
+        res.send = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    const dispatchedEvents = () => dispatchWebhookEvent.mock.calls.map(([userId, event]) => [userId, event]);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            firstname: 'Sam',
+            lastname: 'Fixer',
+            twilioPhoneNumber: '+15550001111'
+        };
+
+        User.findOne.mockResolvedValue(user);
+        Task.mockImplementation(function (doc) {
+            Object.assign(this, doc, { _id: new mongoose.Types.ObjectId() });
+        });
+        Task.prototype.save.mockResolvedValue();
+        Task.prototype.populate.mockResolvedValue();
+        Customer.mockImplementation(function (doc) {
+            Object.assign(this, doc, { _id: new mongoose.Types.ObjectId() });
+        });
+        Customer.prototype.save.mockResolvedValue();
+    });
+
+    test('should send customer.created when the AI agent books a job for a new customer', async () => {
+        Customer.findOne.mockResolvedValue(null);
+        const req = {
+            headers: { 'assigned-number': user.twilioPhoneNumber },
+            auth: { type: 'apiClient', allTenants: true, client: { id: new mongoose.Types.ObjectId() } },
+            body: {
+                heading: 'Leaking boiler',
+                summary: 'Boiler leaking since this morning',
+                description: 'Needs a visit',
+                customer: { name: 'Jane Doe', address: '1 Main St', phoneNumber: '+15550002222' }
+            }
+        };
+        const res = mockResponse();
+
+        await createTaskForUser(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(dispatchedEvents()).toEqual([[user._id, 'customer.created'], [user._id, 'task.created']]);
+    });
+
+    test('should only send task.created for an existing customer', async () => {
+        Customer.findOne.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), name: 'Jane Doe' });
+        const req = {
+            headers: { 'assigned-number': user.twilioPhoneNumber },
+            auth: { type: 'apiClient', allTenants: true, client: { id: new mongoose.Types.ObjectId() } },
+            body: {
+                heading: 'Leaking boiler',
+                summary: 'Boiler leaking since this morning',
+                description: 'Needs a visit',
+                customer: { name: 'Jane Doe', address: '1 Main St', phoneNumber: '+15550002222' }
+            }
+        };
+
+        await createTaskForUser(req, mockResponse());
+
+        expect(dispatchedEvents()).toEqual([[user._id, 'task.created']]);
+    });
+
+    test('should send customer.created when an SMS arrives from an unknown number', async () => {
+        const customer = { _id: new mongoose.Types.ObjectId(), name: '+15550003333' };
+        Message.create.mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+        Message.updateOne.mockResolvedValue({});
+        Customer.findOrCreateByPhone.mockResolvedValue({ customer, created: true });
+        Task.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+
+        await handleIncomingSms({
+            body: { MessageSid: 'SM123', From: '+15550003333', To: user.twilioPhoneNumber, Body: 'Can you fix a tap?' }
+        }, mockResponse());
+
+        expect(dispatchWebhookEvent).toHaveBeenCalledWith(user._id, 'customer.created', customer);
+        expect(dispatchedEvents()).toEqual([[user._id, 'customer.created'], [user._id, 'task.created']]);
+    });
+});
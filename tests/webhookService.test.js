@@ -0,0 +1,166 @@
+jest.mock('../models/Webhook');
+jest.mock('../models/WebhookDelivery');
+
+const dns = require('dns');
+const http = require('http');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+    WebhookUrlError,
+    resolveWebhookAddress,
+    dispatchWebhookEvent,
+    sendTestEvent,
+    retryDueDeliveries,
+    getRetryDelay
+} = require('../services/webhookService');
+const { verifyWebhookSignature } = require('../utils/webhookSigner');
+
+describe('Webhook Delivery', () => {
+    const secret = 'whsec_test_secret';
+    let server;
+    let received;
+    let responseStatus;
+    let deliveries;
+    let webhook;
+
+    // Local receiver that records every request and answers with responseStatus
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+                res.statusCode = responseStatus;
+                res.end('internal data');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // The test receiver listens on loopback
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+        received = [];
+        responseStatus = 200;
+        deliveries = new Map();
+
+        webhook = {
+            _id: 'webhook-1',
+            user: 'user-1',
+            url: `http://127.0.0.1:${server.address().port}/hooks`,
+            events: ['task.created'],
+            isActive: true,
+            secret
+        };
+
+        Webhook.find.mockReturnValue({ select: jest.fn().mockResolvedValue([webhook]) });
+        Webhook.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(webhook) });
+
+        WebhookDelivery.create.mockImplementation(async (doc) => {
+            const delivery = { _id: `delivery-${deliveries.size + 1}`, status: 'pending', attempts: 0, ...doc };
+            deliveries.set(delivery._id, delivery);
+            return delivery;
+        });
+        WebhookDelivery.findByIdAndUpdate.mockImplementation(async (id, update) => Object.assign(deliveries.get(id), update.$set));
+        WebhookDelivery.findOneAndUpdate.mockImplementation(async (query, update) => {
+            const due = [...deliveries.values()].find(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= query.nextAttemptAt.$lte);
+            return due ? Object.assign(due, update.$set) : null;
+        });
+    });
+
+    test('should deliver a signed event to subscribed webhooks', async () => {
+        const [delivery] = await dispatchWebhookEvent('user-1', 'task.created', { _id: 'task-1', heading: 'Boiler repair' });
+
+        expect(Webhook.find).toHaveBeenCalledWith({ user: 'user-1', isActive: true, events: 'task.created' });
+        expect(received).toHaveLength(1);
+
+        const { headers, body } = received[0];
+        expect(headers['x-botie-event']).toBe('task.created');
+        expect(headers['x-botie-delivery']).toBe(delivery._id);
+        expect(verifyWebhookSignature(secret, headers, body)).toBe(true);
+        expect(verifyWebhookSignature('wrong-secret', headers, body)).toBe(false);
+
+        const payload = JSON.parse(body);
+        expect(payload.type).toBe('task.created');
+        expect(payload.data).toEqual({ _id: 'task-1', heading: 'Boiler repair' });
+
+        expect(delivery.status).toBe('succeeded');
+        expect(delivery.attempts).toBe(1);
+        expect(delivery.responseStatus).toBe(200);
+        // The receiver's response body is never stored
+        expect(delivery.responseBody).toBeUndefined();
+    });
+
+    test('should schedule a retry with backoff when the receiver fails', async () => {
+        responseStatus = 500;
+
+        const [delivery] = await dispatchWebhookEvent('user-1', 'task.created', { _id: 'task-1' });
+
+        expect(delivery.status).toBe('pending');
+        expect(delivery.responseStatus).toBe(500);
+        expect(delivery.nextAttemptAt.getTime() - delivery.lastAttemptAt.getTime()).toBe(getRetryDelay(1));
+        expect(getRetryDelay(2)).toBe(2 * getRetryDelay(1));
+
+        // The retry job sends the same event again once the backoff has elapsed
+        responseStatus = 204;
+        const result = await retryDueDeliveries(new Date(delivery.nextAttemptAt.getTime() + 1000));
+
+        expect(result).toEqual({ attempted: 1, succeeded: 1 });
+        expect(received).toHaveLength(2);
+        expect(received[1].body).toBe(received[0].body);
+        expect(delivery.status).toBe('succeeded');
+        expect(delivery.attempts).toBe(2);
+    });
+
+    test('should send a test event once without retrying', async () => {
+        responseStatus = 503;
+
+        const delivery = await sendTestEvent(webhook);
+
+        expect(received).toHaveLength(1);
+        expect(JSON.parse(received[0].body).type).toBe('webhook.test');
+        expect(delivery.status).toBe('failed');
+        expect(delivery.nextAttemptAt).toBeNull();
+    });
+
+    test('should reject URLs that resolve to private, loopback or link-local addresses', async () => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+        for (const url of ['http://127.0.0.1/hooks', 'http://169.254.169.254/latest/meta-data', 'https://10.0.0.5/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/']) {
+            await expect(resolveWebhookAddress(url)).rejects.toBeInstanceOf(WebhookUrlError);
+        }
+        await expect(resolveWebhookAddress('https://93.184.216.34/hooks')).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+    });
+
+    test('should check the address again when sending', async () => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+        const [delivery] = await dispatchWebhookEvent('user-1', 'task.created', { _id: 'task-1' });
+
+        expect(received).toHaveLength(0);
+        expect(delivery.status).toBe('pending');
+        expect(delivery.error).toMatch('must not point to a private');
+    });
+
+    test('should connect to the address that was checked rather than resolving the host again', async () => {
+        // A host the system resolver does not know; only the checked answer can reach the receiver
+        webhook.url = `http://rebind.invalid:${server.address().port}/hooks`;
+        jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+        const [delivery] = await dispatchWebhookEvent('user-1', 'task.created', { _id: 'task-1' });
+
+        expect(dns.promises.lookup).toHaveBeenCalledTimes(1);
+        expect(received).toHaveLength(1);
+        expect(received[0].headers.host).toBe(`rebind.invalid:${server.address().port}`);
+        expect(delivery.status).toBe('succeeded');
+    });
+});
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = '2';
+
+/**
+ * SHA-256 of a raw request body, hex encoded. An empty body hashes the empty string.
+ * @param {Buffer|string} body - Raw body exactly as sent
+ * @returns {string} Hex digest
+ */
+const hashBody = (body = '') => crypto
+    .createHash('sha256')
+    .update(body || '')
+    .digest('hex');
+
+/**
+ * Compute a v2 API request signature.
+ * HMAC-SHA256 over "v2", method, path (with query string), timestamp, nonce and
+ * body hash, joined by newlines, hex encoded.
+ * @param {string} secret - Client signing secret used as the HMAC key
+ * @param {Object} parts - { method, path, timestamp, nonce, bodyHash }
+ * @returns {string} Hex signature
+ */
+const computeApiSignature = (secret, { method, path, timestamp, nonce, bodyHash }) => {
+    const canonical = [
+        `v${SIGNATURE_VERSION}`,
+        method.toUpperCase(),
+        path,
+        timestamp,
+        nonce,
+        bodyHash
+    ].join('\n');
+
+    return crypto
+        .createHmac('sha256', secret)
+        .update(canonical)
+        .digest('hex');
+};
+
+/**
+ * Compute a legacy (v1) signature, which only covers the key and timestamp
+ * @param {string} secret - Client signing secret used as the HMAC key
+ * @param {string} apiKey - Client API key
+ * @param {string} timestamp - Milliseconds since epoch
+ * @returns {string} Hex signature
+ */
+const computeLegacyApiSignature = (secret, apiKey, timestamp) => crypto
+    .createHmac('sha256', secret)
+    .update(`${apiKey}:${timestamp}`)
+    .digest('hex');
+
+/**
+ * Create a signer that produces v2 auth headers for API-key requests
+ * @param {Object} options - { apiKey, secret }
+ * @returns {Object} Signer with a headers(method, path, body) helper
+ */
+const createApiRequestSigner = ({ apiKey, secret }) => {
+    if (!apiKey || !secret) {
+        throw new Error('An API key and signing secret are required to sign requests');
+    }
+
+    return {
+        headers: (method, path, body = '', { timestamp = Date.now().toString(), nonce = crypto.randomBytes(16).toString('hex') } = {}) => ({
+            'x-api-key': apiKey,
+            'x-timestamp': timestamp,
+            'x-nonce': nonce,
+            'x-signature-version': SIGNATURE_VERSION,
+            'x-signature': computeApiSignature(secret, {
+                method,
+                path,
+                timestamp,
+                nonce,
+                bodyHash: hashBody(body)
+            })
+        })
+    };
+};
+
+module.exports = {
+    SIGNATURE_VERSION,
+    hashBody,
+    computeApiSignature,
+    computeLegacyApiSignature,
+    createApiRequestSigner
+};
@@ -0,0 +1,205 @@
+/**
+ * Convert Joi validators into OpenAPI 3.0 schema objects, using Joi's own
+ * describe() output so the documented shapes always match what is validated.
+ */
+
+// Turn "/^abc$/i" from describe() into a bare pattern
+const toPattern = (regex) => {
+    const match = /^\/(.*)\/[a-z]*$/s.exec(regex);
+    return match ? match[1] : regex;
+};
+
+const ruleArg = (rule, name) => (rule.args ? rule.args[name] : undefined);
+
+const applyStringRules = (schema, rules) => {
+    for (const rule of rules) {
+        switch (rule.name) {
+            case 'min':
+                schema.minLength = ruleArg(rule, 'limit');
+                break;
+            case 'max':
+                schema.maxLength = ruleArg(rule, 'limit');
+                break;
+            case 'length':
+                schema.minLength = ruleArg(rule, 'limit');
+                schema.maxLength = ruleArg(rule, 'limit');
+                break;
+            case 'pattern':
+                schema.pattern = toPattern(ruleArg(rule, 'regex'));
+                break;
+            case 'hex':
+                schema.pattern = schema.pattern || '^[0-9a-fA-F]+$';
+                break;
+            case 'email':
+                schema.format = 'email';
+                break;
+            case 'uri':
+                schema.format = 'uri';
+                break;
+            case 'isoDate':
+                schema.format = 'date-time';
+                break;
+            default:
+                break;
+        }
+    }
+};
+
+const applyNumberRules = (schema, rules) => {
+    for (const rule of rules) {
+        switch (rule.name) {
+            case 'integer':
+                schema.type = 'integer';
+                break;
+            case 'min':
+                schema.minimum = ruleArg(rule, 'limit');
+                break;
+            case 'max':
+                schema.maximum = ruleArg(rule, 'limit');
+                break;
+            case 'greater':
+                schema.minimum = ruleArg(rule, 'limit');
+                schema.exclusiveMinimum = true;
+                break;
+            case 'less':
+                schema.maximum = ruleArg(rule, 'limit');
+                schema.exclusiveMaximum = true;
+                break;
+            default:
+                break;
+        }
+    }
+};
+
+const applyArrayRules = (schema, rules) => {
+    for (const rule of rules) {
+        if (rule.name === 'min') schema.minItems = ruleArg(rule, 'limit');
+        if (rule.name === 'max') schema.maxItems = ruleArg(rule, 'limit');
+        if (rule.name === 'length') {
+            schema.minItems = ruleArg(rule, 'limit');
+            schema.maxItems = ruleArg(rule, 'limit');
+        }
+        if (rule.name === 'unique') schema.uniqueItems = true;
+    }
+};
+
+const isRequired = (description) => Boolean(description.flags && description.flags.presence === 'required');
+const isForbidden = (description) => Boolean(description.flags && description.flags.presence === 'forbidden');
+
+/**
+ * Convert a describe() result into an OpenAPI schema object
+ * @param {Object} description - Output of joiSchema.describe()
+ * @returns {Object} OpenAPI 3.0 schema
+ */
+const fromDescription = (description) => {
+    const flags = description.flags || {};
+    const rules = description.rules || [];
+    const allow = description.allow || [];
+    let schema;
+
+    switch (description.type) {
+        case 'object': {
+            schema = { type: 'object' };
+            if (description.keys) {
+                const entries = Object.entries(description.keys).filter(([, key]) => !isForbidden(key));
+                schema.properties = Object.fromEntries(entries.map(([name, key]) => [name, fromDescription(key)]));
+                const required = entries.filter(([, key]) => isRequired(key)).map(([name]) => name);
+                if (required.length > 0) schema.required = required;
+                // Joi rejects keys it doesn't know unless told otherwise
+                schema.additionalProperties = Boolean(flags.unknown);
+            }
+            for (const rule of rules) {
+                if (rule.name === 'min') schema.minProperties = ruleArg(rule, 'limit');
+                if (rule.name === 'max') schema.maxProperties = ruleArg(rule, 'limit');
+            }
+            break;
+        }
+        case 'array': {
+            schema = { type: 'array' };
+            const items = (description.items || []).map(fromDescription);
+            schema.items = items.length === 1 ? items[0] : (items.length > 1 ? { oneOf: items } : {});
+            applyArrayRules(schema, rules);
+            break;
+        }
+        case 'string':
+            schema = { type: 'string' };
+            applyStringRules(schema, rules);
+            break;
+        case 'number':
+            schema = { type: 'number' };
+            applyNumberRules(schema, rules);
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'alternatives':
+            schema = {
+                oneOf: (description.matches || [])
+                    .filter(match => match.schema)
+                    .map(match => fromDescription(match.schema))
+            };
+            break;
+        default:
+            schema = {};
+            break;
+    }
+
+    // valid() lists the only accepted values; allow() adds to the base type
+    const values = allow.filter(value => value !== null);
+    if (flags.only && values.length > 0) {
+        schema.enum = values;
+    }
+    if (allow.includes(null)) {
+        schema.nullable = true;
+    }
+
+    if (flags.description) schema.description = flags.description;
+    if (flags.default !== undefined && typeof flags.default !== 'function' && !(flags.default && flags.default.special)) {
+        schema.default = flags.default;
+    }
+    if (description.examples) schema.example = description.examples[0];
+
+    return schema;
+};
+
+/**
+ * Convert a Joi schema into an OpenAPI schema object
+ * @param {Object} joiSchema - Joi schema
+ * @returns {Object} OpenAPI 3.0 schema
+ */
+const joiToSchema = (joiSchema) => fromDescription(joiSchema.describe());
+
+/**
+ * Convert a Joi object schema into OpenAPI parameters, one per key
+ * @param {Object} joiSchema - Joi object schema
+ * @param {string} location - 'query', 'header' or 'path'
+ * @returns {Array} OpenAPI parameter objects
+ */
+const joiToParameters = (joiSchema, location) => {
+    const description = joiSchema.describe();
+
+    return Object.entries(description.keys || {})
+        .filter(([, key]) => !isForbidden(key))
+        .map(([name, key]) => {
+            const schema = fromDescription(key);
+            const parameter = {
+                name,
+                in: location,
+                required: location === 'path' || isRequired(key),
+                schema
+            };
+            if (schema.description) {
+                parameter.description = schema.description;
+                delete schema.description;
+            }
+            return parameter;
+        });
+};
+
+module.exports = {
+    joiToSchema,
+    joiToParameters
+};
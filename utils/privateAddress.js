@@ -0,0 +1,76 @@
+const net = require('net');
+
+// Addresses outbound requests to tenant-supplied URLs must never reach:
+// this host, private networks, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const blocked = new net.BlockList();
+
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['100::', 64],
+    ['2001:db8::', 32],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['fec0::', 10],
+    ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+// Convert the "xxxx:xxxx" tail of a mapped address to dotted IPv4
+const hexToIPv4 = (tail) => {
+    const groups = tail.split(':');
+    if (groups.length !== 2 || !groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) {
+        return null;
+    }
+
+    const [high, low] = groups.map(group => parseInt(group, 16));
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when the address must not be contacted
+ */
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+
+    if (family === 6) {
+        // IPv4-mapped IPv6 (::ffff:a.b.c.d or ::ffff:xxxx:xxxx) is checked as the IPv4 address
+        const mapped = address.toLowerCase().match(/^::ffff:(?:0:)?(.+)$/);
+        if (mapped) {
+            const embedded = net.isIPv4(mapped[1])
+                ? mapped[1]
+                : hexToIPv4(mapped[1]);
+            return embedded === null || blocked.check(embedded, 'ipv4');
+        }
+
+        return blocked.check(address, 'ipv6');
+    }
+
+    return blocked.check(address, 'ipv4');
+};
+
+module.exports = {
+    isPrivateAddress
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+// 256-bit key derived from API_SECRET_ENCRYPTION_KEY
+const getKey = () => {
+    const secret = process.env.API_SECRET_ENCRYPTION_KEY;
+    if (!secret) {
+        throw new Error('API_SECRET_ENCRYPTION_KEY not configured');
+    }
+
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret the server has to read back later (e.g. an HMAC signing key).
+ * AES-256-GCM with a random IV, stored as "v1:<iv>:<tag>:<ciphertext>" in base64.
+ * @param {string} plaintext - Secret to store
+ * @returns {string} Encrypted value
+ */
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [
+        FORMAT_VERSION,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        ciphertext.toString('base64')
+    ].join(':');
+};
+
+/**
+ * Decrypt a value from encryptSecret
+ * @param {string} value - Encrypted value
+ * @returns {string} Plain secret
+ * @throws {Error} When the value is malformed or was encrypted with another key
+ */
+const decryptSecret = (value) => {
+    const [version, iv, tag, ciphertext] = String(value).split(':');
+    if (version !== FORMAT_VERSION || !iv || !tag || ciphertext === undefined) {
+        throw new Error('Unsupported encrypted secret format');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+};
+
+module.exports = {
+    encryptSecret,
+    decryptSecret
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Deliveries older than this are rejected by verifyWebhookSignature
+const DEFAULT_TOLERANCE = 5 * 60; // 5 minutes, in seconds
+
+/**
+ * Compute the X-Botie-Signature value for a webhook delivery.
+ * HMAC-SHA256 over "<timestamp>.<raw body>" with the webhook secret, hex encoded.
+ * @param {string} secret - Webhook signing secret
+ * @param {number|string} timestamp - Unix time in seconds sent as X-Botie-Timestamp
+ * @param {string|Buffer} body - Raw JSON body
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+const computeWebhookSignature = (secret, timestamp, body) => {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.`)
+        .update(body)
+        .digest('hex');
+
+    return `sha256=${digest}`;
+};
+
+/**
+ * Check a received delivery the way a receiver should.
+ * @param {string} secret - Webhook signing secret
+ * @param {Object} headers - Request headers (lower-cased, as Node provides them)
+ * @param {string|Buffer} body - Raw request body
+ * @param {Object} options - { tolerance: seconds, now: Date }
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+const verifyWebhookSignature = (secret, headers, body, { tolerance = DEFAULT_TOLERANCE, now = new Date() } = {}) => {
+    const timestamp = Number(headers['x-botie-timestamp']);
+    const signature = headers['x-botie-signature'];
+
+    if (!Number.isFinite(timestamp) || typeof signature !== 'string') {
+        return false;
+    }
+
+    if (Math.abs(now.getTime() / 1000 - timestamp) > tolerance) {
+        return false;
+    }
+
+    const expected = Buffer.from(computeWebhookSignature(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+    computeWebhookSignature,
+    verifyWebhookSignature
+};
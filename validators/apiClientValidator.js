@@ -0,0 +1,87 @@
+const Joi = require('joi');
+const { API_SCOPES } = require('../models/ApiClient');
+
+// API client registration validation schema
+const apiClientSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required().messages({
+        'string.empty': 'Client name is required',
+        'string.max': 'Client name cannot exceed 100 characters',
+        'any.required': 'Client name is required'
+    }),
+    scopes: Joi.array().items(Joi.string().valid(...API_SCOPES)).min(1).unique().required().messages({
+        'array.min': 'At least one scope is required',
+        'array.unique': 'Scopes must not be repeated',
+        'any.only': `Scopes must be any of: ${API_SCOPES.join(', ')}`,
+        'any.required': 'Scopes are required'
+    }),
+    tenants: Joi.array().items(Joi.string().hex().length(24)).unique().default([]).messages({
+        'string.hex': 'Tenants must be valid user IDs',
+        'string.length': 'Tenants must be valid user IDs',
+        'array.unique': 'Tenants must not be repeated'
+    }),
+    allTenants: Joi.boolean().default(false).messages({
+        'boolean.base': 'allTenants must be a boolean value'
+    }),
+    dailyTaskQuota: Joi.number().integer().min(1).allow(null).messages({
+        'number.base': 'Daily task quota must be a number',
+        'number.integer': 'Daily task quota must be an integer',
+        'number.min': 'Daily task quota must be at least 1'
+    }),
+    allowLegacySignature: Joi.boolean().default(false).messages({
+        'boolean.base': 'allowLegacySignature must be a boolean value'
+    })
+});
+
+// API client update validation schema
+const updateApiClientSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).messages({
+        'string.empty': 'Client name cannot be empty',
+        'string.max': 'Client name cannot exceed 100 characters'
+    }),
+    tenants: Joi.array().items(Joi.string().hex().length(24)).unique().messages({
+        'string.hex': 'Tenants must be valid user IDs',
+        'string.length': 'Tenants must be valid user IDs',
+        'array.unique': 'Tenants must not be repeated'
+    }),
+    allTenants: Joi.boolean().messages({
+        'boolean.base': 'allTenants must be a boolean value'
+    }),
+    dailyTaskQuota: Joi.number().integer().min(1).allow(null).messages({
+        'number.base': 'Daily task quota must be a number',
+        'number.integer': 'Daily task quota must be an integer',
+        'number.min': 'Daily task quota must be at least 1'
+    }),
+    allowLegacySignature: Joi.boolean().messages({
+        'boolean.base': 'allowLegacySignature must be a boolean value'
+    })
+}).min(1).messages({
+    'object.min': 'Provide name, tenants, allTenants, dailyTaskQuota or allowLegacySignature to update'
+});
+
+// API key rotation validation schema
+const rotateApiKeySchema = Joi.object({
+    gracePeriodMinutes: Joi.number().integer().min(0).max(7 * 24 * 60).default(60).messages({
+        'number.base': 'Grace period must be a number',
+        'number.integer': 'Grace period must be a whole number of minutes',
+        'number.min': 'Grace period cannot be negative',
+        'number.max': 'Grace period cannot exceed 7 days'
+    })
+});
+
+// API key usage query validation schema
+const apiUsageQuerySchema = Joi.object({
+    days: Joi.number().integer().min(1).max(90).default(30).messages({
+        'number.base': 'Days must be a number',
+        'number.integer': 'Days must be an integer',
+        'number.min': 'Days must be at least 1',
+        'number.max': 'Days cannot exceed 90'
+    })
+});
+
+module.exports = {
+    API_SCOPES,
+    apiClientSchema,
+    updateApiClientSchema,
+    rotateApiKeySchema,
+    apiUsageQuerySchema
+};
@@ -14,9 +14,95 @@ const registerSchema = Joi.object({
 const loginSchema = Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().required(),
+    deviceName: Joi.string().trim().max(100).optional(),
+});
+
+const changePasswordSchema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required(),
+}).messages({
+    'any.required': 'Please provide current and new passwords',
+    'string.empty': 'Please provide current and new passwords',
+    'string.min': 'New password must be at least 6 characters long',
+});
+
+const emailSchema = Joi.object({
+    email: Joi.string().email().required(),
+}).messages({
+    'any.required': 'Please provide an email address',
+    'string.empty': 'Please provide an email address',
+    'string.email': 'Please provide a valid email address',
+});
+
+const resetPasswordSchema = Joi.object({
+    newPassword: Joi.string().min(6).required(),
+}).messages({
+    'any.required': 'Please provide a new password',
+    'string.empty': 'Please provide a new password',
+    'string.min': 'New password must be at least 6 characters long',
+});
+
+const refreshTokenSchema = Joi.object({
+    refreshToken: Joi.string().required(),
+}).messages({
+    'any.required': 'Please provide a refresh token',
+    'string.empty': 'Please provide a refresh token',
+});
+
+const revokeSessionsQuerySchema = Joi.object({
+    exceptCurrent: Joi.boolean().default(false),
+});
+
+// 6-digit authenticator code or a recovery code (XXXXX-XXXXX)
+const twoFactorCode = Joi.string().trim().min(6).max(20);
+
+const twoFactorCodeMessages = {
+    'string.empty': 'Please provide an authentication code',
+    'string.min': 'Please provide a valid authentication code',
+    'string.max': 'Please provide a valid authentication code',
+};
+
+const twoFactorSetupSchema = Joi.object({
+    password: Joi.string().required(),
+    code: twoFactorCode.optional(),
+}).messages({
+    'any.required': 'Please provide your password',
+    ...twoFactorCodeMessages,
+});
+
+const twoFactorCodeSchema = Joi.object({
+    code: twoFactorCode.required(),
+}).messages({
+    'any.required': 'Please provide an authentication code',
+    ...twoFactorCodeMessages,
+});
+
+const twoFactorConfirmSchema = Joi.object({
+    password: Joi.string().required(),
+    code: twoFactorCode.required(),
+}).messages({
+    'any.required': 'Please provide your password and an authentication code',
+    ...twoFactorCodeMessages,
+});
+
+const twoFactorLoginSchema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: twoFactorCode.required(),
+}).messages({
+    'any.required': 'Please provide the challenge token and an authentication code',
+    ...twoFactorCodeMessages,
 });
 
 module.exports = {
     registerSchema,
     loginSchema,
+    changePasswordSchema,
+    emailSchema,
+    resetPasswordSchema,
+    refreshTokenSchema,
+    revokeSessionsQuerySchema,
+    twoFactorSetupSchema,
+    twoFactorCodeSchema,
+    twoFactorConfirmSchema,
+    twoFactorLoginSchema,
 }; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+const Joi = require('joi');
+const { CALL_STATUSES } = require('../models/Call');
+
+// Call log listing/filter validation schema
+const callQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1).messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+    }),
+    limit: Joi.number().integer().min(1).max(100).default(10).messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+    }),
+    status: Joi.string().valid(...CALL_STATUSES).optional().messages({
+        'any.only': `Status must be one of: ${CALL_STATUSES.join(', ')}`
+    }),
+    direction: Joi.string().valid('inbound', 'outbound').optional().messages({
+        'any.only': 'Direction must be either inbound or outbound'
+    }),
+    missed: Joi.boolean().optional().messages({
+        'boolean.base': 'missed must be a boolean value'
+    }),
+    customer: Joi.string().hex().length(24).optional().messages({
+        'string.hex': 'Customer must be a valid ID',
+        'string.length': 'Customer must be a valid ID'
+    }),
+    search: Joi.string().trim().max(100).allow('').optional().messages({
+        'string.max': 'Search term cannot exceed 100 characters'
+    }),
+    startDate: Joi.date().iso().optional().messages({
+        'date.format': 'Start date must be an ISO 8601 date'
+    }),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional().messages({
+        'date.format': 'End date must be an ISO 8601 date',
+        'date.min': 'End date must be after start date'
+    }),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc').messages({
+        'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+module.exports = {
+    CALL_STATUSES,
+    callQuerySchema
+};
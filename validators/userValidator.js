@@ -0,0 +1,97 @@
+const Joi = require('joi');
+const { isValidTimezone } = require('../services/businessHoursService');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Closing times may also be 24:00 (end of the day)
+const CLOSE_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Missed-call text-back settings validation schema
+const missedCallTextBackSchema = Joi.object({
+    enabled: Joi.boolean().required().messages({
+        'boolean.base': 'enabled must be a boolean value',
+        'any.required': 'enabled is required'
+    }),
+    message: Joi.string().trim().max(320).allow(null, '').optional().messages({
+        'string.max': 'Text-back message cannot exceed 320 characters'
+    })
+});
+
+// Opening period validation schema
+const openingPeriodSchema = Joi.object({
+    day: Joi.number().integer().min(0).max(6).required().messages({
+        'number.base': 'Day must be a number from 0 (Sunday) to 6 (Saturday)',
+        'number.min': 'Day must be a number from 0 (Sunday) to 6 (Saturday)',
+        'number.max': 'Day must be a number from 0 (Sunday) to 6 (Saturday)'
+    }),
+    open: Joi.string().pattern(TIME_PATTERN).required().messages({
+        'string.pattern.base': 'Opening time must be in HH:mm format'
+    }),
+    close: Joi.string().pattern(CLOSE_TIME_PATTERN).required().messages({
+        'string.pattern.base': 'Closing time must be in HH:mm format (00:00 to 24:00)'
+    })
+}).custom((value, helpers) => {
+    if (value.close <= value.open) {
+        return helpers.message(
+            'Closing time must be after opening time. Split overnight hours at midnight ' +
+            '(e.g. 22:00-24:00 and 00:00-02:00 on the next day)'
+        );
+    }
+    return value;
+});
+
+// Business hours validation schema
+const scheduleSchema = Joi.object({
+    timezone: Joi.string().required().custom((value, helpers) => {
+        if (!isValidTimezone(value)) {
+            return helpers.message('Please provide a valid IANA timezone (e.g. Europe/London)');
+        }
+        return value;
+    }),
+    weeklyHours: Joi.array().items(openingPeriodSchema).max(21).default([]),
+    holidays: Joi.array().items(Joi.object({
+        date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+            'string.pattern.base': 'Holiday date must be in YYYY-MM-DD format'
+        }),
+        name: Joi.string().trim().max(100).allow('').optional()
+    })).max(100).default([])
+});
+
+// Call routing rules validation schema
+const callRoutingSchema = Joi.object({
+    duringHours: Joi.string().valid('forward', 'ai-agent').default('forward').messages({
+        'any.only': 'During hours routing must be either forward or ai-agent'
+    }),
+    afterHours: Joi.string().valid('ai-agent', 'voicemail').default('ai-agent').messages({
+        'any.only': 'After hours routing must be either ai-agent or voicemail'
+    })
+});
+
+// Available phone number search validation schema
+const availableNumbersQuerySchema = Joi.object({
+    country: Joi.string().trim().uppercase().length(2).optional().messages({
+        'string.length': 'Country must be a 2-letter ISO country code'
+    }),
+    areaCode: Joi.string().trim().pattern(/^\d{2,5}$/).optional().messages({
+        'string.pattern.base': 'Area code must be 2-5 digits'
+    }),
+    contains: Joi.string().trim().pattern(/^[0-9A-Za-z*]{2,16}$/).optional().messages({
+        'string.pattern.base': 'Contains must be 2-16 digits, letters or * wildcards'
+    })
+});
+
+// Claim/swap phone number validation schema
+const phoneNumberSelectionSchema = Joi.object({
+    phoneNumber: Joi.string().trim().pattern(/^\+[1-9]\d{6,14}$/).required().messages({
+        'string.empty': 'Phone number is required',
+        'any.required': 'Phone number is required',
+        'string.pattern.base': 'Phone number must be in E.164 format (e.g. +15551234567)'
+    })
+});
+
+module.exports = {
+    missedCallTextBackSchema,
+    scheduleSchema,
+    callRoutingSchema,
+    availableNumbersQuerySchema,
+    phoneNumberSelectionSchema
+};
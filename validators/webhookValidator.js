@@ -0,0 +1,68 @@
+const Joi = require('joi');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+
+// Plain http is only allowed outside production (e.g. a local receiver)
+const URL_SCHEMES = process.env.NODE_ENV === 'production' ? ['https'] : ['https', 'http'];
+
+const urlRule = Joi.string().trim().uri({ scheme: URL_SCHEMES }).max(2048).messages({
+    'string.empty': 'Webhook URL is required',
+    'string.uri': `Webhook URL must be a valid ${URL_SCHEMES.join(' or ')} URL`,
+    'string.uriCustomScheme': `Webhook URL must be a valid ${URL_SCHEMES.join(' or ')} URL`,
+    'string.max': 'Webhook URL cannot exceed 2048 characters'
+});
+
+const eventsRule = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().messages({
+    'array.min': 'At least one event is required',
+    'array.unique': 'Events must not be repeated',
+    'any.only': `Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`
+});
+
+const descriptionRule = Joi.string().trim().max(200).allow('', null).messages({
+    'string.max': 'Description cannot exceed 200 characters'
+});
+
+// Webhook creation validation schema
+const webhookSchema = Joi.object({
+    url: urlRule.required().messages({
+        'any.required': 'Webhook URL is required'
+    }),
+    events: eventsRule.required().messages({
+        'any.required': 'Events are required'
+    }),
+    description: descriptionRule
+});
+
+// Webhook update validation schema
+const updateWebhookSchema = Joi.object({
+    url: urlRule,
+    events: eventsRule,
+    description: descriptionRule,
+    isActive: Joi.boolean().messages({
+        'boolean.base': 'isActive must be a boolean value'
+    })
+}).min(1).messages({
+    'object.min': 'Provide url, events, description or isActive to update'
+});
+
+// Delivery log query validation schema
+const webhookDeliveryQuerySchema = Joi.object({
+    status: Joi.string().valid('pending', 'succeeded', 'failed').messages({
+        'any.only': 'Status must be pending, succeeded or failed'
+    }),
+    page: Joi.number().integer().min(1).default(1).messages({
+        'number.base': 'Page must be a number',
+        'number.min': 'Page must be at least 1'
+    }),
+    limit: Joi.number().integer().min(1).max(100).default(20).messages({
+        'number.base': 'Limit must be a number',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    webhookSchema,
+    updateWebhookSchema,
+    webhookDeliveryQuerySchema
+};